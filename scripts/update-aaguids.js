@@ -0,0 +1,40 @@
+// Refresh config/aaguid-providers.json from the community-maintained
+// passkey-authenticator-aaguids dataset.
+//
+//   npm run update-aaguids [-- <output path>]
+//
+// AAGUID_DATASET_URL overrides the source.
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DATASET_URL = process.env.AAGUID_DATASET_URL
+  || 'https://raw.githubusercontent.com/passkeydeveloper/passkey-authenticator-aaguids/main/combined.json';
+const OUTPUT_PATH = path.resolve(process.argv[2] || path.join(__dirname, '../config/aaguid-providers.json'));
+
+const main = async () => {
+  const { data } = await axios.get(DATASET_URL, { timeout: 30000 });
+
+  const entries = Object.entries(data || {}).filter(([, entry]) => entry && entry.name);
+  if (entries.length === 0) {
+    throw new Error(`No provider entries found at ${DATASET_URL}`);
+  }
+
+  const dataset = Object.fromEntries(entries.map(([aaguid, entry]) => [aaguid.toLowerCase(), {
+    name: entry.name,
+    ...(entry.icon_light && { icon_light: entry.icon_light }),
+    ...(entry.icon_dark && { icon_dark: entry.icon_dark })
+  }]));
+
+  const tempPath = `${OUTPUT_PATH}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(dataset, null, 2)}\n`);
+  await fs.rename(tempPath, OUTPUT_PATH);
+
+  console.log(`Wrote ${entries.length} AAGUID providers to ${OUTPUT_PATH}`);
+};
+
+main().catch((error) => {
+  console.error('Failed to update AAGUID providers:', error.message);
+  process.exit(1);
+});
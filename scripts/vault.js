@@ -0,0 +1,41 @@
+// Credential vault maintenance.
+//
+//   npm run vault -- generate-key   print a new base64 master key
+//   npm run vault -- migrate        move userCredentials out of auth-config.json
+//   npm run vault -- rotate         re-encrypt every record with VAULT_ACTIVE_KID
+//
+// migrate and rotate use the same STORAGE_BACKEND and VAULT_* variables as the
+// server.
+
+const crypto = require('crypto');
+
+const commands = {
+  'generate-key': async () => {
+    console.log(crypto.randomBytes(32).toString('base64'));
+  },
+
+  migrate: async () => {
+    const backendService = require('../src/services/backendService');
+    const imported = await backendService.migrateLegacyCredentials();
+    console.log(`Imported ${imported.length} credential(s); userCredentials removed from auth-config.json`);
+  },
+
+  rotate: async () => {
+    const credentialVault = require('../src/services/credentialVault');
+    const rotated = await credentialVault.rotate();
+    console.log(`Re-encrypted ${rotated} credential(s) with key "${credentialVault.activeKid}"`);
+  }
+};
+
+const command = commands[process.argv[2]];
+if (!command) {
+  console.error(`Usage: node scripts/vault.js <${Object.keys(commands).join('|')}>`);
+  process.exit(1);
+}
+
+command()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Vault command failed:', error.message);
+    process.exit(1);
+  });
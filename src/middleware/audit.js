@@ -0,0 +1,62 @@
+const auditService = require('../services/auditService');
+
+// Who made the request: an admin API key, a signed-in user or nobody yet
+const getActor = (req) => {
+  if (req.apiKey) return { type: 'api-key', id: req.apiKey.id };
+  if (req.auth) return { type: 'user', id: req.auth.userId };
+  return { type: 'anonymous', id: null };
+};
+
+// Refused by authentication, scope or rate limit checks versus failed outright
+const getOutcome = (status) => {
+  if (status < 400) return 'success';
+  return [401, 403, 429].includes(status) ? 'denied' : 'failure';
+};
+
+const getReason = (body) => {
+  if (!body) return null;
+  if (body.code) return body.code;
+  return typeof body.details === 'string' ? body.details : body.message || null;
+};
+
+// Record an audit event of the given type once the response is sent. Mount it
+// first so refusals by later middleware are recorded too. Routes can fill in
+// res.locals.audit with { userId, passkeyId, platform, outcome, reason, details };
+// request bodies are never copied into the log.
+const audit = (type) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const extra = res.locals.audit || {};
+    const outcome = extra.outcome || getOutcome(res.statusCode);
+
+    auditService.record({
+      type,
+      outcome,
+      reason: extra.reason || (outcome === 'success' ? null : getReason(res.locals.auditBody)),
+      actor: getActor(req),
+      tenantId: req.tenant?.id,
+      userId: extra.userId || req.auth?.userId || req.params?.userId || req.body?.userId || null,
+      passkeyId: extra.passkeyId || req.params?.id || null,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      platform: extra.platform || req.body?.platform || null,
+      details: {
+        status: res.statusCode,
+        ...extra.details
+      }
+    }).catch((error) => {
+      console.error(`Failed to write audit event ${type}:`, error.message);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  audit
+};
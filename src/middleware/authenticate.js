@@ -0,0 +1,79 @@
+const tokenService = require('../services/tokenService');
+const { resolveApiKey } = require('./authorize');
+const { DEFAULT_TENANT } = require('../utils/tenant-storage');
+
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.name = 'UnauthorizedError';
+  error.status = 401;
+  return error;
+};
+
+// Verify the bearer access token and set req.auth to
+// { userId, username, sessionId, tenantId, claims }. Sessions are only valid
+// for the tenant they were issued by.
+const authenticateSession = async (req) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw unauthorized('Missing bearer token');
+  }
+
+  const { claims } = await tokenService.verifyAccessToken(token);
+  const tenantId = claims.tenant || DEFAULT_TENANT;
+  if (tenantId !== (req.tenant?.id || DEFAULT_TENANT)) {
+    throw unauthorized('Session belongs to another tenant');
+  }
+
+  req.auth = {
+    userId: claims.sub,
+    username: claims.username,
+    sessionId: claims.sid,
+    tenantId,
+    claims
+  };
+
+  return req.auth;
+};
+
+// Require a valid first-party access token
+const requireSession = async (req, res, next) => {
+  try {
+    await authenticateSession(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require either an API key (req.apiKey) or a user session (req.auth). Routes
+// decide what each caller may see; API keys carry no user identity.
+const requireCaller = async (req, res, next) => {
+  try {
+    if (await resolveApiKey(req)) {
+      return next();
+    }
+
+    if (!getBearerToken(req)) {
+      throw unauthorized('Missing bearer token or API key');
+    }
+
+    await authenticateSession(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBearerToken,
+  authenticateSession,
+  requireSession,
+  requireCaller
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+const backendService = require('../services/backendService');
+
+// API keys are configured in auth-config.json as
+//   "apiKeys": [{ "id": "ops", "hash": "sha256:<hex>", "scopes": ["admin:config"] }]
+// Only the SHA-256 of each key is stored. A scope of "*" grants everything and
+// "admin:*" grants every admin scope.
+const hashApiKey = (apiKey) => `sha256:${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+
+const authError = (name, status, message) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+const getPresentedApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme && scheme.toLowerCase() === 'apikey' && token ? token : null;
+};
+
+const findApiKey = (apiKeys, presented) => {
+  const presentedHash = Buffer.from(hashApiKey(presented));
+
+  return apiKeys.find((key) => {
+    const storedHash = Buffer.from(key.hash || '');
+    return storedHash.length === presentedHash.length && crypto.timingSafeEqual(storedHash, presentedHash);
+  }) || null;
+};
+
+const hasScope = (grantedScopes = [], scope) => {
+  const [namespace] = scope.split(':');
+  return grantedScopes.includes('*')
+    || grantedScopes.includes(scope)
+    || grantedScopes.includes(`${namespace}:*`);
+};
+
+// Resolve the API key on the request, if any; sets req.apiKey to
+// { id, name, scopes }. Throws 401 for keys that are present but unknown.
+const resolveApiKey = async (req) => {
+  const presented = getPresentedApiKey(req);
+  if (!presented) return null;
+
+  const apiKeys = await backendService.getApiKeys();
+  const apiKey = findApiKey(apiKeys, presented);
+  if (!apiKey || apiKey.disabled) {
+    throw authError('UnauthorizedError', 401, 'Invalid API key');
+  }
+
+  req.apiKey = {
+    id: apiKey.id,
+    name: apiKey.name || apiKey.id,
+    scopes: apiKey.scopes || []
+  };
+  return req.apiKey;
+};
+
+// Require an API key carrying every one of the given scopes
+const requireScope = (...scopes) => {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await resolveApiKey(req);
+      if (!apiKey) {
+        return next(authError('UnauthorizedError', 401, 'Missing API key'));
+      }
+
+      const missing = scopes.filter(scope => !hasScope(apiKey.scopes, scope));
+      if (missing.length > 0) {
+        return next(authError('ForbiddenError', 403, `API key lacks required scope: ${missing.join(', ')}`));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  authError,
+  hashApiKey,
+  hasScope,
+  resolveApiKey,
+  requireScope
+};
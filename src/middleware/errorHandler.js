@@ -23,6 +23,73 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'UnauthorizedError') {
     error.status = 401;
     error.message = 'Unauthorized';
+    if (err.message && err.message !== 'Unauthorized') {
+      error.details = err.message;
+    }
+  }
+
+  if (err.name === 'ForbiddenError') {
+    error.status = 403;
+    error.message = 'Forbidden';
+    error.details = err.message;
+  }
+
+  // Rejected registrations carry a machine-readable code
+  if (err.name === 'AttestationPolicyError' || err.name === 'RegistrationError') {
+    error.status = 400;
+    error.message = 'Registration rejected';
+    error.code = err.code;
+    error.details = err.message;
+  }
+
+  // Verified logins refused by policy (suspended or possibly cloned passkeys)
+  if (err.name === 'AuthenticationError') {
+    error.status = 401;
+    error.message = 'Authentication rejected';
+    error.code = err.code;
+    error.details = err.message;
+  }
+
+  // Rate limits and lockouts; clients retry after Retry-After seconds
+  if (err.name === 'RateLimitError') {
+    error.status = 429;
+    error.message = 'Too Many Requests';
+    error.code = err.code;
+    error.details = err.message;
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  // Wrong or spent recovery codes, and enrollment grants that are expired,
+  // spent or for another user
+  if (err.name === 'RecoveryError') {
+    error.status = err.status;
+    error.message = 'Recovery refused';
+    error.code = err.code;
+    error.details = err.message;
+  }
+
+  // Registering a username that another user ID already holds
+  if (err.name === 'UsernameTakenError') {
+    error.status = 409;
+    error.message = 'Username taken';
+    error.code = err.code;
+    error.details = err.message;
+  }
+
+  // Webhook URLs pointing at loopback, link-local or private addresses
+  if (err.name === 'WebhookUrlError') {
+    error.status = 400;
+    error.message = 'Webhook URL not allowed';
+    error.code = err.code;
+    error.details = err.message;
+  }
+
+  // X-Tenant-ID or ?tenant= naming a tenant that is not configured
+  if (err.name === 'TenantError') {
+    error.status = 400;
+    error.message = 'Unknown tenant';
+    error.code = err.code;
+    error.details = err.message;
   }
 
   if (err.code === 'ENOENT') {
@@ -53,6 +120,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.status).json({
     error: true,
     message: error.message,
+    ...(error.code && { code: error.code }),
     ...(error.details && { details: error.details }),
     timestamp: new Date().toISOString(),
     ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
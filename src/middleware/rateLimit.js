@@ -0,0 +1,50 @@
+const rateLimitService = require('../services/rateLimitService');
+const storage = require('../utils/storage');
+const { createTenantStorage, qualifyId } = require('../utils/tenant-storage');
+
+// These run before the body is validated, so only non-empty strings are
+// taken as subjects; anything else would be stringified into a shared key
+const asSubject = (value) => (typeof value === 'string' && value ? value : null);
+
+// Everything a request can be limited by; rules decide which ones count.
+// Users are counted per tenant.
+const getSubjects = (req) => ({
+  ip: req.ip,
+  user: qualifyId(req.tenant?.id, asSubject(req.body?.userId) || asSubject(req.body?.username)),
+  credential: asSubject(req.body?.credential?.id)
+});
+
+// Count the request against the action's limits; 429 once one is exceeded
+const rateLimit = (action) => async (req, res, next) => {
+  try {
+    await rateLimitService.hit(action, getSubjects(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refuse assertions for a locked-out credential or user. Sets
+// req.lockoutSubjects ({ credential, user }) for the route to report the
+// verification outcome with rateLimitService.recordFailure/recordSuccess,
+// and req.credentialOwner to the user the credential belongs to.
+const checkLockout = async (req, res, next) => {
+  try {
+    const credentialId = asSubject(req.body?.credential?.id);
+    const passkey = credentialId
+      ? await createTenantStorage(storage, req.tenant?.id).getPasskeyByCredentialId(credentialId)
+      : null;
+
+    req.credentialOwner = passkey?.userId || null;
+    req.lockoutSubjects = { credential: credentialId, user: qualifyId(req.tenant?.id, passkey?.userId) };
+    await rateLimitService.checkLockout(req.lockoutSubjects);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  rateLimit,
+  checkLockout
+};
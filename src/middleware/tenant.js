@@ -0,0 +1,21 @@
+const tenantService = require('../services/tenantService');
+
+// Resolve the relying party the request is for and set req.tenant
+// ({ id, ... }): an X-Tenant-ID header or ?tenant= parameter names it
+// explicitly, otherwise the Host header picks it, else the default tenant.
+// Unknown explicit tenants are refused with 400 UNKNOWN_TENANT.
+const resolveTenant = async (req, res, next) => {
+  try {
+    req.tenant = await tenantService.resolve({
+      tenantId: req.get('X-Tenant-ID') || req.query?.tenant,
+      host: req.hostname
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  resolveTenant
+};
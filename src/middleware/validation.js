@@ -1,4 +1,27 @@
 const Joi = require('joi');
+const { EVENT_TYPES: WEBHOOK_EVENT_TYPES } = require('../services/webhookService');
+const { validateRelatedOrigins } = require('../utils/origins');
+const { canonicalize } = require('../utils/transaction');
+
+// Transactions travel in the challenge and the step-up token; keep them small
+const MAX_TRANSACTION_BYTES = 4096;
+const transactionSize = (value, helpers) => (
+  Buffer.byteLength(canonicalize(value)) > MAX_TRANSACTION_BYTES
+    ? helpers.message(`"transaction" must be at most ${MAX_TRANSACTION_BYTES} bytes as JSON`)
+    : value
+);
+
+// Related origins must be https origins spanning at most five labels
+const relatedOrigins = (value, helpers) => {
+  const [problem] = validateRelatedOrigins(value);
+  return problem ? helpers.message(`"${problem.path}" ${problem.message}`) : value;
+};
+
+// Tenant users are stored as "<tenantId>:<id>", so a default-tenant user ID or
+// username containing a colon could pass for another tenant's user
+const userIdentifier = Joi.string().pattern(/^[^:]*$/).messages({
+  'string.pattern.base': '{{#label}} must not contain ":"'
+});
 
 const validateRequest = (schema, property = 'body') => {
   return (req, res, next) => {
@@ -23,25 +46,35 @@ const validateRequest = (schema, property = 'body') => {
 // Validation schemas
 const schemas = {
   registerBegin: Joi.object({
-    userId: Joi.string().required().min(1).max(100),
-    username: Joi.string().required().min(1).max(100),
+    userId: userIdentifier.required().min(1).max(100),
+    username: userIdentifier.required().min(1).max(100),
     displayName: Joi.string().optional().max(100),
-    platform: Joi.string().optional().valid('web', 'android', 'ios')
+    platform: Joi.string().optional().valid('web', 'android', 'ios'),
+    residentKey: Joi.string().optional().valid('discouraged', 'preferred', 'required'),
+    // Enrollment grant from POST /api/recovery/redeem
+    recoveryGrant: Joi.string().optional()
   }),
 
   registerComplete: Joi.object({
-    userId: Joi.string().required(),
+    userId: userIdentifier.required(),
     sessionId: Joi.string().required(),
     credential: Joi.object().required(),
     origin: Joi.string().optional(),
-    platform: Joi.string().optional().valid('web', 'android', 'ios')
+    platform: Joi.string().optional().valid('web', 'android', 'ios'),
+    nickname: Joi.string().optional().trim().min(1).max(64)
   }),
 
+  // Without userId or username this starts a usernameless (discoverable) login.
+  // Conditional mediation (autofill) is always usernameless.
   loginBegin: Joi.object({
-    userId: Joi.string().optional(),
-    username: Joi.string().optional(),
-    platform: Joi.string().optional().valid('web', 'android', 'ios')
-  }).or('userId', 'username'),
+    userId: userIdentifier.optional()
+      .when('mediation', { is: 'conditional', then: Joi.forbidden() }),
+    username: userIdentifier.optional()
+      .when('mediation', { is: 'conditional', then: Joi.forbidden() }),
+    platform: Joi.string().optional().valid('web', 'android', 'ios'),
+    mediation: Joi.string().optional().valid('optional', 'required', 'conditional'),
+    previousSessionId: Joi.string().optional()
+  }),
 
   loginComplete: Joi.object({
     sessionId: Joi.string().required(),
@@ -54,9 +87,101 @@ const schemas = {
     id: Joi.string().required()
   }),
 
+  // null or an empty string clears a field
+  updatePasskey: Joi.object({
+    nickname: Joi.string().optional().allow('', null).trim().max(64),
+    notes: Joi.string().optional().allow('', null).max(500)
+  }).min(1),
+
+  refreshSession: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  logout: Joi.object({
+    refreshToken: Joi.string().optional()
+  }),
+
+  updateConfig: Joi.object({
+    rpName: Joi.string().optional().max(100),
+    rpID: Joi.string().optional().hostname(),
+    origin: Joi.string().optional().uri(),
+    timeout: Joi.number().optional().integer().min(1000).max(600000),
+    conditionalTimeout: Joi.number().optional().integer().min(60000).max(3600000),
+    allowedOrigins: Joi.array().optional().items(Joi.string()),
+    relatedOrigins: Joi.array().optional().items(Joi.string()).custom(relatedOrigins),
+    androidApps: Joi.array().optional().items(Joi.object({
+      packageName: Joi.string().required(),
+      sha256CertFingerprints: Joi.array().required().min(1).items(
+        Joi.string().pattern(/^([0-9A-Fa-f]{2}:?){31}[0-9A-Fa-f]{2}$/)
+      )
+    })),
+    iosApps: Joi.array().optional().items(Joi.object({
+      teamId: Joi.string().required().pattern(/^[A-Z0-9]{10}$/),
+      bundleId: Joi.string().required().pattern(/^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/)
+    }))
+  }),
+
+  // The operation to approve, e.g. { type: 'phone.change', phoneNumber: '+1...' }
+  stepUpBegin: Joi.object({
+    transaction: Joi.object({
+      type: Joi.string().required().max(100)
+    }).unknown(true).required().custom(transactionSize),
+    platform: Joi.string().optional().valid('web', 'android', 'ios')
+  }),
+
+  stepUpComplete: Joi.object({
+    sessionId: Joi.string().required(),
+    credential: Joi.object().required()
+  }),
+
+  // A recovery code for the user named by userId or username
+  recoveryRedeem: Joi.object({
+    userId: userIdentifier.min(1).max(100),
+    username: userIdentifier.min(1).max(100),
+    code: Joi.string().required().max(64)
+  }).xor('userId', 'username'),
+
   signin: Joi.object({
-    userId: Joi.string().required(),
+    userId: userIdentifier.required(),
     sessionToken: Joi.string().optional()
+  }),
+
+  // Route parameters of the per-user credential admin routes
+  userParams: Joi.object({
+    userId: userIdentifier.required()
+  }),
+
+  // Query string of GET /api/audit
+  auditQuery: Joi.object({
+    userId: Joi.string().optional(),
+    type: Joi.string().optional(),
+    outcome: Joi.string().optional().valid('success', 'failure', 'denied'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    limit: Joi.number().optional().integer().min(1).max(1000),
+    cursor: Joi.string().optional(),
+    format: Joi.string().optional().valid('json', 'csv'),
+    tenant: Joi.string().optional()
+  }),
+
+  createWebhook: Joi.object({
+    url: Joi.string().required().uri({ scheme: ['http', 'https'] }),
+    events: Joi.array().optional().min(1).unique().items(Joi.string().valid('*', ...WEBHOOK_EVENT_TYPES)),
+    description: Joi.string().optional().allow('', null).max(200)
+  }),
+
+  updateWebhook: Joi.object({
+    url: Joi.string().optional().uri({ scheme: ['http', 'https'] }),
+    events: Joi.array().optional().min(1).unique().items(Joi.string().valid('*', ...WEBHOOK_EVENT_TYPES)),
+    description: Joi.string().optional().allow('', null).max(200),
+    enabled: Joi.boolean().optional()
+  }).min(1),
+
+  // Query string of GET /api/webhooks/:id/deliveries
+  webhookDeliveries: Joi.object({
+    status: Joi.string().optional().valid('pending', 'succeeded', 'failed'),
+    limit: Joi.number().optional().integer().min(1).max(500),
+    tenant: Joi.string().optional()
   })
 };
 
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+
+const auditService = require('../services/auditService');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { requireScope } = require('../middleware/authorize');
+const { audit } = require('../middleware/audit');
+
+// GET /api/audit - Query the audit log (JSON, or CSV with format=csv)
+router.get('/', audit('audit.query'), requireScope('admin:audit'), validateRequest(schemas.auditQuery, 'query'), async (req, res, next) => {
+  try {
+    const { userId, type, outcome, from, to, limit, cursor, format } = req.query;
+
+    const filters = { userId, type, outcome, from, to };
+    const { events, nextCursor } = await auditService.query({
+      ...filters,
+      tenantId: req.tenant?.id,
+      limit: limit ? parseInt(limit) : undefined,
+      cursor
+    });
+    res.locals.audit = { details: { filters, format: format || 'json', returned: events.length } };
+
+    if (format === 'csv') {
+      if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+      res.set('Content-Disposition', 'attachment; filename="audit-log.csv"');
+      res.type('text/csv').send(auditService.toCsv(events));
+      return;
+    }
+
+    res.json({
+      success: true,
+      events,
+      count: events.length,
+      nextCursor
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,40 +2,61 @@ const express = require('express');
 const router = express.Router();
 
 const backendService = require('../services/backendService');
+const tokenService = require('../services/tokenService');
+const tenantService = require('../services/tenantService');
 const { validateRequest, schemas } = require('../middleware/validation');
+const { getBearerToken, requireSession } = require('../middleware/authenticate');
+const { requireScope } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
+const { audit } = require('../middleware/audit');
+const { maskUsername } = require('../utils/redact');
+const { validateAssociations, buildAppSiteAssociation, buildAssetLinks, buildWebAuthnAssociation } = require('../utils/associations');
 
 // POST /api/auth/signin - Sign in with configured backend credentials
-router.post('/signin', validateRequest(schemas.signin), async (req, res, next) => {
+router.post('/signin', audit('auth.signin'), rateLimit('signin'), validateRequest(schemas.signin), async (req, res, next) => {
   try {
     const { userId, sessionToken } = req.body;
+    const tenantId = req.tenant?.id;
 
-    // Check if user has configured credentials
-    const userCredentials = await backendService.getUserCredentials(userId);
-    if (!userCredentials) {
+    // Check if user has configured credentials, when their provider needs them
+    const provider = await backendService.getProviderForUser(userId, tenantId);
+    const userCredentials = provider.requiresCredentials
+      ? await backendService.getUserCredentials(userId, tenantId)
+      : null;
+    if (provider.requiresCredentials && !userCredentials) {
       return res.status(404).json({
         error: true,
         message: `No credentials configured for user: ${userId}`,
-        availableUsers: await backendService.getAvailableUsers()
+        availableUsers: await backendService.getAvailableUsers(tenantId)
       });
     }
 
-    // Authenticate with backend
-    const result = await backendService.authenticateUser(userId);
+    // Authenticate with backend; token-exchange providers exchange the session token
+    const result = await backendService.authenticateUser(userId, { tenantId, subjectToken: sessionToken });
+    res.locals.audit = { details: { provider: result.provider, tokenSource: result.tokenSource } };
 
     if (result.success) {
       res.json({
         success: true,
         message: 'Authentication successful',
         userId,
-        username: userCredentials.username,
+        provider: result.provider,
+        tokenSource: result.tokenSource,
+        username: userCredentials ? maskUsername(userCredentials.username) : null,
         backendResponse: result.data,
         authenticatedAt: new Date().toISOString(),
         ...(sessionToken && { sessionToken })
       });
     } else {
+      // Open circuit: tell the client when to try again
+      if (result.error.retryAfter) {
+        res.set('Retry-After', String(result.error.retryAfter));
+      }
+
       res.status(result.error.status || 401).json({
         error: true,
         message: result.error.message || 'Authentication failed',
+        ...(result.error.code && { code: result.error.code }),
         details: result.error.data,
         userId
       });
@@ -45,17 +66,87 @@ router.post('/signin', validateRequest(schemas.signin), async (req, res, next) =
   }
 });
 
-// GET /api/auth/users - List available configured users
-router.get('/users', async (req, res, next) => {
+// GET /api/auth/session - Describe the session behind the bearer access token
+router.get('/session', requireSession, async (req, res, next) => {
+  try {
+    const { claims } = req.auth;
+
+    res.json({
+      success: true,
+      session: {
+        sessionId: claims.sid,
+        userId: claims.sub,
+        username: claims.username,
+        passkeyId: claims.passkeyId,
+        tenant: req.auth.tenantId,
+        issuedAt: new Date(claims.iat * 1000).toISOString(),
+        expiresAt: new Date(claims.exp * 1000).toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', validateRequest(schemas.refreshSession), async (req, res, next) => {
   try {
-    const availableUsers = await backendService.getAvailableUsers();
+    const session = await tokenService.refresh(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/logout - End a session by refresh token or bearer access token
+router.post('/logout', validateRequest(schemas.logout), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    let sessionId;
+
+    if (refreshToken) {
+      sessionId = (await tokenService.revokeRefreshToken(refreshToken)).id;
+    } else {
+      const token = getBearerToken(req);
+      if (!token) {
+        return res.status(400).json({
+          error: true,
+          message: 'Provide a refreshToken or a bearer access token'
+        });
+      }
+
+      const { session } = await tokenService.verifyAccessToken(token);
+      await tokenService.revokeSession(session.id);
+      sessionId = session.id;
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+      sessionId
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/users - List the request tenant's configured users
+router.get('/users', audit('credentials.list'), requireScope('admin:credentials'), async (req, res, next) => {
+  try {
+    const availableUsers = await backendService.getAvailableUsers(req.tenant?.id);
     const userDetails = {};
 
     for (const userId of availableUsers) {
-      const credentials = await backendService.getUserCredentials(userId);
+      const credentials = await backendService.getUserCredentials(userId, req.tenant?.id);
+      // Only masked usernames ever leave the vault
       userDetails[userId] = {
-        username: credentials.username,
-        hasPassword: !!credentials.password
+        username: maskUsername(credentials?.username),
+        hasPassword: !!credentials?.password
       };
     }
 
@@ -70,8 +161,8 @@ router.get('/users', async (req, res, next) => {
   }
 });
 
-// PUT /api/auth/users/:userId/credentials - Update user credentials (for configuration)
-router.put('/users/:userId/credentials', async (req, res, next) => {
+// PUT /api/auth/users/:userId/credentials - Store user credentials in the vault
+router.put('/users/:userId/credentials', audit('credentials.update'), requireScope('admin:credentials'), validateRequest(schemas.userParams, 'params'), async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { username, password } = req.body;
@@ -83,26 +174,27 @@ router.put('/users/:userId/credentials', async (req, res, next) => {
       });
     }
 
-    await backendService.updateUserCredentials(userId, { username, password });
+    await backendService.updateUserCredentials(userId, { username, password }, req.tenant?.id);
 
     res.json({
       success: true,
       message: 'User credentials updated successfully',
       userId,
-      username
+      username: maskUsername(username)
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/auth/config - Get WebAuthn configuration
+// GET /api/auth/config - Get the request tenant's WebAuthn configuration
 router.get('/config', async (req, res, next) => {
   try {
-    const config = await backendService.getWebAuthnConfig();
+    const config = await tenantService.getWebAuthnConfig(req.tenant?.id);
 
     res.json({
       success: true,
+      tenant: req.tenant?.id,
       config
     });
   } catch (error) {
@@ -110,16 +202,21 @@ router.get('/config', async (req, res, next) => {
   }
 });
 
-// PUT /api/auth/config - Update WebAuthn configuration
-router.put('/config', async (req, res, next) => {
+// PUT /api/auth/config - Update the request tenant's WebAuthn configuration
+router.put('/config', audit('config.update'), requireScope('admin:config'), validateRequest(schemas.updateConfig), async (req, res, next) => {
   try {
-    const { rpName, rpID, origin, timeout } = req.body;
+    const { rpName, rpID, origin, timeout, conditionalTimeout, allowedOrigins, relatedOrigins, androidApps, iosApps } = req.body;
 
     const updates = {};
     if (rpName) updates.rpName = rpName;
     if (rpID) updates.rpID = rpID;
     if (origin) updates.origin = origin;
     if (timeout) updates.timeout = parseInt(timeout);
+    if (conditionalTimeout) updates.conditionalTimeout = parseInt(conditionalTimeout);
+    if (allowedOrigins) updates.allowedOrigins = allowedOrigins;
+    if (relatedOrigins) updates.relatedOrigins = relatedOrigins;
+    if (androidApps) updates.androidApps = androidApps;
+    if (iosApps) updates.iosApps = iosApps;
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
@@ -128,7 +225,8 @@ router.put('/config', async (req, res, next) => {
       });
     }
 
-    const updatedConfig = await backendService.updateWebAuthnConfig(updates);
+    res.locals.audit = { details: { fields: Object.keys(updates) } };
+    const updatedConfig = await backendService.updateWebAuthnConfig(updates, req.tenant?.id);
 
     res.json({
       success: true,
@@ -140,12 +238,37 @@ router.put('/config', async (req, res, next) => {
   }
 });
 
+// GET /api/auth/associations - Check the request tenant's association files
+router.get('/associations', requireScope('admin:config'), async (req, res, next) => {
+  try {
+    const config = await tenantService.getWebAuthnConfig(req.tenant?.id);
+    const problems = validateAssociations(config);
+
+    res.json({
+      success: true,
+      valid: problems.length === 0,
+      problems,
+      appleAppSiteAssociation: buildAppSiteAssociation(config),
+      assetLinks: buildAssetLinks(config),
+      webauthn: buildWebAuthnAssociation(config)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/auth/test/:userId - Test backend authentication for a user
-router.post('/test/:userId', async (req, res, next) => {
+router.post('/test/:userId', audit('backend.test'), requireScope('admin:credentials'), validateRequest(schemas.userParams, 'params'), async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    const result = await backendService.authenticateUser(userId);
+    // Always exercise the real sign-in rather than a cached token
+    const result = await backendService.authenticateUser(userId, { tenantId: req.tenant?.id, forceSignin: true });
+    res.locals.audit = {
+      outcome: result.success ? 'success' : 'failure',
+      reason: result.error?.code || result.error?.message,
+      details: { provider: result.provider }
+    };
 
     res.json({
       success: result.success,
@@ -157,6 +280,7 @@ router.post('/test/:userId', async (req, res, next) => {
       } : {
         error: result.error
       },
+      provider: result.provider,
       testedAt: new Date().toISOString()
     });
   } catch (error) {
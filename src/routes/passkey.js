@@ -2,31 +2,103 @@ const express = require('express');
 const router = express.Router();
 
 const webauthnService = require('../services/webauthnService');
-const storage = require('../utils/kv-storage');
 const backendService = require('../services/backendService');
+const tokenService = require('../services/tokenService');
+const providerService = require('../services/providerService');
+const securityEventService = require('../services/securityEventService');
+const rateLimitService = require('../services/rateLimitService');
+const webhookService = require('../services/webhookService');
+const recoveryService = require('../services/recoveryService');
 const { validateRequest, schemas } = require('../middleware/validation');
+const { rateLimit, checkLockout } = require('../middleware/rateLimit');
+const { audit } = require('../middleware/audit');
+const { authError, hasScope, requireScope } = require('../middleware/authorize');
+const { getBearerToken, authenticateSession, requireCaller, requireSession } = require('../middleware/authenticate');
 
-// GET /api/passkeys - List all passkeys or passkeys for a specific user
-router.get('/', async (req, res, next) => {
+// Ceremonies and storage of the relying party resolved for the request
+const webauthnFor = (req) => webauthnService.forTenant(req.tenant?.id);
+const storageFor = (req) => webauthnFor(req).storage;
+
+// Admin override: an API key carrying the scope may act on any user's passkeys
+const hasAdminScope = (req, scope) => !!req.apiKey && hasScope(req.apiKey.scopes, scope);
+
+// Whether the caller may act on this passkey. API keys without the admin scope
+// are refused outright; signed-in users only ever see their own passkeys.
+const checkPasskeyAccess = (req, passkey, scope) => {
+  if (hasAdminScope(req, scope)) return true;
+
+  if (!req.auth) {
+    throw authError('ForbiddenError', 403, `API key lacks required scope: ${scope}`);
+  }
+
+  return passkey.userId === req.auth.userId;
+};
+
+// Adding a passkey to an existing account takes a session of that user; only
+// brand-new users (and recovery grants) enroll without one. Returns the
+// enrollment the ceremony is started under, re-checked at register/complete.
+const checkEnrollmentAccess = async (req, userId) => {
+  if (!(await webauthnFor(req).hasAccount(userId))) {
+    return { mode: 'new' };
+  }
+
+  if (!getBearerToken(req)) {
+    throw authError('UnauthorizedError', 401, 'Sign in or use a recovery grant to add a passkey to this account');
+  }
+
+  await authenticateSession(req);
+  if (req.auth.userId !== userId) {
+    throw authError('ForbiddenError', 403, 'Cannot register a passkey for another user');
+  }
+
+  return { mode: 'session', userId: req.auth.userId };
+};
+
+// Passkey details without key material; callers load providerService first
+const sanitizePasskey = (passkey) => ({
+  id: passkey.id,
+  userId: passkey.userId,
+  username: passkey.username,
+  displayName: passkey.displayName,
+  nickname: passkey.nickname || null,
+  notes: passkey.notes || null,
+  credentialDeviceType: passkey.credentialDeviceType,
+  credentialBackedUp: passkey.credentialBackedUp,
+  transports: passkey.transports,
+  platform: passkey.platform || 'web',
+  registeredFrom: passkey.registeredFrom,
+  attestation: passkey.attestation,
+  ...providerService.describe(passkey),
+  status: passkey.status || 'active',
+  suspendedAt: passkey.suspendedAt,
+  suspendedReason: passkey.suspendedReason,
+  cloneSuspected: !!passkey.cloneSuspected,
+  cloneDetection: passkey.cloneDetection,
+  createdAt: passkey.createdAt,
+  lastUsed: passkey.lastUsed,
+  counter: passkey.counter
+});
+
+// GET /api/passkeys - List the caller's passkeys, or any user's with passkeys:read
+router.get('/', requireCaller, async (req, res, next) => {
   try {
-    const { userId } = req.query;
-    const passkeys = await storage.getPasskeys(userId);
+    let { userId } = req.query;
+
+    if (!hasAdminScope(req, 'passkeys:read')) {
+      if (!req.auth) {
+        throw authError('ForbiddenError', 403, 'API key lacks required scope: passkeys:read');
+      }
+      if (userId && userId !== req.auth.userId) {
+        throw authError('ForbiddenError', 403, 'Cannot list passkeys of another user');
+      }
+      userId = req.auth.userId;
+    }
+
+    const passkeys = userId ? await storageFor(req).getPasskeysByUser(userId) : await storageFor(req).getPasskeys();
+    await providerService.ensureLoaded();
 
     // Remove sensitive data before sending
-    const sanitizedPasskeys = passkeys.map(passkey => ({
-      id: passkey.id,
-      userId: passkey.userId,
-      username: passkey.username,
-      displayName: passkey.displayName,
-      credentialDeviceType: passkey.credentialDeviceType,
-      credentialBackedUp: passkey.credentialBackedUp,
-      transports: passkey.transports,
-      platform: passkey.platform || 'web',
-      registeredFrom: passkey.registeredFrom,
-      createdAt: passkey.createdAt,
-      lastUsed: passkey.lastUsed,
-      counter: passkey.counter
-    }));
+    const sanitizedPasskeys = passkeys.map(sanitizePasskey);
 
     res.json({
       success: true,
@@ -39,36 +111,71 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// GET /api/passkeys/:id - Get specific passkey details
-router.get('/:id', async (req, res, next) => {
+// GET /api/passkeys/:id - Get one of the caller's passkeys, or any with passkeys:read
+router.get('/:id', requireCaller, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const passkey = await storage.getPasskeyById(id);
+    const passkey = await storageFor(req).getPasskeyById(id);
 
-    if (!passkey) {
+    // Other users' passkeys are reported as missing rather than forbidden
+    if (!passkey || !checkPasskeyAccess(req, passkey, 'passkeys:read')) {
       return res.status(404).json({
         error: true,
         message: 'Passkey not found'
       });
     }
 
+    await providerService.ensureLoaded();
+
     // Remove sensitive data
-    const sanitizedPasskey = {
-      id: passkey.id,
+    const sanitizedPasskey = sanitizePasskey(passkey);
+
+    res.json({
+      success: true,
+      passkey: sanitizedPasskey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/passkeys/:id - Set the nickname and notes of one of the caller's passkeys
+router.patch('/:id', audit('passkey.update'), requireCaller, validateRequest(schemas.updatePasskey), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const passkey = await storageFor(req).getPasskeyById(id);
+
+    if (!passkey || !checkPasskeyAccess(req, passkey, 'passkeys:write')) {
+      return res.status(404).json({
+        error: true,
+        message: 'Passkey not found'
+      });
+    }
+
+    res.locals.audit = {
       userId: passkey.userId,
-      username: passkey.username,
-      displayName: passkey.displayName,
-      credentialDeviceType: passkey.credentialDeviceType,
-      credentialBackedUp: passkey.credentialBackedUp,
-      transports: passkey.transports,
-      createdAt: passkey.createdAt,
-      lastUsed: passkey.lastUsed,
-      counter: passkey.counter
+      details: { fields: Object.keys(req.body).filter(field => ['nickname', 'notes'].includes(field)) }
     };
 
+    const updated = { ...passkey };
+    for (const field of ['nickname', 'notes']) {
+      if (!(field in req.body)) continue;
+
+      const value = typeof req.body[field] === 'string' ? req.body[field].trim() : null;
+      if (value) {
+        updated[field] = value;
+      } else {
+        delete updated[field];
+      }
+    }
+
+    await storageFor(req).savePasskey(id, updated);
+    await providerService.ensureLoaded();
+
     res.json({
       success: true,
-      passkey: sanitizedPasskey
+      message: 'Passkey updated successfully',
+      passkey: sanitizePasskey(await storageFor(req).getPasskeyById(id))
     });
   } catch (error) {
     next(error);
@@ -76,19 +183,28 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST /api/passkeys/register/begin - Start passkey registration
-router.post('/register/begin', validateRequest(schemas.registerBegin), async (req, res, next) => {
+router.post('/register/begin', audit('passkey.register.begin'), rateLimit('register-begin'), validateRequest(schemas.registerBegin), async (req, res, next) => {
   try {
-    const { userId, username, displayName, platform } = req.body;
+    const { userId, username, displayName, platform, residentKey, recoveryGrant } = req.body;
 
     // Detect platform from request
     const userAgent = req.get('User-Agent') || '';
     const detectedPlatform = webauthnService.detectPlatform(userAgent, platform);
+    res.locals.audit = { platform: detectedPlatform, details: { recovery: !!recoveryGrant } };
 
-    const result = await webauthnService.generateRegistrationOptions(
+    // A recovery grant only ever enrolls a passkey for the user it was issued to
+    const grant = recoveryGrant
+      ? await recoveryService.verifyGrant(recoveryGrant, { userId, tenantId: webauthnFor(req).tenantId })
+      : null;
+    const enrollment = grant ? { mode: 'recovery' } : await checkEnrollmentAccess(req, userId);
+
+    const result = await webauthnFor(req).generateRegistrationOptions(
       userId,
       username,
       displayName,
-      detectedPlatform
+      detectedPlatform,
+      residentKey,
+      { recoveryGrantId: grant?.id, enrollment }
     );
 
     res.json({
@@ -107,30 +223,38 @@ router.post('/register/begin', validateRequest(schemas.registerBegin), async (re
 });
 
 // POST /api/passkeys/register/complete - Complete passkey registration
-router.post('/register/complete', validateRequest(schemas.registerComplete), async (req, res, next) => {
+router.post('/register/complete', audit('passkey.register.complete'), validateRequest(schemas.registerComplete), async (req, res, next) => {
   try {
-    const { userId, sessionId, credential, origin, platform } = req.body;
-
-    // Get origin from request if not provided
-    const requestOrigin = "nagender.in";
+    const { userId, sessionId, credential, platform, nickname } = req.body;
 
     // Detect platform from request
     const userAgent = req.get('User-Agent') || '';
     const detectedPlatform = webauthnService.detectPlatform(userAgent, platform);
-console.log(sessionId,
-    credential,
-    userId,
-    requestOrigin,
-    detectedPlatform)
-    const result = await webauthnService.verifyRegistration(
+    res.locals.audit = { platform: detectedPlatform };
+
+    // The origin is checked against configured origins from clientDataJSON itself
+    const result = await webauthnFor(req).verifyRegistration(
       sessionId,
       credential,
       userId,
-      requestOrigin,
-      detectedPlatform
+      detectedPlatform,
+      { nickname: nickname?.trim() }
     );
 
     if (result.verified) {
+      await providerService.ensureLoaded();
+      res.locals.audit.passkeyId = result.passkeyId;
+      res.locals.audit.details = {
+        attestationFormat: result.passkey.attestation?.format,
+        ...(result.passkey.enrolledVia && { enrolledVia: result.passkey.enrolledVia })
+      };
+
+      // The first passkey comes with recovery codes, shown this once
+      const tenantId = webauthnFor(req).tenantId;
+      const recovery = await recoveryService.getStatus(userId, tenantId)
+        ? null
+        : await recoveryService.generateCodes(userId, tenantId);
+
       res.json({
         success: true,
         message: 'Passkey registered successfully',
@@ -140,11 +264,14 @@ console.log(sessionId,
           userId: result.passkey.userId,
           username: result.passkey.username,
           displayName: result.passkey.displayName,
+          nickname: result.passkey.nickname || null,
           credentialDeviceType: result.passkey.credentialDeviceType,
           credentialBackedUp: result.passkey.credentialBackedUp,
           transports: result.passkey.transports,
+          ...providerService.describe(result.passkey),
           createdAt: result.passkey.createdAt
-        }
+        },
+        ...(recovery && { recoveryCodes: recovery.codes })
       });
     } else {
       res.status(400).json({
@@ -158,29 +285,34 @@ console.log(sessionId,
 });
 
 // POST /api/passkeys/login/begin - Start passkey authentication
-router.post('/login/begin', validateRequest(schemas.loginBegin), async (req, res, next) => {
+router.post('/login/begin', audit('passkey.login.begin'), rateLimit('login-begin'), validateRequest(schemas.loginBegin), async (req, res, next) => {
   try {
-    const { userId, username, platform } = req.body;
+    const { userId, username, platform, mediation, previousSessionId } = req.body;
 
-    // If username provided, find userId
+    // If username provided, find userId. Unknown usernames fall through to a
+    // usernameless ceremony rather than revealing that the user does not exist.
     let targetUserId = userId;
     if (!targetUserId && username) {
-      const allUsers = await storage.getAllUsers();
-      const user = allUsers.find(u => u.username === username);
+      const user = await storageFor(req).getUserByUsername(username);
       targetUserId = user?.id;
     }
 
     // Detect platform from request
     const userAgent = req.get('User-Agent') || '';
     const detectedPlatform = webauthnService.detectPlatform(userAgent, platform);
+    res.locals.audit = { userId: targetUserId, platform: detectedPlatform, details: { mediation } };
 
-    const result = await webauthnService.generateAuthenticationOptions(targetUserId, detectedPlatform);
+    const result = await webauthnFor(req).generateAuthenticationOptions(targetUserId, detectedPlatform, {
+      mediation,
+      previousSessionId
+    });
 
     res.json({
       success: true,
       ...result.options,
       sessionId: result.sessionId,
       platform: detectedPlatform,
+      ...(result.mediation && { mediation: result.mediation, expiresAt: result.expiresAt }),
       message: 'Authentication options generated successfully'
     });
   } catch (error) {
@@ -189,18 +321,36 @@ router.post('/login/begin', validateRequest(schemas.loginBegin), async (req, res
 });
 
 // POST /api/passkeys/login/complete - Complete passkey authentication
-router.post('/login/complete', validateRequest(schemas.loginComplete), async (req, res, next) => {
+router.post('/login/complete', audit('passkey.login.complete'), rateLimit('login-complete'), validateRequest(schemas.loginComplete), checkLockout, async (req, res, next) => {
   try {
-    const { sessionId, credential, origin, skipBackendAuth } = req.body;
+    const { sessionId, credential, skipBackendAuth } = req.body;
 
-    // Get origin from request if not provided
-    const requestOrigin = origin || req.get('Origin') || req.get('Referer');
+    res.locals.audit = { userId: req.credentialOwner, details: { credentialId: credential.id } };
 
-    const result = await webauthnService.verifyAuthentication(sessionId, credential, requestOrigin);
+    // Failed verifications count towards a lockout of the credential and its user
+    let result;
+    try {
+      result = await webauthnFor(req).verifyAuthentication(sessionId, credential);
+    } catch (error) {
+      await rateLimitService.recordFailure(req.lockoutSubjects);
+      throw error;
+    }
 
     if (result.verified) {
+      await rateLimitService.recordSuccess(req.lockoutSubjects);
+      res.locals.audit.userId = result.userId;
+      res.locals.audit.passkeyId = result.passkeyId;
+
       const authenticatedAt = new Date().toISOString();
 
+      // First-party session, independent of the backend signin below
+      const session = await tokenService.issueSession({
+        userId: result.userId,
+        username: result.username,
+        passkeyId: result.passkeyId,
+        tenantId: req.tenant?.id
+      });
+
       // Prepare base response
       const baseResponse = {
         success: true,
@@ -210,7 +360,9 @@ router.post('/login/complete', validateRequest(schemas.loginComplete), async (re
           username: result.username,
           passkeyId: result.passkeyId
         },
-        authenticatedAt
+        session,
+        authenticatedAt,
+        ...(result.warning && { securityWarning: result.warning })
       };
 
       // Check if backend authentication should be skipped
@@ -228,8 +380,10 @@ router.post('/login/complete', validateRequest(schemas.loginComplete), async (re
 
       // Attempt backend authentication
       try {
-        console.log(`Attempting backend signin for user: ${result.userId}`);
-        const backendResult = await backendService.authenticateUser(result.userId);
+        const backendResult = await backendService.authenticateUser(result.userId, {
+          tenantId: req.tenant?.id,
+          subjectToken: session.accessToken
+        });
 
         if (backendResult.success) {
           // Backend signin successful - include backend response
@@ -238,6 +392,8 @@ router.post('/login/complete', validateRequest(schemas.loginComplete), async (re
             backendAuthentication: {
               success: true,
               message: 'Backend signin successful',
+              provider: backendResult.provider,
+              tokenSource: backendResult.tokenSource,
               data: backendResult.data,
               status: backendResult.status
             }
@@ -259,7 +415,7 @@ router.post('/login/complete', validateRequest(schemas.loginComplete), async (re
 
         // Backend service error - check if user has configured credentials
         try {
-          const userCredentials = await backendService.getUserCredentials(result.userId);
+          const userCredentials = await backendService.getUserCredentials(result.userId, req.tenant?.id);
 
           if (!userCredentials) {
             // No credentials configured
@@ -268,7 +424,7 @@ router.post('/login/complete', validateRequest(schemas.loginComplete), async (re
               backendAuthentication: {
                 success: false,
                 message: `No backend credentials configured for user: ${result.userId}`,
-                availableUsers: await backendService.getAvailableUsers()
+                availableUsers: await backendService.getAvailableUsers(req.tenant?.id)
               },
               warning: 'Passkey authentication successful but no backend credentials configured'
             });
@@ -298,6 +454,8 @@ router.post('/login/complete', validateRequest(schemas.loginComplete), async (re
         }
       }
     } else {
+      await rateLimitService.recordFailure(req.lockoutSubjects);
+
       res.status(401).json({
         error: true,
         message: 'Authentication failed'
@@ -308,23 +466,110 @@ router.post('/login/complete', validateRequest(schemas.loginComplete), async (re
   }
 });
 
-// DELETE /api/passkeys/:id - Delete a specific passkey
-router.delete('/:id', async (req, res, next) => {
+// POST /api/passkeys/stepup/begin - Ask the signed-in user to approve one transaction
+router.post('/stepup/begin', audit('passkey.stepup.begin'), requireSession, validateRequest(schemas.stepUpBegin), async (req, res, next) => {
+  try {
+    const { transaction, platform } = req.body;
+
+    const userAgent = req.get('User-Agent') || '';
+    const detectedPlatform = webauthnService.detectPlatform(userAgent, platform);
+
+    const result = await webauthnFor(req).generateStepUpOptions(req.auth.userId, transaction, detectedPlatform);
+    res.locals.audit = {
+      platform: detectedPlatform,
+      details: { transactionType: transaction.type, transactionHash: result.transactionHash }
+    };
+
+    res.json({
+      success: true,
+      ...result.options,
+      sessionId: result.sessionId,
+      transactionHash: result.transactionHash,
+      platform: detectedPlatform,
+      message: 'Step-up options generated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/passkeys/stepup/complete - Verify the approval and issue a step-up token
+router.post('/stepup/complete', audit('passkey.stepup.complete'), requireSession, validateRequest(schemas.stepUpComplete), checkLockout, async (req, res, next) => {
+  try {
+    const { sessionId, credential } = req.body;
+
+    res.locals.audit = { details: { credentialId: credential.id } };
+
+    // Failed approvals count towards the same lockout as failed logins
+    let result;
+    try {
+      result = await webauthnFor(req).verifyStepUp(sessionId, credential, req.auth.userId);
+    } catch (error) {
+      await rateLimitService.recordFailure(req.lockoutSubjects);
+      throw error;
+    }
+
+    await rateLimitService.recordSuccess(req.lockoutSubjects);
+    res.locals.audit.passkeyId = result.passkeyId;
+    res.locals.audit.details.transactionType = result.transaction.type;
+    res.locals.audit.details.transactionHash = result.transactionHash;
+
+    const stepUp = await tokenService.issueStepUpToken({
+      userId: result.userId,
+      sessionId: req.auth.sessionId,
+      passkeyId: result.passkeyId,
+      tenantId: req.auth.tenantId,
+      transaction: result.transaction
+    });
+
+    res.json({
+      success: true,
+      message: 'Transaction approved',
+      stepUpToken: stepUp.stepUpToken,
+      tokenType: 'StepUp',
+      expiresIn: stepUp.expiresIn,
+      transaction: {
+        type: result.transaction.type,
+        hash: stepUp.transactionHash
+      },
+      approvedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/passkeys/:id - Delete one of the caller's passkeys, or any with passkeys:delete
+router.delete('/:id', audit('passkey.delete'), requireCaller, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Check if passkey exists
-    const existingPasskey = await storage.getPasskeyById(id);
-    if (!existingPasskey) {
+    // Check if passkey exists and belongs to the caller
+    const existingPasskey = await storageFor(req).getPasskeyById(id);
+    if (!existingPasskey || !checkPasskeyAccess(req, existingPasskey, 'passkeys:delete')) {
       return res.status(404).json({
         error: true,
         message: 'Passkey not found'
       });
     }
 
-    const deleted = await storage.deletePasskey(id);
+    res.locals.audit = { userId: existingPasskey.userId };
+    const deleted = await storageFor(req).deletePasskey(id);
 
     if (deleted) {
+      // The next passkey login signs in to the backend afresh
+      await backendService.evictBackendTokens(existingPasskey.userId, req.tenant?.id);
+
+      const deletedAt = new Date().toISOString();
+      await webhookService.emit('passkey.deleted', {
+        tenant: webauthnFor(req).tenantId,
+        passkeyId: existingPasskey.id,
+        userId: existingPasskey.userId,
+        username: existingPasskey.username,
+        deletedBy: req.apiKey ? { type: 'api-key', id: req.apiKey.id } : { type: 'user', id: req.auth.userId },
+        deletedAt
+      });
+
       res.json({
         success: true,
         message: 'Passkey deleted successfully',
@@ -332,7 +577,7 @@ router.delete('/:id', async (req, res, next) => {
           id: existingPasskey.id,
           userId: existingPasskey.userId,
           username: existingPasskey.username,
-          deletedAt: new Date().toISOString()
+          deletedAt
         }
       });
     } else {
@@ -346,10 +591,43 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
+// POST /api/passkeys/:id/reinstate - Lift a suspension or clone flag after investigation
+router.post('/:id/reinstate', audit('passkey.reinstate'), requireScope('passkeys:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const passkey = await storageFor(req).getPasskeyById(id);
+    if (!passkey) {
+      return res.status(404).json({
+        error: true,
+        message: 'Passkey not found'
+      });
+    }
+
+    const { status, suspendedAt, suspendedReason, cloneSuspected, cloneDetection, ...rest } = passkey;
+    res.locals.audit = { userId: passkey.userId, details: { previousStatus: status || 'active' } };
+
+    // Reset the counter baseline; the genuine authenticator may be behind a clone
+    await storageFor(req).savePasskey(id, { ...rest, counter: 0 });
+    await securityEventService.record('passkey.reinstated', {
+      userId: passkey.userId,
+      passkeyId: id,
+      details: { apiKeyId: req.apiKey.id, previousStatus: status || 'active', cloneDetection }
+    });
+
+    res.json({
+      success: true,
+      message: 'Passkey reinstated',
+      passkeyId: id
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/passkeys/cleanup - Cleanup expired sessions (maintenance endpoint)
-router.post('/cleanup', async (req, res, next) => {
+router.post('/cleanup', audit('maintenance.cleanup'), requireScope('admin:maintenance'), async (req, res, next) => {
   try {
-    const cleaned = await storage.cleanupExpiredSessions();
+    const cleaned = await storageFor(req).cleanupExpiredSessions();
 
     res.json({
       success: true,
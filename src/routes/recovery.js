@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+
+const recoveryService = require('../services/recoveryService');
+const rateLimitService = require('../services/rateLimitService');
+const webauthnService = require('../services/webauthnService');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { requireSession } = require('../middleware/authenticate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { audit } = require('../middleware/audit');
+const { qualifyId } = require('../utils/tenant-storage');
+
+// POST /api/recovery/redeem - Trade a recovery code for an enrollment grant
+router.post('/redeem', audit('recovery.redeem'), rateLimit('recovery-redeem'), validateRequest(schemas.recoveryRedeem), async (req, res, next) => {
+  try {
+    const { username, code } = req.body;
+    const tenantId = req.tenant?.id;
+
+    let { userId } = req.body;
+    if (!userId) {
+      userId = (await webauthnService.forTenant(tenantId).storage.getUserByUsername(username))?.id;
+    }
+    res.locals.audit = { userId };
+
+    // Wrong codes count towards a lockout of recovery for the user, kept apart
+    // from the lockout of their passkey logins
+    const lockoutSubjects = { recovery: qualifyId(tenantId, userId || username) };
+    await rateLimitService.checkLockout(lockoutSubjects);
+
+    let result;
+    try {
+      result = await recoveryService.redeem(userId, code, tenantId);
+    } catch (error) {
+      await rateLimitService.recordFailure(lockoutSubjects);
+      throw error;
+    }
+
+    await rateLimitService.recordSuccess(lockoutSubjects);
+    res.locals.audit.details = { remainingCodes: result.remaining };
+
+    res.json({
+      success: true,
+      message: 'Recovery code accepted; register a new passkey with the grant',
+      userId: result.userId,
+      recoveryGrant: result.grant,
+      expiresAt: result.expiresAt,
+      remainingCodes: result.remaining
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/recovery/codes - How many of the signed-in user's codes are left
+router.get('/codes', requireSession, async (req, res, next) => {
+  try {
+    const status = await recoveryService.getStatus(req.auth.userId, req.auth.tenantId);
+
+    res.json({
+      success: true,
+      userId: req.auth.userId,
+      hasCodes: !!status,
+      ...(status && { total: status.total, remaining: status.remaining, generatedAt: status.generatedAt })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/recovery/codes - Replace the signed-in user's codes with a new set
+router.post('/codes', audit('recovery.regenerate'), requireSession, async (req, res, next) => {
+  try {
+    const { codes, total, generatedAt } = await recoveryService.generateCodes(req.auth.userId, req.auth.tenantId);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; previous codes no longer work',
+      userId: req.auth.userId,
+      recoveryCodes: codes,
+      total,
+      generatedAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
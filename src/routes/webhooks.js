@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+
+const webhookService = require('../services/webhookService');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { requireScope } = require('../middleware/authorize');
+const { audit } = require('../middleware/audit');
+const { DEFAULT_TENANT } = require('../utils/tenant-storage');
+
+const endpointNotFound = (res) => res.status(404).json({
+  error: true,
+  message: 'Webhook endpoint not found'
+});
+
+// GET /api/webhooks - List webhook endpoints
+router.get('/', requireScope('admin:webhooks'), async (req, res, next) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.tenant?.id);
+
+    res.json({
+      success: true,
+      endpoints,
+      count: endpoints.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks - Subscribe an endpoint; the signing secret is only returned here
+router.post('/', audit('webhook.create'), requireScope('admin:webhooks'), validateRequest(schemas.createWebhook), async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.createEndpoint(req.body, req.tenant?.id);
+    res.locals.audit = { details: { endpointId: endpoint.id, url: endpoint.url, events: endpoint.events } };
+
+    res.status(201).json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/process - Attempt every due delivery (for cron or serverless deployments)
+router.post('/process', requireScope('admin:webhooks'), async (req, res, next) => {
+  try {
+    const summary = await webhookService.processQueue();
+
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - Queue a delivery again
+router.post('/deliveries/:deliveryId/redeliver', audit('webhook.redeliver'), requireScope('admin:webhooks'), async (req, res, next) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.deliveryId, req.tenant?.id);
+    if (!delivery) {
+      return res.status(404).json({
+        error: true,
+        message: 'Webhook delivery not found'
+      });
+    }
+    res.locals.audit = { details: { endpointId: delivery.endpointId, deliveryId: delivery.id } };
+
+    res.status(202).json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/:endpointId - Get one webhook endpoint
+router.get('/:endpointId', requireScope('admin:webhooks'), async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.getEndpoint(req.params.endpointId, req.tenant?.id);
+    if (!endpoint) return endpointNotFound(res);
+
+    res.json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/webhooks/:endpointId - Change the URL, events or description, or pause deliveries
+router.patch('/:endpointId', audit('webhook.update'), requireScope('admin:webhooks'), validateRequest(schemas.updateWebhook), async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.updateEndpoint(req.params.endpointId, req.body, req.tenant?.id);
+    if (!endpoint) return endpointNotFound(res);
+    res.locals.audit = { details: { endpointId: endpoint.id, changed: Object.keys(req.body) } };
+
+    res.json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/webhooks/:endpointId - Unsubscribe an endpoint; its queued deliveries fail
+router.delete('/:endpointId', audit('webhook.delete'), requireScope('admin:webhooks'), async (req, res, next) => {
+  try {
+    const deleted = await webhookService.deleteEndpoint(req.params.endpointId, req.tenant?.id);
+    if (!deleted) return endpointNotFound(res);
+    res.locals.audit = { details: { endpointId: req.params.endpointId } };
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/:endpointId/rotate-secret - Issue a new signing secret
+router.post('/:endpointId/rotate-secret', audit('webhook.rotate_secret'), requireScope('admin:webhooks'), async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.rotateSecret(req.params.endpointId, req.tenant?.id);
+    if (!endpoint) return endpointNotFound(res);
+    res.locals.audit = { details: { endpointId: endpoint.id } };
+
+    res.json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/:endpointId/test - Send a webhook.test event to this endpoint only
+router.post('/:endpointId/test', requireScope('admin:webhooks'), async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.getEndpoint(req.params.endpointId, req.tenant?.id);
+    if (!endpoint) return endpointNotFound(res);
+
+    const [delivery] = await webhookService.emit('webhook.test', {
+      tenant: req.tenant?.id || DEFAULT_TENANT,
+      endpointId: endpoint.id
+    }, { endpointId: endpoint.id });
+
+    res.status(202).json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/:endpointId/deliveries - Delivery history, newest first
+router.get('/:endpointId/deliveries', requireScope('admin:webhooks'), validateRequest(schemas.webhookDeliveries, 'query'), async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.getEndpoint(req.params.endpointId, req.tenant?.id);
+    if (!endpoint) return endpointNotFound(res);
+
+    const { status, limit } = req.query;
+    const deliveries = await webhookService.listDeliveries(endpoint.id, {
+      status,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
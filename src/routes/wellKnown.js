@@ -0,0 +1,76 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const tokenService = require('../services/tokenService');
+const tenantService = require('../services/tenantService');
+const { resolveTenant } = require('../middleware/tenant');
+const { buildAppSiteAssociation, buildAssetLinks, buildWebAuthnAssociation } = require('../utils/associations');
+
+// Apple's CDN and Google's verifier re-fetch these every few hours or days
+const ASSOCIATION_MAX_AGE = 3600;
+
+// Write the JSON body directly: serverless runtimes must not rewrite it, and
+// Apple rejects redirects and anything but a plain 200 application/json.
+// Conditional requests are answered with 304.
+const sendAssociation = (req, res, document) => {
+  const body = JSON.stringify(document);
+  const etag = `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', `public, max-age=${ASSOCIATION_MAX_AGE}`);
+  res.setHeader('ETag', etag);
+
+  if (req.fresh) {
+    res.statusCode = 304;
+    return res.end();
+  }
+
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(body);
+};
+
+// Association files describe the relying party of the host they are served on
+router.use(['/apple-app-site-association', '/assetlinks.json', '/webauthn'], resolveTenant);
+
+// GET /.well-known/apple-app-site-association - iOS apps sharing this RP's passkeys
+router.get('/apple-app-site-association', async (req, res, next) => {
+  try {
+    const config = await tenantService.getWebAuthnConfig(req.tenant.id);
+    sendAssociation(req, res, buildAppSiteAssociation(config));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /.well-known/assetlinks.json - Android apps sharing this RP's passkeys
+router.get('/assetlinks.json', async (req, res, next) => {
+  try {
+    const config = await tenantService.getWebAuthnConfig(req.tenant.id);
+    sendAssociation(req, res, buildAssetLinks(config));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /.well-known/webauthn - Origins allowed to use this RP ID (Related Origin Requests)
+router.get('/webauthn', async (req, res, next) => {
+  try {
+    const config = await tenantService.getWebAuthnConfig(req.tenant.id);
+    sendAssociation(req, res, buildWebAuthnAssociation(config));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /.well-known/jwks.json - Public keys for verifying session access tokens
+router.get('/jwks.json', async (req, res, next) => {
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json(await tokenService.getJWKS());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,15 +7,28 @@ const path = require('path');
 // Import routes
 const passkeyRoutes = require('./routes/passkey');
 const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const webhookRoutes = require('./routes/webhooks');
+const recoveryRoutes = require('./routes/recovery');
+const wellKnownRoutes = require('./routes/wellKnown');
+const backendService = require('./services/backendService');
 
 const fs = require('fs').promises;
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { resolveTenant } = require('./middleware/tenant');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a proxy or load balancer, rate limits need the client address from
+// X-Forwarded-For: TRUST_PROXY is a hop count, "true" or an Express preset
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -31,8 +44,8 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-ID']
 }));
 
 // Logging
@@ -42,44 +55,32 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    timestamp: new Date().toISOString(),
-    service: 'Passkey Backend API'
-  });
-});
-
-// Serve apple-app-site-association file
-app.get('/.well-known/apple-app-site-association', (req, res) => {
+// Health check endpoint; "degraded" while a backend circuit is not closed
+app.get('/health', async (req, res, next) => {
   try {
-    const body = JSON.stringify({
-      webcredentials: {
-        apps: [
-          "KD6L2PTK2Q.com.grasshopper.dialer",
-          "53ZCYLE745.com.grasshopper.dialer",
-          "KD6L2PTK2Q.com.grasshopper.passkeys"
-        ]
-      }
-    });
+    const { status, backends } = await backendService.getBackendHealth();
 
-    // Disable Express default headers
-    res.setHeader("Content-Type", "application/json");
-    res.setHeader("Content-Length", Buffer.byteLength(body));
-
-    // IMPORTANT: DO NOT call res.json(), res.send(), res.status()
-    res.write(body);
-    res.end();
+    res.json({
+      status,
+      timestamp: new Date().toISOString(),
+      service: 'Passkey Backend API',
+      backends
+    });
   } catch (error) {
-    console.error('Error serving AASA:', error);
-    res.status(404).send('Not found');
+    next(error);
   }
 });
 
+// Association files and token keys
+app.use('/.well-known', wellKnownRoutes);
 
-// API Routes
+// API Routes; each request is served for the tenant its host or X-Tenant-ID names
+app.use('/api', resolveTenant);
 app.use('/api/passkeys', passkeyRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/recovery', recoveryRoutes);
 
 // Error handling middleware
 app.use('*', (req, res) => {
@@ -93,8 +94,22 @@ app.use('*', (req, res) => {
       'POST /api/passkeys/register/complete',
       'POST /api/passkeys/login/begin',
       'POST /api/passkeys/login/complete',
+      'PATCH /api/passkeys/:id',
       'DELETE /api/passkeys/:id',
-      'POST /api/auth/signin'
+      'POST /api/auth/signin',
+      'GET /api/auth/session',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'POST /api/recovery/redeem',
+      'GET /api/recovery/codes',
+      'POST /api/recovery/codes',
+      'GET /api/audit',
+      'GET /api/webhooks',
+      'POST /api/webhooks',
+      'GET /.well-known/apple-app-site-association',
+      'GET /.well-known/assetlinks.json',
+      'GET /.well-known/webauthn',
+      'GET /.well-known/jwks.json'
     ]
   });
 });
@@ -102,12 +117,21 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Passkey Backend API running on port ${PORT}`);
-  console.log(`📱 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔑 Passkey endpoints: http://localhost:${PORT}/api/passkeys`);
-  console.log(`🔐 Auth endpoints: http://localhost:${PORT}/api/auth`);
-});
+// Start server when run directly; serverless runtimes and tests use the export
+if (require.main === module) {
+  // Plaintext backend credentials must be importable into the vault before
+  // the server takes traffic
+  backendService.ensureCredentialsMigrated().then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Passkey Backend API running on port ${PORT}`);
+      console.log(`📱 Health check: http://localhost:${PORT}/health`);
+      console.log(`🔑 Passkey endpoints: http://localhost:${PORT}/api/passkeys`);
+      console.log(`🔐 Auth endpoints: http://localhost:${PORT}/api/auth`);
+    });
+  }).catch((error) => {
+    console.error('Refusing to start:', error.message);
+    process.exit(1);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,272 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { compactVerify, decodeProtectedHeader, importX509 } = require('jose');
+const { MetadataService, SettingsService } = require('@simplewebauthn/server');
+const {
+  convertCertBufferToPEM,
+  decodeAttestationObject,
+  validateCertificatePath
+} = require('@simplewebauthn/server/helpers');
+
+const backendService = require('./backendService');
+
+const CONVEYANCE_TYPES = ['none', 'direct', 'enterprise'];
+
+// Ordered FIDO certification levels; FIDO_CERTIFIED predates the L1..L3 split
+// and is treated as L1.
+const CERTIFICATION_LEVELS = {
+  NOT_FIDO_CERTIFIED: 0,
+  FIDO_CERTIFIED: 1,
+  FIDO_CERTIFIED_L1: 1,
+  FIDO_CERTIFIED_L1plus: 2,
+  FIDO_CERTIFIED_L2: 3,
+  FIDO_CERTIFIED_L2plus: 4,
+  FIDO_CERTIFIED_L3: 5,
+  FIDO_CERTIFIED_L3plus: 6
+};
+
+const COMPROMISED_STATUSES = [
+  'REVOKED',
+  'USER_VERIFICATION_BYPASS',
+  'ATTESTATION_KEY_COMPROMISE',
+  'USER_KEY_REMOTE_COMPROMISE',
+  'USER_KEY_PHYSICAL_COMPROMISE'
+];
+
+// Formats whose certificate chain the library checks against its own built-in
+// roots, so they are trusted even without a metadata statement
+const BUILT_IN_ROOT_FORMATS = ['apple', 'android-key', 'android-safetynet'];
+
+const DEFAULT_CONFIG = {
+  conveyance: 'none',
+  mdsBlobPath: null,
+  verifyBlobSignature: true,
+  requireTrustedAttestation: false,
+  rejectUnknownAuthenticators: false,
+  minimumCertificationLevel: null,
+  allowedAaguids: [],
+  deniedAaguids: []
+};
+
+const policyError = (code, message, name = 'AttestationPolicyError') => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = 400;
+  error.code = code;
+  return error;
+};
+
+const normalizeAaguid = (aaguid) => (aaguid || '').toLowerCase();
+
+// Latest certification status in an MDS entry's status reports
+const getCertificationLevel = (entry) => {
+  const reports = (entry?.statusReports || [])
+    .filter(report => report.status in CERTIFICATION_LEVELS)
+    .sort((a, b) => (a.effectiveDate || '').localeCompare(b.effectiveDate || ''));
+
+  return reports.length > 0 ? reports[reports.length - 1].status : 'NOT_FIDO_CERTIFIED';
+};
+
+// Compromised status from the latest status report only, so a later report
+// (e.g. an UPDATE_AVAILABLE after a fix) supersedes an earlier compromise
+const getCompromisedStatus = (entry) => {
+  const reports = [...(entry?.statusReports || [])]
+    .sort((a, b) => (a.effectiveDate || '').localeCompare(b.effectiveDate || ''));
+  const latest = reports[reports.length - 1];
+
+  return latest && COMPROMISED_STATUSES.includes(latest.status) ? latest.status : null;
+};
+
+class AttestationService {
+  constructor() {
+    this.config = { ...DEFAULT_CONFIG };
+
+    // aaguid -> MDS BLOB entry
+    this.entries = new Map();
+    this.blob = null;
+    this.loadedPath = null;
+  }
+
+  async initializeConfig() {
+    try {
+      const config = await backendService.getAttestationConfig();
+      this.config = { ...DEFAULT_CONFIG, ...config };
+    } catch (error) {
+      console.warn('Using default attestation config:', error.message);
+    }
+
+    if (!CONVEYANCE_TYPES.includes(this.config.conveyance)) {
+      console.warn(`Unknown attestation conveyance "${this.config.conveyance}", using "none"`);
+      this.config.conveyance = 'none';
+    }
+
+    await this.ensureMetadata();
+    return this.config;
+  }
+
+  // This service's config with one relying party's settings on top; the
+  // metadata BLOB stays shared
+  resolvePolicy(config = {}) {
+    const policy = { ...this.config, ...config, mdsBlobPath: this.config.mdsBlobPath };
+    if (!CONVEYANCE_TYPES.includes(policy.conveyance)) {
+      policy.conveyance = this.config.conveyance;
+    }
+    return policy;
+  }
+
+  getConveyance(policy = this.config) {
+    return policy.conveyance;
+  }
+
+  // Load the configured BLOB once; a changed mdsBlobPath triggers a reload
+  async ensureMetadata() {
+    const blobPath = this.config.mdsBlobPath;
+    if (!blobPath || blobPath === this.loadedPath) return;
+
+    await this.loadMetadataBlob(path.resolve(__dirname, '../..', blobPath));
+    this.loadedPath = blobPath;
+  }
+
+  // Parse a FIDO MDS3 BLOB (a JWS) from disk. The signing chain in the x5c
+  // header must lead to the FIDO MDS root, and the JWS signature must verify
+  // against the leaf certificate.
+  async loadMetadataBlob(filePath) {
+    const jwt = (await fs.readFile(filePath, 'utf8')).trim();
+
+    if (this.config.verifyBlobSignature) {
+      await this.verifyBlobSignature(jwt);
+    }
+
+    const [, payload] = jwt.split('.');
+    const blob = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+    if (blob.nextUpdate && new Date(blob.nextUpdate) < new Date()) {
+      console.warn(`FIDO metadata BLOB #${blob.no} is past its nextUpdate (${blob.nextUpdate})`);
+    }
+
+    this.entries = new Map();
+    for (const entry of blob.entries || []) {
+      if (entry.aaguid) {
+        this.entries.set(normalizeAaguid(entry.aaguid), entry);
+      }
+    }
+    this.blob = { no: blob.no, nextUpdate: blob.nextUpdate, entries: this.entries.size };
+
+    // Hand the statements to the library so attestation chains are checked
+    // against each authenticator's attestation roots. Unknown authenticators
+    // are handled by our own policy, never by a remote MDS download.
+    await MetadataService.initialize({
+      mdsServers: [],
+      statements: Array.from(this.entries.values())
+        .map(entry => entry.metadataStatement)
+        .filter(Boolean),
+      verificationMode: 'permissive'
+    });
+
+    console.log(`Loaded FIDO metadata BLOB #${blob.no} with ${this.entries.size} authenticators`);
+    return this.blob;
+  }
+
+  async verifyBlobSignature(jwt) {
+    const header = decodeProtectedHeader(jwt);
+    if (!Array.isArray(header.x5c) || header.x5c.length === 0) {
+      throw new Error('FIDO metadata BLOB has no x5c certificate chain');
+    }
+
+    const chain = header.x5c.map(cert => convertCertBufferToPEM(Buffer.from(cert, 'base64')));
+    const roots = SettingsService.getRootCertificates({ identifier: 'mds' });
+    await validateCertificatePath(chain, roots);
+
+    const key = await importX509(chain[0], header.alg);
+    await compactVerify(jwt, key);
+  }
+
+  getEntry(aaguid) {
+    return this.entries.get(normalizeAaguid(aaguid)) || null;
+  }
+
+  // Whether the attestation statement carries a certificate chain, as opposed
+  // to "none" or packed self attestation
+  hasTrustPath(registrationInfo) {
+    const { fmt, attestationObject } = registrationInfo;
+    if (fmt === 'none') return false;
+    if (fmt === 'android-safetynet') return true;
+
+    const attStmt = decodeAttestationObject(attestationObject).get('attStmt');
+    return Array.isArray(attStmt.get('x5c')) && attStmt.get('x5c').length > 0;
+  }
+
+  // Apply the configured policy (or the given one) to a verified registration.
+  // Returns the attestation summary stored on the passkey, or throws
+  // AttestationPolicyError.
+  evaluate(registrationInfo, policy = this.config) {
+    const { fmt } = registrationInfo;
+    const aaguid = normalizeAaguid(registrationInfo.aaguid);
+    const entry = this.getEntry(aaguid);
+    const {
+      allowedAaguids = [],
+      deniedAaguids = [],
+      requireTrustedAttestation,
+      rejectUnknownAuthenticators,
+      minimumCertificationLevel
+    } = policy;
+
+    if (deniedAaguids.map(normalizeAaguid).includes(aaguid)) {
+      throw policyError('AAGUID_DENIED', `Authenticator ${aaguid} is not permitted`);
+    }
+
+    if (allowedAaguids.length > 0 && !allowedAaguids.map(normalizeAaguid).includes(aaguid)) {
+      throw policyError('AAGUID_NOT_ALLOWED', `Authenticator ${aaguid} is not on the allow list`);
+    }
+
+    const compromisedStatus = getCompromisedStatus(entry);
+    if (compromisedStatus) {
+      throw policyError('AUTHENTICATOR_COMPROMISED', `Authenticator ${aaguid} is reported as ${compromisedStatus}`);
+    }
+
+    const hasTrustPath = this.hasTrustPath(registrationInfo);
+    const trusted = hasTrustPath && (!!entry || BUILT_IN_ROOT_FORMATS.includes(fmt));
+
+    if (requireTrustedAttestation && !trusted) {
+      throw policyError(
+        'ATTESTATION_REQUIRED',
+        hasTrustPath
+          ? `Attestation format "${fmt}" could not be chained to a trusted root`
+          : `Attestation format "${fmt}" carries no certificate chain`
+      );
+    }
+
+    if (rejectUnknownAuthenticators && !entry) {
+      throw policyError('AUTHENTICATOR_UNKNOWN', `No metadata statement found for authenticator ${aaguid}`);
+    }
+
+    const certificationLevel = getCertificationLevel(entry);
+    if (minimumCertificationLevel) {
+      const required = CERTIFICATION_LEVELS[minimumCertificationLevel];
+      if (required === undefined) {
+        throw new Error(`Unknown minimumCertificationLevel: ${minimumCertificationLevel}`);
+      }
+      if (CERTIFICATION_LEVELS[certificationLevel] < required) {
+        throw policyError(
+          'CERTIFICATION_LEVEL_TOO_LOW',
+          `Authenticator ${aaguid} is ${certificationLevel}, ${minimumCertificationLevel} required`
+        );
+      }
+    }
+
+    return {
+      format: fmt,
+      trusted,
+      certificationLevel,
+      description: entry?.metadataStatement?.description || null
+    };
+  }
+
+  // Wrap a library verification failure so clients get a stable error code
+  verificationFailed(error) {
+    return policyError('REGISTRATION_VERIFICATION_FAILED', error.message, 'RegistrationError');
+  }
+}
+
+// Export singleton instance
+module.exports = new AttestationService();
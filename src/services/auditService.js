@@ -0,0 +1,173 @@
+const { v4: uuidv4 } = require('uuid');
+
+const backendService = require('./backendService');
+const storage = require('../utils/storage');
+const { DEFAULT_TENANT, belongsToTenant } = require('../utils/tenant-storage');
+
+const AUDIT_COLLECTION = 'audit-log';
+const DAY_INDEX_COLLECTION = 'audit-days';
+const MAX_PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events are kept in one collection per UTC day, e.g. "audit-log-2026-10-19"
+const dayOf = (timestamp) => timestamp.slice(0, 10);
+const bucketFor = (day) => `${AUDIT_COLLECTION}-${day}`;
+
+const CSV_COLUMNS = [
+  'id', 'occurredAt', 'type', 'outcome', 'reason', 'actorType', 'actorId',
+  'userId', 'passkeyId', 'ip', 'userAgent', 'platform', 'details'
+];
+
+// Quote for CSV, and defuse values a spreadsheet would run as a formula
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// "passkey.login.complete" matches itself; "passkey.*" matches the namespace
+const matchesType = (patterns, type) => patterns.some(pattern => (pattern.endsWith('*')
+  ? type.startsWith(pattern.slice(0, -1))
+  : type === pattern));
+
+// Append-only trail of ceremonies and admin actions, e.g.
+//   { type: 'passkey.delete', outcome: 'success', actor: { type: 'api-key', id: 'ops' },
+//     tenantId, userId, passkeyId, ip, userAgent, platform, reason, details }
+// Event IDs start with the timestamp, so they sort chronologically and double
+// as pagination cursors. There is deliberately no update or delete; events
+// only leave the log when retentionDays runs out.
+//
+// Events are appended to per-day buckets listed in the audit-days index, so a
+// query reads the index and then only as many days as its page needs. Whole
+// buckets are dropped once every event in them is past retention.
+class AuditService {
+  constructor() {
+    // Days already in the index, so each is written once per process
+    this.indexedDays = new Set();
+  }
+
+  async record({
+    type,
+    outcome = 'success',
+    reason = null,
+    actor = { type: 'anonymous', id: null },
+    tenantId = DEFAULT_TENANT,
+    userId = null,
+    passkeyId = null,
+    ip = null,
+    userAgent = null,
+    platform = null,
+    details = {}
+  }) {
+    const { retentionDays = 365 } = await backendService.getAuditConfig();
+
+    const occurredAt = new Date().toISOString();
+    const id = `${occurredAt}-${uuidv4()}`;
+    const event = { type, outcome, reason, actor, tenantId, userId, passkeyId, ip, userAgent, platform, details, occurredAt };
+    const ttlMs = retentionDays ? retentionDays * DAY_MS : null;
+
+    await this.indexDay(dayOf(occurredAt), retentionDays);
+    await storage.appendRecord(bucketFor(dayOf(occurredAt)), id, event, { ...(ttlMs && { ttlMs }) });
+
+    return { id, ...event };
+  }
+
+  // Index entries do not expire; they are removed with their bucket. A new
+  // day is also when the oldest day falls out of retention.
+  async indexDay(day, retentionDays) {
+    if (this.indexedDays.has(day)) return;
+
+    await storage.saveRecord(DAY_INDEX_COLLECTION, day, { day });
+    this.indexedDays.add(day);
+
+    if (retentionDays) {
+      try {
+        await this.purgeExpiredDays(retentionDays);
+      } catch (error) {
+        console.warn('Could not purge expired audit days:', error.message);
+      }
+    }
+  }
+
+  // Drop the buckets of days whose every event is older than retentionDays
+  async purgeExpiredDays(retentionDays) {
+    const cutoff = dayOf(new Date(Date.now() - retentionDays * DAY_MS).toISOString());
+    const expired = (await storage.listRecords(DAY_INDEX_COLLECTION))
+      .map(record => record.id)
+      .filter(day => day < cutoff);
+
+    for (const day of expired) {
+      await storage.dropCollection(bucketFor(day));
+      await storage.deleteRecord(DAY_INDEX_COLLECTION, day);
+    }
+
+    return expired;
+  }
+
+  // Newest first, only the given tenant's events. type is a comma-separated
+  // list of types or "namespace.*" patterns; from/to are inclusive ISO
+  // timestamps; cursor is the nextCursor of the previous page.
+  async query({ tenantId, userId, type, outcome, from, to, limit = 50, cursor } = {}) {
+    const types = type ? type.split(',').map(pattern => pattern.trim()).filter(Boolean) : null;
+    const fromTime = from ? new Date(from).toISOString() : null;
+    const toTime = to ? new Date(to).toISOString() : null;
+    const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+
+    const days = (await storage.listRecords(DAY_INDEX_COLLECTION))
+      .map(record => record.id)
+      .filter(day => (!fromTime || day >= dayOf(fromTime))
+        && (!toTime || day <= dayOf(toTime))
+        && (!cursor || day <= dayOf(cursor)))
+      .sort((a, b) => b.localeCompare(a));
+
+    // Newest day first, until there is a full page and one more event
+    const events = [];
+    for (const day of days) {
+      const matches = (await storage.listRecords(bucketFor(day)))
+        .filter(event => belongsToTenant(event, tenantId)
+          && (!userId || event.userId === userId)
+          && (!types || matchesType(types, event.type))
+          && (!outcome || event.outcome === outcome)
+          && (!fromTime || event.occurredAt >= fromTime)
+          && (!toTime || event.occurredAt <= toTime)
+          && (!cursor || event.id < cursor))
+        .sort((a, b) => b.id.localeCompare(a.id));
+
+      events.push(...matches);
+      if (events.length > pageSize) break;
+    }
+
+    const page = events.slice(0, pageSize).map(({ createdAt, updatedAt, expiresAt, ...event }) => event);
+
+    return {
+      events: page,
+      nextCursor: events.length > pageSize ? page[page.length - 1].id : null
+    };
+  }
+
+  toCsv(events) {
+    const rows = events.map(event => [
+      event.id,
+      event.occurredAt,
+      event.type,
+      event.outcome,
+      event.reason,
+      event.actor?.type,
+      event.actor?.id,
+      event.userId,
+      event.passkeyId,
+      event.ip,
+      event.userAgent,
+      event.platform,
+      event.details && Object.keys(event.details).length > 0 ? event.details : null
+    ].map(csvField).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditService();
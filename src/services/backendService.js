@@ -1,18 +1,54 @@
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs').promises;
 
+const credentialVault = require('./credentialVault');
+const { createProvider } = require('./identityProviders');
+const storage = require('../utils/storage');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { DEFAULT_TENANT, qualifyId } = require('../utils/tenant-storage');
+
+const CONFIG_PATH = path.join(__dirname, '../../config/auth-config.json');
+const TOKEN_COLLECTION = 'backend-tokens';
+const TOKEN_CONTEXT = 'backend-token';
+
+// Gateway answers that mean "try again later"; anything else with a response
+// is the backend's real verdict
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// No answer at all (refused, reset, timed out) or a gateway failure
+const isRetryable = (error) => (error.response
+  ? RETRYABLE_STATUSES.includes(error.response.status)
+  : !!error.request);
+
+// Whether the error says the backend is unhealthy, for the circuit breaker
+const isBackendFailure = (error) => isRetryable(error) || error.response?.status >= 500;
+
+const backendUnavailable = (code, message, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 class BackendService {
   constructor() {
     this.config = null;
+    this.credentialsMigrated = null;
+
+    // name -> provider instance, rebuilt when the config is reloaded
+    this.providers = new Map();
+    // name -> CircuitBreaker, kept for the life of the process
+    this.breakers = new Map();
     this.loadConfig();
   }
 
   async loadConfig() {
     try {
-      const configPath = path.join(__dirname, '../../config/auth-config.json');
-      const configData = await fs.readFile(configPath, 'utf8');
+      const configData = await fs.readFile(CONFIG_PATH, 'utf8');
       this.config = JSON.parse(configData);
+      this.providers = new Map();
     } catch (error) {
       console.error('Error loading backend service config:', error);
       throw new Error('Backend service configuration not found');
@@ -25,103 +61,409 @@ class BackendService {
     }
   }
 
-  async authenticateUser(userId) {
+  // Provider configs by name. Configs that predate identityProviders describe
+  // a single Grasshopper backend in backendApi; it becomes "default".
+  getProviderConfigs() {
+    if (this.config.identityProviders) {
+      return this.config.identityProviders;
+    }
+
+    const { baseUrl, endpoints = {}, timeout } = this.config.backendApi || {};
+    return {
+      default: { type: 'grasshopper-password', baseUrl, tokenPath: endpoints.signin, timeout }
+    };
+  }
+
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      const config = this.getProviderConfigs()[name];
+      if (!config) {
+        throw new Error(`Unknown identity provider: ${name}`);
+      }
+      this.providers.set(name, createProvider(name, config));
+    }
+
+    return this.providers.get(name);
+  }
+
+  // userProviders maps passkey user IDs to provider names; everyone else uses
+  // defaultProvider, or the only provider when there is just one. Users of a
+  // tenant go by the tenant's own userProviders and provider first.
+  async getProviderForUser(userId, tenantId) {
     await this.ensureConfigLoaded();
 
-    // Get user credentials from config
-    const userCredentials = this.config.userCredentials[userId];
-    if (!userCredentials) {
-      throw new Error(`No credentials configured for user: ${userId}`);
+    const tenant = tenantId ? (await this.getTenantConfigs())[tenantId] : null;
+    const names = Object.keys(this.getProviderConfigs());
+    const name = tenant?.userProviders?.[userId]
+      || tenant?.provider
+      || this.config.userProviders?.[userId]
+      || this.config.defaultProvider
+      || (names.length === 1 ? names[0] : null);
+
+    if (!name) {
+      throw new Error(`No identity provider configured for user: ${userId}`);
+    }
+
+    return this.getProvider(name);
+  }
+
+  // Sign the user in to their backend. subjectToken is the first-party
+  // access token, used by token-exchange providers. A cached backend token is
+  // reused until it expires and then renewed with its refresh token; the
+  // password grant only runs when neither works, or when forceSignin is set.
+  // Cached tokens and credentials are kept apart per tenant.
+  async authenticateUser(userId, { tenantId, subjectToken, forceSignin = false } = {}) {
+    await this.ensureConfigLoaded();
+
+    const provider = await this.getProviderForUser(userId, tenantId);
+    const deadline = await this.getBackendDeadline();
+
+    if (!forceSignin) {
+      const reused = await this.reuseCachedToken(userId, provider, deadline, tenantId);
+      if (reused) return reused;
     }
 
-    const { baseUrl, endpoints, timeout } = this.config.backendApi;
-    const signinUrl = `${baseUrl}${endpoints.signin}`;
+    // Get user credentials from the vault
+    const userCredentials = provider.requiresCredentials ? await this.getUserCredentials(userId, tenantId) : null;
+    if (provider.requiresCredentials && !userCredentials) {
+      throw new Error(`No credentials configured for user: ${userId}`);
+    }
 
     try {
-      // Make API request to your backend
-      const response = await axios.post(
-        signinUrl,
-        {
-          "version": 4,
-          "grant_type": "password",
-          "product_guid": "9b1b8c63-1354-2078-e053-0100007f2fee",
-          username: userCredentials.username,
-          password: userCredentials.password
-        },
-        {
-          timeout: timeout || 30000,
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'Passkey-Backend-API/1.0.0'
-          }
-        }
-      );
+      const response = await this.callProvider(provider, 'authenticate', {
+        userId,
+        credentials: userCredentials,
+        subjectToken
+      }, deadline);
 
       // Return the backend response
       return {
         success: true,
+        provider: provider.name,
+        tokenSource: 'signin',
         data: response.data,
         status: response.status,
-        headers: response.headers
+        headers: response.headers,
+        expiresAt: await this.cacheToken(userId, provider, response, tenantId)
       };
 
     } catch (error) {
-      console.error('Backend authentication error:', error.message);
-
-      if (error.response) {
-        // Backend responded with error
-        return {
-          success: false,
-          error: {
-            message: error.response.data?.message || 'Authentication failed',
-            status: error.response.status,
-            data: error.response.data
-          }
-        };
-      } else if (error.request) {
-        // Network error
-        return {
-          success: false,
-          error: {
-            message: 'Unable to connect to backend service',
-            status: 503,
-            data: null
-          }
-        };
-      } else {
-        // Other error
-        return {
-          success: false,
-          error: {
-            message: error.message || 'Unknown error occurred',
-            status: 500,
-            data: null
-          }
-        };
+      return this.backendFailure(provider, error);
+    }
+  }
+
+  backendFailure(provider, error) {
+    console.error(`Backend authentication error (${provider.name}):`, error.message);
+
+    if (error.code === 'CIRCUIT_OPEN' || error.code === 'BACKEND_TIMEOUT') {
+      // Failing fast: tell clients when to come back instead of hanging
+      return {
+        success: false,
+        provider: provider.name,
+        error: {
+          message: error.message,
+          status: error.status,
+          code: error.code,
+          ...(error.retryAfter && { retryAfter: error.retryAfter }),
+          data: null
+        }
+      };
+    } else if (error.response) {
+      // Backend responded with error
+      return {
+        success: false,
+        provider: provider.name,
+        error: {
+          message: error.response.data?.message || 'Authentication failed',
+          status: error.response.status,
+          data: error.response.data
+        }
+      };
+    } else if (error.request) {
+      // Network error
+      return {
+        success: false,
+        provider: provider.name,
+        error: {
+          message: 'Unable to connect to backend service',
+          status: 503,
+          data: null
+        }
+      };
+    } else {
+      // Other error
+      return {
+        success: false,
+        provider: provider.name,
+        error: {
+          message: error.message || 'Unknown error occurred',
+          status: 500,
+          data: null
+        }
+      };
+    }
+  }
+
+  // Every backend call made for one sign-in shares a single latency budget
+  async getBackendDeadline() {
+    const { budgetMs = 10000 } = await this.getBackendResilienceConfig();
+    return Date.now() + budgetMs;
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(this.config.backendResilience?.circuitBreaker));
+    }
+
+    return this.breakers.get(name);
+  }
+
+  // Calls provider[method] behind the provider's circuit breaker, retrying
+  // unanswered and gateway failures with jittered exponential backoff while
+  // the deadline allows. Each attempt's timeout is cut to the time left.
+  async callProvider(provider, method, args, deadline) {
+    const { retries = 2, baseDelayMs = 200, maxDelayMs = 2000 } = await this.getBackendResilienceConfig();
+    const breaker = this.getBreaker(provider.name);
+
+    for (let attempt = 0; ; attempt += 1) {
+      if (!breaker.allowRequest()) {
+        const error = backendUnavailable('CIRCUIT_OPEN', `Backend "${provider.name}" is temporarily unavailable`, 503);
+        error.retryAfter = Math.max(1, Math.ceil(breaker.retryAfterMs() / 1000));
+        throw error;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        breaker.release();
+        throw backendUnavailable('BACKEND_TIMEOUT', `Backend "${provider.name}" did not respond in time`, 504);
+      }
+
+      try {
+        const response = await provider[method]({
+          ...args,
+          timeout: Math.min(provider.timeout || remaining, remaining)
+        });
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (isBackendFailure(error)) {
+          breaker.recordFailure(error.message);
+        } else if (error.response) {
+          // A rejection is still a healthy backend answering
+          breaker.recordSuccess();
+        } else {
+          breaker.release();
+        }
+
+        if (!isRetryable(error) || attempt >= retries) throw error;
+
+        // Full jitter keeps retrying clients from stampeding a recovering backend
+        const delay = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        if (Date.now() + delay >= deadline) {
+          throw backendUnavailable('BACKEND_TIMEOUT', `Backend "${provider.name}" did not respond in time`, 504);
+        }
+
+        console.warn(`Backend call to ${provider.name} failed (${error.message}), retry ${attempt + 1}/${retries}`);
+        await sleep(delay);
       }
     }
   }
 
-  async getUserCredentials(userId) {
+  // Circuit state per configured provider, for the health endpoint
+  async getBackendHealth() {
     await this.ensureConfigLoaded();
-    return this.config.userCredentials[userId] || null;
+
+    const backends = {};
+    for (const name of Object.keys(this.getProviderConfigs())) {
+      backends[name] = this.getBreaker(name).describe();
+    }
+
+    const degraded = Object.values(backends).some(backend => backend.state !== 'closed');
+    return { status: degraded ? 'degraded' : 'ok', backends };
+  }
+
+  // Cached backend tokens are sealed with the credential vault keys, so
+  // nothing is cached until the vault is configured
+  async isTokenCacheEnabled() {
+    const { cache = true } = await this.getBackendTokenConfig();
+    return cache && credentialVault.isConfigured();
   }
 
-  async updateUserCredentials(userId, credentials) {
+  async getCachedToken(userId, provider, tenantId) {
+    if (!(await this.isTokenCacheEnabled())) return null;
+
+    const key = qualifyId(tenantId, userId);
+    const record = await storage.getRecord(TOKEN_COLLECTION, key);
+    if (!record || record.provider !== provider.name) return null;
+
+    try {
+      return { ...record, ...credentialVault.decrypt(key, record.sealed, TOKEN_CONTEXT) };
+    } catch (error) {
+      // Sealed under a key that has since been dropped
+      await this.evictBackendTokens(userId, tenantId);
+      return null;
+    }
+  }
+
+  async reuseCachedToken(userId, provider, deadline, tenantId) {
+    const cached = await this.getCachedToken(userId, provider, tenantId);
+    if (!cached) return null;
+
+    const { expirySkewSeconds = 60 } = await this.getBackendTokenConfig();
+    if (new Date(cached.tokenExpiresAt).getTime() - expirySkewSeconds * 1000 > Date.now()) {
+      return {
+        success: true,
+        provider: provider.name,
+        tokenSource: 'cache',
+        data: cached.data,
+        status: cached.status,
+        headers: {},
+        expiresAt: cached.tokenExpiresAt
+      };
+    }
+
+    if (!cached.refreshToken || !provider.refresh) {
+      await this.evictBackendTokens(userId, tenantId);
+      return null;
+    }
+
+    try {
+      const response = await this.callProvider(provider, 'refresh', {
+        userId,
+        refreshToken: cached.refreshToken
+      }, deadline);
+
+      // Backends that don't rotate refresh tokens omit them from the response
+      const data = { refresh_token: cached.refreshToken, ...response.data };
+
+      return {
+        success: true,
+        provider: provider.name,
+        tokenSource: 'refresh',
+        data,
+        status: response.status,
+        headers: response.headers,
+        expiresAt: await this.cacheToken(userId, provider, { ...response, data }, tenantId)
+      };
+    } catch (error) {
+      // An unreachable backend would refuse the password grant just the same;
+      // keep the refresh token for when it is back
+      if (!error.response) {
+        return this.backendFailure(provider, error);
+      }
+
+      console.warn(`Backend token refresh failed for ${userId} (${provider.name}), signing in again:`, error.message);
+      await this.evictBackendTokens(userId, tenantId);
+      return null;
+    }
+  }
+
+  // Caches a successful backend response until expires_in runs out, or until
+  // refreshTokenTtl when it carries a refresh token. Returns the expiry.
+  async cacheToken(userId, provider, response, tenantId) {
+    const expiresIn = Number(response.data?.expires_in);
+    if (!expiresIn || !(await this.isTokenCacheEnabled())) return undefined;
+
+    const { refreshTokenTtl = 30 * 24 * 60 * 60 } = await this.getBackendTokenConfig();
+    const refreshToken = response.data.refresh_token || null;
+    const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+
+    const key = qualifyId(tenantId, userId);
+    await storage.saveRecord(TOKEN_COLLECTION, key, {
+      provider: provider.name,
+      tokenExpiresAt: expiresAt,
+      sealed: credentialVault.encrypt(key, {
+        data: response.data,
+        status: response.status,
+        refreshToken
+      }, TOKEN_CONTEXT)
+    }, { ttlMs: (refreshToken ? Math.max(refreshTokenTtl, expiresIn) : expiresIn) * 1000 });
+
+    return expiresAt;
+  }
+
+  async evictBackendTokens(userId, tenantId) {
+    return await storage.deleteRecord(TOKEN_COLLECTION, qualifyId(tenantId, userId));
+  }
+
+  // Backend passwords live in the encrypted credential vault, never in
+  // auth-config.json. A legacy plaintext userCredentials block is imported
+  // into the vault the first time credentials are needed.
+  async ensureCredentialsMigrated() {
+    if (!this.credentialsMigrated) {
+      this.credentialsMigrated = this.importLegacyCredentials().catch((error) => {
+        this.credentialsMigrated = null;
+        throw error;
+      });
+    }
+
+    return this.credentialsMigrated;
+  }
+
+  async importLegacyCredentials() {
     await this.ensureConfigLoaded();
 
-    this.config.userCredentials[userId] = credentials;
+    const legacy = this.config.userCredentials || {};
+    if (Object.keys(legacy).length === 0) return [];
 
-    // Save updated config back to file
-    const configPath = path.join(__dirname, '../../config/auth-config.json');
-    await fs.writeFile(configPath, JSON.stringify(this.config, null, 2));
+    // Without a vault key these credentials would be silently unusable, so
+    // refuse loudly instead
+    if (!credentialVault.isConfigured()) {
+      const error = new Error('Plaintext userCredentials in auth-config.json need a credential vault key; set VAULT_MASTER_KEY or VAULT_KEYS');
+      error.name = 'VaultError';
+      error.status = 503;
+      throw error;
+    }
 
-    return true;
+    const imported = await credentialVault.importCredentials(legacy);
+    if (imported.length > 0) {
+      console.warn(`Imported ${imported.length} backend credential(s) into the vault; run "npm run vault -- migrate" to remove them from auth-config.json`);
+    }
+    return imported;
   }
 
-  async getAvailableUsers() {
+  // One-time migration: import the plaintext block, then drop it from the file
+  async migrateLegacyCredentials() {
     await this.ensureConfigLoaded();
-    return Object.keys(this.config.userCredentials);
+    credentialVault.requireKeys();
+
+    const imported = await this.importLegacyCredentials();
+    if (this.config.userCredentials) {
+      delete this.config.userCredentials;
+      await this.saveConfig();
+    }
+
+    return imported;
+  }
+
+  // Vault entries of tenant users are stored under "<tenantId>:<userId>"
+  async getUserCredentials(userId, tenantId) {
+    await this.ensureCredentialsMigrated();
+    return await credentialVault.get(qualifyId(tenantId, userId));
+  }
+
+  async updateUserCredentials(userId, credentials, tenantId) {
+    await this.ensureCredentialsMigrated();
+    await credentialVault.set(qualifyId(tenantId, userId), credentials);
+
+    // Tokens issued for the old credentials must not outlive them
+    await this.evictBackendTokens(userId, tenantId);
+    return true;
+  }
+
+  // User IDs with vault credentials, for one tenant
+  async getAvailableUsers(tenantId) {
+    await this.ensureCredentialsMigrated();
+
+    const userIds = await credentialVault.listUserIds();
+    const prefix = qualifyId(tenantId, '');
+    if (prefix) {
+      return userIds.filter(id => id.startsWith(prefix)).map(id => id.slice(prefix.length));
+    }
+
+    // The default tenant's IDs are bare; skip those qualified by a tenant
+    const tenants = await this.getTenantConfigs();
+    return userIds.filter(id => !(id.includes(':') && tenants[id.split(':')[0]]));
   }
 
   async getWebAuthnConfig() {
@@ -129,16 +471,84 @@ class BackendService {
     return this.config.webauthn;
   }
 
-  async updateWebAuthnConfig(newConfig) {
+  async getTenantConfigs() {
     await this.ensureConfigLoaded();
+    return this.config.tenants || {};
+  }
 
-    this.config.webauthn = { ...this.config.webauthn, ...newConfig };
+  async getApiKeys() {
+    await this.ensureConfigLoaded();
+    return this.config.apiKeys || [];
+  }
 
-    // Save updated config back to file
-    const configPath = path.join(__dirname, '../../config/auth-config.json');
-    await fs.writeFile(configPath, JSON.stringify(this.config, null, 2));
+  async getSessionConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.sessions || {};
+  }
 
-    return this.config.webauthn;
+  async getAttestationConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.attestation || {};
+  }
+
+  async getCloneDetectionConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.cloneDetection || {};
+  }
+
+  async getProviderConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.authenticatorProviders || {};
+  }
+
+  async getBackendTokenConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.backendTokens || {};
+  }
+
+  async getAuditConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.audit || {};
+  }
+
+  async getWebhookConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.webhooks || {};
+  }
+
+  async getRecoveryConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.recovery || {};
+  }
+
+  async getRateLimitConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.rateLimits || {};
+  }
+
+  async getBackendResilienceConfig() {
+    await this.ensureConfigLoaded();
+    return this.config.backendResilience || {};
+  }
+
+  // Updates the top-level block, or a tenant's own webauthn block
+  async updateWebAuthnConfig(newConfig, tenantId) {
+    await this.ensureConfigLoaded();
+
+    const target = tenantId && tenantId !== DEFAULT_TENANT ? this.config.tenants?.[tenantId] : this.config;
+    if (!target) {
+      throw new Error(`Unknown tenant: ${tenantId}`);
+    }
+
+    target.webauthn = { ...target.webauthn, ...newConfig };
+    await this.saveConfig();
+
+    return target.webauthn;
+  }
+
+  // Save updated config back to file
+  async saveConfig() {
+    await fs.writeFile(CONFIG_PATH, JSON.stringify(this.config, null, 2));
   }
 }
 
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+const storage = require('../utils/storage');
+
+const VAULT_COLLECTION = 'vault-credentials';
+const ALGORITHM = 'aes-256-gcm';
+
+const vaultError = (message) => {
+  const error = new Error(message);
+  error.name = 'VaultError';
+  error.status = 503;
+  return error;
+};
+
+// Ciphertexts are bound to their user ID and purpose so records cannot be swapped
+const additionalData = (userId, context) => Buffer.from(`${context}:${userId}`);
+
+const parseKey = (kid, encoded) => {
+  const key = Buffer.from(encoded || '', 'base64');
+  if (key.length !== 32) {
+    throw vaultError(`Vault key "${kid}" must be 32 bytes, base64 encoded`);
+  }
+  return key;
+};
+
+// Backend credentials ({ username, password }) encrypted at rest with
+// AES-256-GCM. Master keys come from the environment, never from config:
+//   VAULT_KEYS       JSON array of { kid, key } with base64 32-byte keys
+//   VAULT_ACTIVE_KID kid used to encrypt (default: the first key)
+//   VAULT_MASTER_KEY shorthand for a single key with kid "default"
+// Keys that are no longer active stay listed until `npm run vault -- rotate`
+// has re-encrypted every record.
+class CredentialVault {
+  constructor() {
+    this.keys = null;
+    this.activeKid = null;
+  }
+
+  loadKeys() {
+    if (this.keys) return;
+
+    let configured = [];
+    if (process.env.VAULT_KEYS) {
+      configured = JSON.parse(process.env.VAULT_KEYS);
+    } else if (process.env.VAULT_MASTER_KEY) {
+      configured = [{ kid: 'default', key: process.env.VAULT_MASTER_KEY }];
+    }
+
+    const keys = new Map();
+    for (const entry of configured) {
+      if (!entry.kid) {
+        throw vaultError('Each VAULT_KEYS entry needs a kid');
+      }
+      keys.set(entry.kid, parseKey(entry.kid, entry.key));
+    }
+
+    const activeKid = process.env.VAULT_ACTIVE_KID || configured[0]?.kid || null;
+    if (activeKid && !keys.has(activeKid)) {
+      throw vaultError(`VAULT_ACTIVE_KID "${activeKid}" is not in VAULT_KEYS`);
+    }
+
+    this.keys = keys;
+    this.activeKid = activeKid;
+  }
+
+  // Drop cached keys so the environment is read again
+  reset() {
+    this.keys = null;
+    this.activeKid = null;
+  }
+
+  isConfigured() {
+    this.loadKeys();
+    return !!this.activeKid;
+  }
+
+  requireKeys() {
+    if (!this.isConfigured()) {
+      throw vaultError('Credential vault is not configured; set VAULT_MASTER_KEY or VAULT_KEYS');
+    }
+  }
+
+  // context separates other secrets sealed with the vault keys from credentials
+  encrypt(userId, value, context = 'vault') {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.activeKid), iv);
+    cipher.setAAD(additionalData(userId, context));
+
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(value), 'utf8'),
+      cipher.final()
+    ]);
+
+    return {
+      alg: 'A256GCM',
+      kid: this.activeKid,
+      iv: iv.toString('base64url'),
+      tag: cipher.getAuthTag().toString('base64url'),
+      ciphertext: ciphertext.toString('base64url')
+    };
+  }
+
+  decrypt(userId, record, context = 'vault') {
+    const key = this.keys.get(record.kid);
+    if (!key) {
+      throw vaultError(`Vault key "${record.kid}" is not available`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(record.iv, 'base64url'));
+      decipher.setAAD(additionalData(userId, context));
+      decipher.setAuthTag(Buffer.from(record.tag, 'base64url'));
+
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(record.ciphertext, 'base64url')),
+        decipher.final()
+      ]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw vaultError(`Vault record for ${userId} could not be decrypted`);
+    }
+  }
+
+  async get(userId) {
+    this.requireKeys();
+    const record = await storage.getRecord(VAULT_COLLECTION, userId);
+    return record ? this.decrypt(userId, record) : null;
+  }
+
+  async set(userId, credentials) {
+    this.requireKeys();
+    return await storage.saveRecord(VAULT_COLLECTION, userId, this.encrypt(userId, credentials));
+  }
+
+  async delete(userId) {
+    return await storage.deleteRecord(VAULT_COLLECTION, userId);
+  }
+
+  async has(userId) {
+    return !!(await storage.getRecord(VAULT_COLLECTION, userId));
+  }
+
+  async listUserIds() {
+    const records = await storage.listRecords(VAULT_COLLECTION);
+    return records.map(record => record.id).sort();
+  }
+
+  // Re-encrypt every record not yet under the active key
+  async rotate() {
+    this.requireKeys();
+
+    let rotated = 0;
+    for (const record of await storage.listRecords(VAULT_COLLECTION)) {
+      if (record.kid === this.activeKid) continue;
+
+      await this.set(record.id, this.decrypt(record.id, record));
+      rotated += 1;
+    }
+
+    return rotated;
+  }
+
+  // Import plaintext { userId: { username, password } } entries that are not
+  // in the vault yet; returns the imported user IDs
+  async importCredentials(userCredentials = {}) {
+    this.requireKeys();
+
+    const imported = [];
+    for (const [userId, credentials] of Object.entries(userCredentials)) {
+      if (await this.has(userId)) continue;
+
+      await this.set(userId, { username: credentials.username, password: credentials.password });
+      imported.push(userId);
+    }
+
+    return imported;
+  }
+}
+
+// Export singleton instance
+module.exports = new CredentialVault();
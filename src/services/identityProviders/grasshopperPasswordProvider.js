@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+// The original Grasshopper mobile-auth call: a password grant posted as JSON
+// to /token/new with a fixed API version and product GUID.
+class GrasshopperPasswordProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.type = 'grasshopper-password';
+    this.requiresCredentials = true;
+
+    this.baseUrl = config.baseUrl;
+    this.tokenPath = config.tokenPath || '/token/new';
+    this.timeout = config.timeout || 30000;
+    this.version = config.version || 4;
+    this.productGuid = config.productGuid || '9b1b8c63-1354-2078-e053-0100007f2fee';
+
+    if (!this.baseUrl) {
+      throw new Error(`Identity provider "${name}" needs a baseUrl`);
+    }
+  }
+
+  async authenticate({ credentials, timeout }) {
+    return this.requestToken({
+      grant_type: 'password',
+      username: credentials.username,
+      password: credentials.password
+    }, timeout);
+  }
+
+  async refresh({ refreshToken, timeout }) {
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    }, timeout);
+  }
+
+  async requestToken(grant, timeout) {
+    const response = await axios.post(
+      `${this.baseUrl}${this.tokenPath}`,
+      {
+        version: this.version,
+        product_guid: this.productGuid,
+        ...grant
+      },
+      {
+        timeout: timeout || this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Passkey-Backend-API/1.0.0'
+        }
+      }
+    );
+
+    return {
+      data: response.data,
+      status: response.status,
+      headers: response.headers
+    };
+  }
+}
+
+module.exports = GrasshopperPasswordProvider;
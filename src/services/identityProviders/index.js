@@ -0,0 +1,32 @@
+const GrasshopperPasswordProvider = require('./grasshopperPasswordProvider');
+const TokenExchangeProvider = require('./tokenExchangeProvider');
+const MockProvider = require('./mockProvider');
+
+// Backend identity providers, configured by name in auth-config.json:
+//   "identityProviders": { "<name>": { "type": "<type>", ...options } }
+// Every provider implements
+//   requiresCredentials  whether vault credentials are needed
+//   authenticate({ userId, credentials, subjectToken, timeout })
+//                        -> { data, status, headers }; throws axios-style errors
+// and optionally
+//   refresh({ userId, refreshToken, timeout })
+//                        renews a token with the refresh_token grant
+const PROVIDER_TYPES = {
+  'grasshopper-password': GrasshopperPasswordProvider,
+  'oauth2-token-exchange': TokenExchangeProvider,
+  mock: MockProvider
+};
+
+const createProvider = (name, config = {}) => {
+  const Provider = PROVIDER_TYPES[config.type];
+  if (!Provider) {
+    throw new Error(`Identity provider "${name}" has unknown type "${config.type}"`);
+  }
+
+  return new Provider(name, config);
+};
+
+module.exports = {
+  PROVIDER_TYPES,
+  createProvider
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Offline stand-in for a real backend. Issues random bearer tokens; set
+// "fail": true to simulate a rejected sign-in and "latencyMs" to slow it down
+// (calls slower than their timeout fail like an axios timeout).
+class MockProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.type = 'mock';
+    this.requiresCredentials = !!config.requireCredentials;
+
+    this.expiresIn = config.expiresIn || 3600;
+    this.fail = !!config.fail;
+    this.latencyMs = config.latencyMs || 0;
+  }
+
+  async authenticate({ userId, credentials, timeout }) {
+    await this.simulate(timeout);
+    return this.issue(userId, credentials);
+  }
+
+  // Only refresh tokens this provider issued are accepted
+  async refresh({ userId, refreshToken, timeout }) {
+    await this.simulate(timeout);
+
+    if (!refreshToken?.startsWith('mock-refresh-')) {
+      const error = new Error('Mock provider rejected the refresh token');
+      error.response = { status: 400, data: { error: 'invalid_grant', message: 'Invalid refresh token (mock)' } };
+      throw error;
+    }
+
+    return this.issue(userId);
+  }
+
+  async simulate(timeout) {
+    if (timeout && this.latencyMs > timeout) {
+      await new Promise(resolve => setTimeout(resolve, timeout));
+
+      const error = new Error(`timeout of ${timeout}ms exceeded`);
+      error.code = 'ECONNABORTED';
+      error.request = {};
+      throw error;
+    }
+
+    if (this.latencyMs) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    if (this.fail) {
+      const error = new Error('Mock provider rejected the sign-in');
+      error.response = { status: 401, data: { message: 'Invalid credentials (mock)' } };
+      throw error;
+    }
+  }
+
+  issue(userId, credentials) {
+    return {
+      data: {
+        access_token: `mock-${crypto.randomBytes(16).toString('hex')}`,
+        refresh_token: `mock-refresh-${crypto.randomBytes(16).toString('hex')}`,
+        token_type: 'Bearer',
+        expires_in: this.expiresIn,
+        user_id: userId,
+        ...(credentials?.username && { username: credentials.username })
+      },
+      status: 200,
+      headers: {}
+    };
+  }
+}
+
+module.exports = MockProvider;
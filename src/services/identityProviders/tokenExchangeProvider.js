@@ -0,0 +1,88 @@
+const axios = require('axios');
+
+const TOKEN_EXCHANGE_GRANT = 'urn:ietf:params:oauth:grant-type:token-exchange';
+
+// OAuth 2.0 Token Exchange (RFC 8693). The subject token is the user's
+// first-party access token from passkey login, so the authorization server
+// must trust this API's /.well-known/jwks.json. The client secret is read from
+// the environment variable named by clientSecretEnv, never from config.
+class TokenExchangeProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.type = 'oauth2-token-exchange';
+    this.requiresCredentials = false;
+
+    this.tokenUrl = config.tokenUrl;
+    this.clientId = config.clientId;
+    this.clientSecretEnv = config.clientSecretEnv;
+    this.audience = config.audience;
+    this.resource = config.resource;
+    this.scope = config.scope;
+    this.subjectTokenType = config.subjectTokenType || 'urn:ietf:params:oauth:token-type:jwt';
+    this.requestedTokenType = config.requestedTokenType;
+    this.timeout = config.timeout || 30000;
+
+    if (!this.tokenUrl) {
+      throw new Error(`Identity provider "${name}" needs a tokenUrl`);
+    }
+  }
+
+  getClientAuth() {
+    if (!this.clientId) return undefined;
+
+    const secret = this.clientSecretEnv ? process.env[this.clientSecretEnv] : undefined;
+    if (this.clientSecretEnv && !secret) {
+      throw new Error(`Identity provider "${this.name}" needs ${this.clientSecretEnv} to be set`);
+    }
+
+    return { username: this.clientId, password: secret || '' };
+  }
+
+  async authenticate({ subjectToken, timeout }) {
+    if (!subjectToken) {
+      throw new Error(`Identity provider "${this.name}" needs a session access token to exchange`);
+    }
+
+    const params = new URLSearchParams({
+      grant_type: TOKEN_EXCHANGE_GRANT,
+      subject_token: subjectToken,
+      subject_token_type: this.subjectTokenType
+    });
+    if (this.audience) params.set('audience', this.audience);
+    if (this.resource) params.set('resource', this.resource);
+    if (this.scope) params.set('scope', this.scope);
+    if (this.requestedTokenType) params.set('requested_token_type', this.requestedTokenType);
+
+    return this.requestToken(params, timeout);
+  }
+
+  // Exchanged tokens that came with a refresh_token renew with the standard grant
+  async refresh({ refreshToken, timeout }) {
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    });
+    if (this.scope) params.set('scope', this.scope);
+
+    return this.requestToken(params, timeout);
+  }
+
+  async requestToken(params, timeout) {
+    const response = await axios.post(this.tokenUrl, params.toString(), {
+      timeout: timeout || this.timeout,
+      auth: this.getClientAuth(),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'Passkey-Backend-API/1.0.0'
+      }
+    });
+
+    return {
+      data: response.data,
+      status: response.status,
+      headers: response.headers
+    };
+  }
+}
+
+module.exports = TokenExchangeProvider;
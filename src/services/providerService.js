@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const backendService = require('./backendService');
+
+// Bundled AAGUID -> provider dataset, in the community
+// passkey-authenticator-aaguids format:
+//   { "<aaguid>": { "name": "...", "icon_light": "data:...", "icon_dark": "data:..." } }
+// The bundled copy carries names only; `npm run update-aaguids` refreshes it
+// with the dataset's icons.
+const DEFAULT_DATASET_PATH = 'config/aaguid-providers.json';
+
+const ZERO_AAGUID = '00000000-0000-0000-0000-000000000000';
+
+const normalizeEntries = (entries = {}) => {
+  const providers = new Map();
+  for (const [aaguid, entry] of Object.entries(entries)) {
+    if (entry && entry.name) {
+      providers.set(aaguid.toLowerCase(), entry);
+    }
+  }
+  return providers;
+};
+
+class ProviderService {
+  constructor() {
+    this.providers = new Map();
+    this.loadedVersion = null;
+  }
+
+  // Reload whenever the dataset file or the configured overrides change, so an
+  // updated dataset takes effect without a restart
+  async ensureLoaded() {
+    let config = {};
+    try {
+      config = await backendService.getProviderConfig();
+    } catch (error) {
+      console.warn('Using default provider config:', error.message);
+    }
+
+    const datasetPath = path.resolve(__dirname, '../..', config.datasetPath || DEFAULT_DATASET_PATH);
+    const custom = config.custom || {};
+
+    let mtimeMs = 0;
+    try {
+      ({ mtimeMs } = await fs.stat(datasetPath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const version = `${datasetPath}:${mtimeMs}:${JSON.stringify(custom)}`;
+    if (version === this.loadedVersion) return;
+
+    let dataset = {};
+    if (mtimeMs) {
+      try {
+        dataset = JSON.parse(await fs.readFile(datasetPath, 'utf8'));
+      } catch (error) {
+        console.error('Error loading AAGUID provider dataset:', error.message);
+      }
+    }
+
+    // Configured entries win over the bundled ones
+    this.providers = new Map([...normalizeEntries(dataset), ...normalizeEntries(custom)]);
+    this.loadedVersion = version;
+  }
+
+  lookup(aaguid) {
+    if (!aaguid || aaguid.toLowerCase() === ZERO_AAGUID) return null;
+    return this.providers.get(aaguid.toLowerCase()) || null;
+  }
+
+  // { providerName, providerIcon: { light, dark } } for a stored passkey. Falls
+  // back to the metadata statement description recorded at registration.
+  describe(passkey) {
+    const provider = this.lookup(passkey.aaguid);
+    if (!provider) {
+      return {
+        providerName: passkey.attestation?.description || null,
+        providerIcon: null
+      };
+    }
+
+    // Entries without icons (such as the bundled names-only copy) get none
+    const hasIcon = provider.icon_light || provider.icon_dark;
+    return {
+      providerName: provider.name,
+      providerIcon: hasIcon ? {
+        light: provider.icon_light || provider.icon_dark,
+        dark: provider.icon_dark || provider.icon_light
+      } : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ProviderService();
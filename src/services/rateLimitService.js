@@ -0,0 +1,155 @@
+const backendService = require('./backendService');
+const securityEventService = require('./securityEventService');
+const { createRateLimitStore } = require('../utils/rate-limit-store');
+
+// Limits per action and subject: "ip" (client address), "user" (userId or
+// username in the body) and "credential" (the credential ID being asserted).
+// Configured rules replace the defaults action by action; null turns a
+// subject off.
+const DEFAULT_RULES = {
+  'register-begin': {
+    ip: { limit: 20, windowSeconds: 60 },
+    user: { limit: 5, windowSeconds: 60 }
+  },
+  'login-begin': {
+    ip: { limit: 30, windowSeconds: 60 },
+    user: { limit: 10, windowSeconds: 60 }
+  },
+  'login-complete': {
+    ip: { limit: 30, windowSeconds: 60 },
+    credential: { limit: 10, windowSeconds: 60 }
+  },
+  signin: {
+    ip: { limit: 10, windowSeconds: 60 },
+    user: { limit: 5, windowSeconds: 60 }
+  },
+  'recovery-redeem': {
+    ip: { limit: 10, windowSeconds: 60 },
+    user: { limit: 5, windowSeconds: 900 }
+  }
+};
+
+// threshold failed verifications within windowSeconds lock the credential and
+// its user for baseSeconds, doubling with each further lockout up to maxSeconds
+const DEFAULT_LOCKOUT = {
+  threshold: 5,
+  windowSeconds: 900,
+  baseSeconds: 30,
+  maxSeconds: 3600
+};
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  store: null
+};
+
+const rateLimitError = (code, message, retryAfterMs) => {
+  const error = new Error(message);
+  error.name = 'RateLimitError';
+  error.status = 429;
+  error.code = code;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return error;
+};
+
+class RateLimitService {
+  constructor() {
+    this.config = { ...DEFAULT_CONFIG, rules: DEFAULT_RULES, lockout: DEFAULT_LOCKOUT };
+    this.store = null;
+  }
+
+  async initializeConfig() {
+    try {
+      const config = await backendService.getRateLimitConfig();
+      this.config = {
+        ...DEFAULT_CONFIG,
+        ...config,
+        rules: { ...DEFAULT_RULES, ...config.rules },
+        lockout: { ...DEFAULT_LOCKOUT, ...config.lockout }
+      };
+    } catch (error) {
+      console.warn('Using default rate limit config:', error.message);
+    }
+
+    if (!this.store) {
+      this.store = createRateLimitStore({ store: this.config.store });
+    }
+  }
+
+  // Count one request against every configured limit of the action; throws a
+  // 429 RateLimitError once any of them is exceeded
+  async hit(action, subjects = {}) {
+    await this.initializeConfig();
+    if (!this.config.enabled) return;
+
+    const rules = this.config.rules[action] || {};
+    for (const [subject, rule] of Object.entries(rules)) {
+      const value = subjects[subject];
+      if (!rule || !value) continue;
+
+      const { count, resetAt } = await this.store.increment(`${action}:${subject}:${value}`, rule.windowSeconds * 1000);
+      if (count > rule.limit) {
+        throw rateLimitError('RATE_LIMITED', `Too many ${action} requests for this ${subject}`, resetAt - Date.now());
+      }
+    }
+  }
+
+  // Throws a 429 while the credential or user ({ credential, user }) is locked out
+  async checkLockout(subjects = {}) {
+    await this.initializeConfig();
+    if (!this.config.enabled) return;
+
+    for (const [subject, value] of Object.entries(subjects)) {
+      if (!value) continue;
+
+      const state = await this.store.get(`lockout:${subject}:${value}`);
+      if (state?.lockedUntil > Date.now()) {
+        throw rateLimitError('LOCKED_OUT', `Too many failed verifications; this ${subject} is locked`, state.lockedUntil - Date.now());
+      }
+    }
+  }
+
+  async recordFailure(subjects = {}) {
+    await this.initializeConfig();
+    if (!this.config.enabled) return;
+
+    const { threshold, windowSeconds, baseSeconds, maxSeconds } = this.config.lockout;
+    const now = Date.now();
+
+    for (const [subject, value] of Object.entries(subjects)) {
+      if (!value) continue;
+
+      const key = `lockout:${subject}:${value}`;
+      const state = (await this.store.get(key)) || { failures: 0, level: 0, lockedUntil: null };
+      state.failures += 1;
+
+      if (state.failures >= threshold) {
+        const lockSeconds = Math.min(maxSeconds, baseSeconds * 2 ** state.level);
+        state.lockedUntil = now + lockSeconds * 1000;
+        state.level += 1;
+        state.failures = 0;
+
+        await securityEventService.record('ceremony.locked_out', {
+          userId: subject === 'user' ? value : undefined,
+          details: { subject, ...(subject === 'credential' && { credentialId: value }), lockSeconds, level: state.level }
+        });
+      }
+
+      // The escalation level is forgotten after a quiet window past the lock
+      const lockRemainingMs = state.lockedUntil ? Math.max(0, state.lockedUntil - now) : 0;
+      await this.store.set(key, state, lockRemainingMs + windowSeconds * 1000);
+    }
+  }
+
+  async recordSuccess(subjects = {}) {
+    await this.initializeConfig();
+    if (!this.config.enabled) return;
+
+    for (const [subject, value] of Object.entries(subjects)) {
+      if (value) await this.store.delete(`lockout:${subject}:${value}`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RateLimitService();
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const storage = require('../utils/storage');
+const backendService = require('./backendService');
+const { DEFAULT_TENANT, qualifyId } = require('../utils/tenant-storage');
+
+const CODE_COLLECTION = 'recovery-codes';
+const GRANT_COLLECTION = 'recovery-grants';
+const CLAIM_COLLECTION = 'recovery-claims';
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or retyped
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+
+const DEFAULT_CONFIG = {
+  codeCount: 10,
+  grantTtlSeconds: 900
+};
+
+const recoveryError = (status, code, message) => {
+  const error = new Error(message);
+  error.name = 'RecoveryError';
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const generateCode = () => {
+  const chars = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+// Upper-case, drop separators and read look-alikes the way Crockford does
+const normalizeCode = (code) => String(code || '')
+  .toUpperCase()
+  .replace(/[\s-]/g, '')
+  .replace(/O/g, '0')
+  .replace(/[IL]/g, '1');
+
+const hashCode = (salt, code) => crypto.createHash('sha256').update(`${salt}:${normalizeCode(code)}`).digest('base64url');
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('base64url');
+
+// Claim IDs in the recovery-claims collection
+const codeClaimId = (id, hash) => `code:${id}:${hash}`;
+const grantClaimId = (grantId) => `grant:${grantId}`;
+
+// Account recovery for users who lost their passkeys. Each user holds one set
+// of single-use recovery codes, stored only as salted hashes. Redeeming a code
+// yields a short-lived enrollment grant ("<grantId>.<secret>") that lets
+// register/begin enroll a new passkey for that user, once.
+//
+// Codes and grants are spent by creating their claim record, which storage
+// does atomically, so concurrent requests cannot spend one twice. usedAt on
+// the code or grant record follows the claim and is informational.
+class RecoveryService {
+  constructor() {
+    this.config = { ...DEFAULT_CONFIG };
+  }
+
+  async initializeConfig() {
+    try {
+      this.config = { ...DEFAULT_CONFIG, ...(await backendService.getRecoveryConfig()) };
+    } catch (error) {
+      console.warn('Using default recovery config:', error.message);
+    }
+  }
+
+  // Replace the user's codes with a new set; the plaintext codes are returned
+  // once and never stored
+  async generateCodes(userId, tenantId = DEFAULT_TENANT) {
+    await this.initializeConfig();
+
+    const salt = crypto.randomBytes(16).toString('base64url');
+    const codes = Array.from({ length: this.config.codeCount }, generateCode);
+
+    await storage.saveRecord(CODE_COLLECTION, qualifyId(tenantId, userId), {
+      userId,
+      tenantId,
+      salt,
+      codes: codes.map(code => ({ hash: hashCode(salt, code), usedAt: null })),
+      generatedAt: new Date().toISOString()
+    });
+
+    return { codes, ...(await this.getStatus(userId, tenantId)) };
+  }
+
+  // { total, remaining, generatedAt }, or null when the user has no codes
+  async getStatus(userId, tenantId = DEFAULT_TENANT) {
+    const id = qualifyId(tenantId, userId);
+    const record = await storage.getRecord(CODE_COLLECTION, id);
+    if (!record) return null;
+
+    return {
+      total: record.codes.length,
+      remaining: (await this.unusedCodes(id, record)).length,
+      generatedAt: record.generatedAt
+    };
+  }
+
+  // Codes without a usedAt may still have been claimed by a redemption whose
+  // record update lost a race with another one
+  async unusedCodes(id, record) {
+    const claimed = await Promise.all(record.codes.map(entry => (entry.usedAt
+      ? true
+      : storage.getRecord(CLAIM_COLLECTION, codeClaimId(id, entry.hash)))));
+
+    return record.codes.filter((entry, index) => !claimed[index]);
+  }
+
+  // Spend one unused code and issue an enrollment grant for the user. Unknown
+  // users and wrong or spent codes are refused alike.
+  async redeem(userId, code, tenantId = DEFAULT_TENANT) {
+    await this.initializeConfig();
+
+    const id = qualifyId(tenantId, userId);
+    const record = userId ? await storage.getRecord(CODE_COLLECTION, id) : null;
+    const hash = record && hashCode(record.salt, code);
+    const match = record?.codes.find(entry => !entry.usedAt && safeEqual(entry.hash, hash));
+    const claimed = match && await storage.createRecord(CLAIM_COLLECTION, codeClaimId(id, match.hash), { userId, tenantId });
+
+    if (!claimed) {
+      throw recoveryError(401, 'INVALID_RECOVERY_CODE', 'Invalid or already used recovery code');
+    }
+
+    const usedAt = new Date().toISOString();
+    await storage.saveRecord(CODE_COLLECTION, id, {
+      ...record,
+      codes: record.codes.map(entry => (entry === match ? { ...entry, usedAt } : entry))
+    });
+
+    const grantId = uuidv4();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const ttlMs = this.config.grantTtlSeconds * 1000;
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+
+    await storage.saveRecord(GRANT_COLLECTION, grantId, {
+      userId,
+      tenantId,
+      secretHash: hashSecret(secret),
+      usedAt: null
+    }, { ttlMs });
+
+    return {
+      grant: `${grantId}.${secret}`,
+      grantId,
+      userId,
+      expiresAt,
+      remaining: (await this.unusedCodes(id, record)).length
+    };
+  }
+
+  // The grant behind a token, if it is live, unused and for this user
+  async verifyGrant(token, { userId, tenantId = DEFAULT_TENANT }) {
+    const [grantId, secret] = String(token || '').split('.');
+    const grant = grantId && secret ? await storage.getRecord(GRANT_COLLECTION, grantId) : null;
+
+    if (!grant || grant.usedAt || !safeEqual(grant.secretHash, hashSecret(secret))
+      || await storage.getRecord(CLAIM_COLLECTION, grantClaimId(grantId))) {
+      throw recoveryError(401, 'INVALID_RECOVERY_GRANT', 'Invalid or expired recovery grant');
+    }
+    if (grant.userId !== userId || (grant.tenantId || DEFAULT_TENANT) !== tenantId) {
+      throw recoveryError(403, 'RECOVERY_GRANT_MISMATCH', 'Recovery grant was issued for another user');
+    }
+
+    return grant;
+  }
+
+  // Mark the grant spent once a passkey is enrolled with it; refuses grants
+  // that expired or were spent since register/begin
+  async consumeGrant(grantId) {
+    const grant = await storage.getRecord(GRANT_COLLECTION, grantId);
+    const ttlMs = grant && Math.max(1, new Date(grant.expiresAt).getTime() - Date.now());
+    const claimed = grant && !grant.usedAt
+      && await storage.createRecord(CLAIM_COLLECTION, grantClaimId(grantId), { userId: grant.userId, tenantId: grant.tenantId }, { ttlMs });
+
+    if (!claimed) {
+      throw recoveryError(401, 'INVALID_RECOVERY_GRANT', 'Invalid or expired recovery grant');
+    }
+
+    await storage.saveRecord(GRANT_COLLECTION, grantId, { ...grant, usedAt: new Date().toISOString() }, { ttlMs });
+  }
+}
+
+// Export singleton instance
+module.exports = new RecoveryService();
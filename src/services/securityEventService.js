@@ -0,0 +1,39 @@
+const { v4: uuidv4 } = require('uuid');
+
+const storage = require('../utils/storage');
+
+const EVENT_COLLECTION = 'security-events';
+
+// Security-relevant events kept for investigation, e.g.
+//   { type: 'passkey.counter_regression', userId, passkeyId, details }
+class SecurityEventService {
+  async record(type, { userId = null, passkeyId = null, details = {} } = {}) {
+    const id = uuidv4();
+    const event = {
+      type,
+      userId,
+      passkeyId,
+      details,
+      occurredAt: new Date().toISOString()
+    };
+
+    await storage.saveRecord(EVENT_COLLECTION, id, event);
+    console.warn(`Security event ${type}`, { userId, passkeyId, ...details });
+
+    return { id, ...event };
+  }
+
+  // Newest first, optionally filtered by user, passkey or type
+  async list({ userId, passkeyId, type } = {}) {
+    const events = await storage.listRecords(EVENT_COLLECTION);
+
+    return events
+      .filter(event => (!userId || event.userId === userId)
+        && (!passkeyId || event.passkeyId === passkeyId)
+        && (!type || event.type === type))
+      .sort((a, b) => b.occurredAt.localeCompare(a.occurredAt));
+  }
+}
+
+// Export singleton instance
+module.exports = new SecurityEventService();
@@ -0,0 +1,122 @@
+const backendService = require('./backendService');
+const { DEFAULT_TENANT } = require('../utils/tenant-storage');
+
+// Tenant IDs end up in storage keys as "<tenantId>:<id>", so no colons
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+const tenantError = (code, message) => {
+  const error = new Error(message);
+  error.name = 'TenantError';
+  error.status = 400;
+  error.code = code;
+  return error;
+};
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Relying parties served by this deployment. The top-level webauthn block
+// (and its attestation and cloneDetection policies) is the "default" tenant;
+// each entry under "tenants" is another RP with its own webauthn block, the
+// hosts it is served on, its backend provider and optional policy overrides.
+class TenantService {
+  async getTenants() {
+    const configs = await backendService.getTenantConfigs();
+    const tenants = new Map();
+
+    for (const [id, config] of Object.entries(configs)) {
+      if (id === DEFAULT_TENANT || !TENANT_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid tenant ID "${id}"`);
+      }
+      if (!config.webauthn?.rpID || !config.webauthn?.origin) {
+        throw new Error(`Tenant "${id}" needs webauthn.rpID and webauthn.origin`);
+      }
+
+      tenants.set(id, {
+        id,
+        hosts: (config.hosts || [hostnameOf(config.webauthn.origin)]).map(host => host.toLowerCase()),
+        provider: config.provider || null,
+        userProviders: config.userProviders || {},
+        webauthn: config.webauthn,
+        attestation: config.attestation || {},
+        cloneDetection: config.cloneDetection || {}
+      });
+    }
+
+    return tenants;
+  }
+
+  async getTenant(tenantId = DEFAULT_TENANT) {
+    if (tenantId === DEFAULT_TENANT) {
+      return { id: DEFAULT_TENANT };
+    }
+
+    return (await this.getTenants()).get(tenantId) || null;
+  }
+
+  // An explicit tenant (X-Tenant-ID header or ?tenant=) wins and must exist;
+  // otherwise the first tenant listing the request's host, else the default
+  async resolve({ tenantId, host } = {}) {
+    if (tenantId) {
+      const tenant = await this.getTenant(tenantId);
+      if (!tenant) {
+        throw tenantError('UNKNOWN_TENANT', `Unknown tenant: ${tenantId}`);
+      }
+      return tenant;
+    }
+
+    const hostname = (host || '').toLowerCase();
+    for (const tenant of (await this.getTenants()).values()) {
+      if (tenant.hosts.includes(hostname)) return tenant;
+    }
+
+    return { id: DEFAULT_TENANT };
+  }
+
+  // Timeouts are shared with the default RP unless the tenant sets its own
+  async getWebAuthnConfig(tenantId = DEFAULT_TENANT) {
+    const defaults = await backendService.getWebAuthnConfig();
+    if (tenantId === DEFAULT_TENANT) return defaults;
+
+    const tenant = await this.requireTenant(tenantId);
+    return {
+      timeout: defaults.timeout,
+      conditionalTimeout: defaults.conditionalTimeout,
+      allowedOrigins: [],
+      relatedOrigins: [],
+      androidApps: [],
+      iosApps: [],
+      ...tenant.webauthn
+    };
+  }
+
+  async getAttestationConfig(tenantId = DEFAULT_TENANT) {
+    const defaults = await backendService.getAttestationConfig();
+    if (tenantId === DEFAULT_TENANT) return defaults;
+
+    return { ...defaults, ...(await this.requireTenant(tenantId)).attestation };
+  }
+
+  async getCloneDetectionConfig(tenantId = DEFAULT_TENANT) {
+    const defaults = await backendService.getCloneDetectionConfig();
+    if (tenantId === DEFAULT_TENANT) return defaults;
+
+    return { ...defaults, ...(await this.requireTenant(tenantId)).cloneDetection };
+  }
+
+  async requireTenant(tenantId) {
+    const tenant = await this.getTenant(tenantId);
+    if (!tenant) {
+      throw tenantError('UNKNOWN_TENANT', `Unknown tenant: ${tenantId}`);
+    }
+    return tenant;
+  }
+}
+
+// Export singleton instance
+module.exports = new TenantService();
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const {
+  SignJWT,
+  jwtVerify,
+  importPKCS8,
+  generateKeyPair,
+  exportJWK
+} = require('jose');
+const { v4: uuidv4 } = require('uuid');
+
+const storage = require('../utils/storage');
+const backendService = require('./backendService');
+const { DEFAULT_TENANT } = require('../utils/tenant-storage');
+const { hashTransaction } = require('../utils/transaction');
+
+const SESSION_COLLECTION = 'auth-sessions';
+
+// Spent refresh tokens ("<sessionId>:<hash>") and revoked sessions
+// ("revoked:<sessionId>"), each created atomically
+const CLAIM_COLLECTION = 'auth-session-claims';
+
+// JWT "typ" headers; each kind of token is refused where the other is expected
+const ACCESS_TOKEN_TYPE = 'JWT';
+const STEP_UP_TOKEN_TYPE = 'stepup+jwt';
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.name = 'UnauthorizedError';
+  error.status = 401;
+  return error;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+class TokenService {
+  constructor() {
+    this.issuer = 'passkey-backend-api';
+    this.audience = 'passkey-backend-api';
+    this.accessTokenTtl = 15 * 60; // seconds
+    this.refreshTokenTtl = 30 * 24 * 60 * 60; // seconds
+    this.stepUpTokenTtl = 5 * 60; // seconds
+
+    // kid -> { kid, alg, privateKey, publicKey }
+    this.keys = new Map();
+    this.activeKid = null;
+    this.keysLoaded = null;
+  }
+
+  async initializeConfig() {
+    try {
+      const config = await backendService.getSessionConfig();
+      this.issuer = config.issuer || this.issuer;
+      this.audience = config.audience || this.audience;
+      this.accessTokenTtl = config.accessTokenTtl || this.accessTokenTtl;
+      this.refreshTokenTtl = config.refreshTokenTtl || this.refreshTokenTtl;
+      this.stepUpTokenTtl = config.stepUpTokenTtl || this.stepUpTokenTtl;
+    } catch (error) {
+      console.warn('Using default session config:', error.message);
+    }
+  }
+
+  // Signing keys come from SESSION_SIGNING_KEYS, a JSON array of
+  // { kid, alg, privateKey } with PKCS#8 PEM private keys. The key named by
+  // SESSION_ACTIVE_KID (default: the first) signs new tokens; the others stay
+  // in the JWKS so tokens issued before a rotation keep verifying.
+  async ensureKeys() {
+    if (!this.keysLoaded) {
+      this.keysLoaded = this.loadKeys().catch((error) => {
+        this.keysLoaded = null;
+        throw error;
+      });
+    }
+
+    return this.keysLoaded;
+  }
+
+  async loadKeys() {
+    const configured = process.env.SESSION_SIGNING_KEYS
+      ? JSON.parse(process.env.SESSION_SIGNING_KEYS)
+      : [];
+
+    for (const entry of configured) {
+      if (!entry.kid || !entry.privateKey) {
+        throw new Error('Each SESSION_SIGNING_KEYS entry needs a kid and a privateKey');
+      }
+
+      const alg = entry.alg || 'ES256';
+      const privateKey = await importPKCS8(entry.privateKey.replace(/\\n/g, '\n'), alg);
+      this.keys.set(entry.kid, {
+        kid: entry.kid,
+        alg,
+        privateKey,
+        publicKey: crypto.createPublicKey(privateKey)
+      });
+    }
+
+    if (this.keys.size === 0) {
+      // Development fallback: tokens stop verifying when the process restarts
+      console.warn('SESSION_SIGNING_KEYS not set, using an ephemeral signing key');
+      const { privateKey, publicKey } = await generateKeyPair('ES256', { extractable: true });
+      const kid = `ephemeral-${uuidv4()}`;
+      this.keys.set(kid, { kid, alg: 'ES256', privateKey, publicKey });
+    }
+
+    this.activeKid = process.env.SESSION_ACTIVE_KID || this.keys.keys().next().value;
+    if (!this.keys.has(this.activeKid)) {
+      throw new Error(`SESSION_ACTIVE_KID ${this.activeKid} does not match any signing key`);
+    }
+  }
+
+  async getJWKS() {
+    await this.ensureKeys();
+
+    const keys = [];
+    for (const { kid, alg, publicKey } of this.keys.values()) {
+      keys.push({ ...(await exportJWK(publicKey)), kid, alg, use: 'sig' });
+    }
+
+    return { keys };
+  }
+
+  async signAccessToken(session) {
+    await this.ensureKeys();
+    const { kid, alg, privateKey } = this.keys.get(this.activeKid);
+
+    return new SignJWT({
+      sid: session.id,
+      username: session.username,
+      passkeyId: session.passkeyId,
+      tenant: session.tenantId || DEFAULT_TENANT
+    })
+      .setProtectedHeader({ alg, kid, typ: ACCESS_TOKEN_TYPE })
+      .setIssuer(this.issuer)
+      .setAudience(this.audience)
+      .setSubject(session.userId)
+      .setJti(uuidv4())
+      .setIssuedAt()
+      .setExpirationTime(`${this.accessTokenTtl}s`)
+      .sign(privateKey);
+  }
+
+  // Time left until the session's absolute expiry, which rotation never moves.
+  // Sessions from before refreshExpiresAt was kept expire a refresh TTL after
+  // sign-in.
+  sessionTtlMs(session) {
+    const expiresAt = session.refreshExpiresAt
+      ? new Date(session.refreshExpiresAt).getTime()
+      : new Date(session.authenticatedAt || session.createdAt).getTime() + this.refreshTokenTtl * 1000;
+
+    return expiresAt - Date.now();
+  }
+
+  // Refresh tokens are opaque "<sessionId>.<secret>" strings. Only a hash of the
+  // current secret is stored; every refresh replaces it.
+  async rotateRefreshToken(session) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const ttlMs = this.sessionTtlMs(session);
+
+    await storage.saveRecord(SESSION_COLLECTION, session.id, {
+      ...session,
+      refreshExpiresAt: new Date(Date.now() + ttlMs).toISOString(),
+      previousTokenHash: session.refreshTokenHash || null,
+      refreshTokenHash: hashSecret(secret),
+      rotatedAt: new Date().toISOString()
+    }, { ttlMs });
+
+    // A revocation racing this rotation may have deleted the session before
+    // it was saved again; its marker says so
+    if (await storage.getRecord(CLAIM_COLLECTION, `revoked:${session.id}`)) {
+      await storage.deleteRecord(SESSION_COLLECTION, session.id);
+      throw unauthorized('Session has ended');
+    }
+
+    return `${session.id}.${secret}`;
+  }
+
+  async buildTokenResponse(session) {
+    const refreshToken = await this.rotateRefreshToken(session);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken: await this.signAccessToken(session),
+      expiresIn: this.accessTokenTtl,
+      refreshToken,
+      refreshExpiresIn: Math.ceil(this.sessionTtlMs(session) / 1000),
+      sessionId: session.id
+    };
+  }
+
+  async issueSession({ userId, username, passkeyId, tenantId = DEFAULT_TENANT }) {
+    await this.initializeConfig();
+
+    return this.buildTokenResponse({
+      id: uuidv4(),
+      tenantId,
+      userId,
+      username,
+      passkeyId,
+      authenticatedAt: new Date().toISOString(),
+      refreshExpiresAt: new Date(Date.now() + this.refreshTokenTtl * 1000).toISOString()
+    });
+  }
+
+  // Resolve the session a refresh token belongs to, or throw
+  async findRefreshSession(refreshToken) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    const session = sessionId && secret
+      ? await storage.getRecord(SESSION_COLLECTION, sessionId)
+      : null;
+
+    if (!session) {
+      throw unauthorized('Invalid or expired refresh token');
+    }
+
+    const presentedHash = hashSecret(secret);
+
+    if (!safeEqual(presentedHash, session.refreshTokenHash)) {
+      // A superseded token being replayed means it leaked; end the session
+      if (safeEqual(presentedHash, session.previousTokenHash)) {
+        await this.revokeReusedSession(session);
+      }
+      throw unauthorized('Invalid or expired refresh token');
+    }
+
+    return session;
+  }
+
+  async revokeReusedSession(session) {
+    await this.revokeSession(session.id);
+    console.warn(`Refresh token reuse detected, revoked session ${session.id}`);
+  }
+
+  // The presented token is claimed before a new one is issued, so of
+  // concurrent refreshes with one token only the first succeeds and the
+  // others count as reuse
+  async refresh(refreshToken) {
+    await this.initializeConfig();
+
+    const session = await this.findRefreshSession(refreshToken);
+    const ttlMs = this.sessionTtlMs(session);
+    if (ttlMs <= 0) {
+      await this.revokeSession(session.id);
+      throw unauthorized('Invalid or expired refresh token');
+    }
+
+    const claimed = await storage.createRecord(CLAIM_COLLECTION, `${session.id}:${session.refreshTokenHash}`, {}, { ttlMs });
+    if (!claimed) {
+      await this.revokeReusedSession(session);
+      throw unauthorized('Invalid or expired refresh token');
+    }
+
+    return this.buildTokenResponse(session);
+  }
+
+  // Verify a token signed with one of our keys and carrying the given typ
+  async verifySignedToken(token, typ) {
+    await this.ensureKeys();
+
+    const { payload } = await jwtVerify(token, async (header) => {
+      const key = this.keys.get(header.kid);
+      if (!key) throw new Error(`Unknown signing key: ${header.kid}`);
+      return key.publicKey;
+    }, {
+      issuer: this.issuer,
+      audience: this.audience,
+      typ,
+      algorithms: [...new Set(Array.from(this.keys.values(), key => key.alg))]
+    });
+
+    return payload;
+  }
+
+  async verifyAccessToken(token) {
+    await this.initializeConfig();
+
+    let payload;
+    try {
+      payload = await this.verifySignedToken(token, ACCESS_TOKEN_TYPE);
+    } catch (error) {
+      throw unauthorized(error.code === 'ERR_JWT_EXPIRED' ? 'Access token expired' : 'Invalid access token');
+    }
+
+    // Access tokens die with their session so logout takes effect immediately
+    const session = await storage.getRecord(SESSION_COLLECTION, payload.sid);
+    if (!session || session.userId !== payload.sub) {
+      throw unauthorized('Session has ended');
+    }
+
+    return { claims: payload, session };
+  }
+
+  // Step-up tokens state that the user just approved one transaction with a
+  // user-verified passkey assertion. They are short-lived, self-contained JWTs
+  // (typ "stepup+jwt") that services verify offline against the JWKS; "jti"
+  // lets them refuse replays.
+  async issueStepUpToken({ userId, sessionId, passkeyId, tenantId = DEFAULT_TENANT, transaction }) {
+    await this.initializeConfig();
+    await this.ensureKeys();
+    const { kid, alg, privateKey } = this.keys.get(this.activeKid);
+
+    const transactionHash = hashTransaction(transaction);
+    const token = await new SignJWT({
+      sid: sessionId,
+      passkeyId,
+      tenant: tenantId,
+      amr: ['hwk', 'user'],
+      txn: { type: transaction.type, hash: transactionHash }
+    })
+      .setProtectedHeader({ alg, kid, typ: STEP_UP_TOKEN_TYPE })
+      .setIssuer(this.issuer)
+      .setAudience(this.audience)
+      .setSubject(userId)
+      .setJti(uuidv4())
+      .setIssuedAt()
+      .setExpirationTime(`${this.stepUpTokenTtl}s`)
+      .sign(privateKey);
+
+    return {
+      stepUpToken: token,
+      expiresIn: this.stepUpTokenTtl,
+      transactionHash
+    };
+  }
+
+  // Claims of a valid step-up token. With a transaction, also require that it
+  // is the one the token approved.
+  async verifyStepUpToken(token, { transaction } = {}) {
+    await this.initializeConfig();
+
+    let claims;
+    try {
+      claims = await this.verifySignedToken(token, STEP_UP_TOKEN_TYPE);
+    } catch (error) {
+      throw unauthorized(error.code === 'ERR_JWT_EXPIRED' ? 'Step-up token expired' : 'Invalid step-up token');
+    }
+
+    if (transaction && claims.txn?.hash !== hashTransaction(transaction)) {
+      throw unauthorized('Step-up token was issued for another transaction');
+    }
+
+    return claims;
+  }
+
+  // The marker outlives any session, so a refresh rotating the session
+  // concurrently cannot bring it back
+  async revokeSession(sessionId) {
+    await storage.saveRecord(CLAIM_COLLECTION, `revoked:${sessionId}`, {}, { ttlMs: this.refreshTokenTtl * 1000 });
+    return storage.deleteRecord(SESSION_COLLECTION, sessionId);
+  }
+
+  async revokeRefreshToken(refreshToken) {
+    const session = await this.findRefreshSession(refreshToken);
+    await this.revokeSession(session.id);
+    return session;
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenService();
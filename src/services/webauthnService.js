@@ -6,16 +6,57 @@ const {
 } = require('@simplewebauthn/server');
 const { v4: uuidv4 } = require('uuid');
 
-const storage = require('../utils/kv-storage');
-const backendService = require('./backendService');
+const storage = require('../utils/storage');
+const attestationService = require('./attestationService');
+const securityEventService = require('./securityEventService');
+const webhookService = require('./webhookService');
+const tenantService = require('./tenantService');
+const recoveryService = require('./recoveryService');
+const { DEFAULT_TENANT, qualifyId, createTenantStorage } = require('../utils/tenant-storage');
+const { buildExpectedOrigins } = require('../utils/origins');
+const { validateAssociations } = require('../utils/associations');
+const { hashTransaction, buildTransactionChallenge, challengeMatchesTransaction } = require('../utils/transaction');
+const { usernameTakenError } = require('../utils/storage-codec');
+
+// What to do when a signature counter goes backwards or stays flat
+const CLONE_ACTIONS = ['reject', 'suspend', 'warn'];
+
+// Challenges spent by an assertion, claimed before it is verified
+const CHALLENGE_CLAIM_COLLECTION = 'challenge-claims';
+
+// user.id is sent as the userId string. Browser helpers return it as
+// base64url(UTF-8 bytes); native clients that treat it as base64url already
+// return it verbatim.
+const userHandleMatches = (userHandle, userId) => {
+  return userHandle === userId || Buffer.from(userHandle, 'base64url').toString('utf8') === userId;
+};
+
+const authenticationError = (code, message) => {
+  const error = new Error(message);
+  error.name = 'AuthenticationError';
+  error.status = 401;
+  error.code = code;
+  return error;
+};
+
+// tenantId -> WebAuthnService
+const instances = new Map();
 
 class WebAuthnService {
-  constructor() {
+  constructor(tenantId = DEFAULT_TENANT) {
+    // Each relying party sees only its own passkeys, users and challenges
+    this.tenantId = tenantId;
+    this.storage = createTenantStorage(storage, tenantId);
+
     this.rpName = 'Passkey Backend API';
     this.rpID = 'localhost';
     this.origin = 'http://localhost:3000';
     this.timeout = 60000;
 
+    // Autofill ceremonies wait on the sign-in form, so their options and
+    // challenges live much longer than a modal ceremony
+    this.conditionalTimeout = 600000;
+
     // Cross-platform origins for mobile apps
     this.allowedOrigins = [
       'http://localhost:3000',
@@ -24,48 +65,92 @@ class WebAuthnService {
       'ios:bundle-id:REPLACE_WITH_YOUR_IOS_BUNDLE_ID'
     ];
 
+    // Origins on other domains allowed to use this RP ID, published at
+    // /.well-known/webauthn (Related Origin Requests)
+    this.relatedOrigins = [];
+
+    // [{ packageName, sha256CertFingerprints: ['AB:CD:...'] }]
+    this.androidApps = [];
+
+    // [{ teamId, bundleId }]
+    this.iosApps = [];
+
+    this.cloneAction = 'reject';
+
+    // Config problems already warned about, so each is logged once
+    this.reportedProblems = new Set();
+
     this.initializeConfig();
   }
 
+  // The service for another relying party, created on first use
+  forTenant(tenantId = DEFAULT_TENANT) {
+    if (!instances.has(tenantId)) {
+      instances.set(tenantId, new WebAuthnService(tenantId));
+    }
+    return instances.get(tenantId);
+  }
+
   async initializeConfig() {
     try {
-      const config = await backendService.getWebAuthnConfig();
+      const config = await tenantService.getWebAuthnConfig(this.tenantId);
       this.rpName = config.rpName || this.rpName;
       this.rpID = config.rpID || this.rpID;
       this.origin = config.origin || this.origin;
       this.timeout = config.timeout || this.timeout;
+      this.conditionalTimeout = config.conditionalTimeout || this.conditionalTimeout;
       this.allowedOrigins = config.allowedOrigins || this.allowedOrigins;
+      this.relatedOrigins = config.relatedOrigins || this.relatedOrigins;
+      this.androidApps = config.androidApps || this.androidApps;
+      this.iosApps = config.iosApps || this.iosApps;
+
+      // Malformed app entries and related origins are skipped, not fatal
+      for (const problem of validateAssociations(this)) {
+        const message = `Ignoring webauthn.${problem.path}: ${problem.message}`;
+        if (!this.reportedProblems.has(message)) {
+          this.reportedProblems.add(message);
+          console.warn(message);
+        }
+      }
+
+      const { action } = await tenantService.getCloneDetectionConfig(this.tenantId);
+      if (action && !CLONE_ACTIONS.includes(action)) {
+        console.warn(`Unknown cloneDetection action "${action}", using "reject"`);
+      }
+      this.cloneAction = CLONE_ACTIONS.includes(action) ? action : 'reject';
     } catch (error) {
       console.warn('Using default WebAuthn config:', error.message);
     }
   }
 
-  // Platform-specific authenticator selection
-  getAuthenticatorSelection(platform) {
+  // Platform-specific authenticator selection; residentKey 'required' asks for
+  // a discoverable credential usable for usernameless login
+  getAuthenticatorSelection(platform, residentKey = 'preferred') {
     const baseSelection = {
-      residentKey: 'preferred',
+      residentKey,
       userVerification: 'preferred',
     };
+    const requireResidentKey = residentKey === 'required';
 
     switch (platform.toLowerCase()) {
       case 'android':
         return {
           ...baseSelection,
           authenticatorAttachment: 'platform', // Prefer platform authenticators
-          requireResidentKey: false,
+          requireResidentKey,
         };
       case 'ios':
         return {
           ...baseSelection,
           authenticatorAttachment: 'platform', // Face ID, Touch ID
-          requireResidentKey: false,
+          requireResidentKey,
         };
       case 'web':
       default:
         return {
           ...baseSelection,
           // Don't specify authenticatorAttachment for web to allow both platform and cross-platform
-          requireResidentKey: false,
+          requireResidentKey,
         };
     }
   }
@@ -105,29 +190,46 @@ class WebAuthnService {
     }
   }
 
-  // Validate origin based on platform
-  isValidOrigin(origin, platform) {
-    if (this.allowedOrigins.includes(origin)) {
-      return true;
-    }
+  // The shared attestation policy with this tenant's overrides
+  async getAttestationPolicy() {
+    await attestationService.initializeConfig();
+    return attestationService.resolvePolicy(await tenantService.getAttestationConfig(this.tenantId));
+  }
 
-    switch (platform.toLowerCase()) {
-      case 'android':
-        return origin.startsWith('android:apk-key-hash:');
-      case 'ios':
-        return true;
-      case 'web':
-        return origin.startsWith('http://') || origin.startsWith('https://');
-      default:
-        return false;
-    }
+  // Origins accepted in clientDataJSON, for every platform at once
+  getExpectedOrigins() {
+    return buildExpectedOrigins({
+      origin: this.origin,
+      allowedOrigins: this.allowedOrigins,
+      relatedOrigins: this.relatedOrigins,
+      androidApps: this.androidApps,
+      iosApps: this.iosApps
+    });
+  }
+
+  // Whether the user already has an account: a user record, or passkeys left
+  // from before user records were kept
+  async hasAccount(userId) {
+    return !!(await this.storage.getUser(userId)) || (await this.storage.getPasskeysByUser(userId)).length > 0;
   }
 
-  async generateRegistrationOptions(userId, username, displayName, platform = 'web') {
+  // recoveryGrantId ties the ceremony to a recovery enrollment grant, which
+  // is spent when the passkey is registered. enrollment records how
+  // register/begin let the caller in: { mode: 'new' } for a user without an
+  // account, { mode: 'session', userId } for the signed-in user, or
+  // { mode: 'recovery' } with a grant.
+  async generateRegistrationOptions(userId, username, displayName, platform = 'web', residentKey = 'preferred', { recoveryGrantId, enrollment } = {}) {
     await this.initializeConfig();
+    const attestationPolicy = await this.getAttestationPolicy();
+
+    // Usernames are not handed over to another user ID
+    const owner = await this.storage.getUserByUsername(username);
+    if (owner && owner.id !== userId) {
+      throw usernameTakenError(username);
+    }
 
     // Get existing passkeys for this user
-    const existingPasskeys = await storage.getPasskeys(userId);
+    const existingPasskeys = await this.storage.getPasskeysByUser(userId);
     const excludeCredentials = existingPasskeys.map(passkey => ({
       id: passkey.credentialID,
       type: 'public-key',
@@ -135,7 +237,7 @@ class WebAuthnService {
     }));
 
     // Platform-specific authenticator selection
-    const authenticatorSelection = this.getAuthenticatorSelection(platform);
+    const authenticatorSelection = this.getAuthenticatorSelection(platform, residentKey);
 
     const options = await generateRegistrationOptions({
       rpName: this.rpName,
@@ -144,7 +246,7 @@ class WebAuthnService {
       userName: username,
       userDisplayName: displayName || username,
       timeout: this.timeout,
-      attestationType: 'none',
+      attestationType: attestationService.getConveyance(attestationPolicy),
       excludeCredentials,
       authenticatorSelection,
       supportedAlgorithmIDs: [-7, -257, -35, -36, -37, -38, -39], // ES256, RS256, ES384, ES512, PS256, PS384, PS512
@@ -152,26 +254,28 @@ class WebAuthnService {
 
     // Store challenge for verification
     const sessionId = uuidv4();
-    await storage.saveChallenge(sessionId, {
+    await this.storage.saveChallenge(sessionId, {
       challenge: options.challenge,
       userId,
       username,
       displayName,
       platform,
+      ...(recoveryGrantId && { recoveryGrantId }),
+      enrollment: recoveryGrantId ? { mode: 'recovery' } : (enrollment || { mode: 'new' }),
       type: 'registration'
     });
-console.log(options);
+
     return {
       options,
       sessionId
     };
   }
 
-  async verifyRegistration(sessionId, credential, userId, origin = null, platform = 'web') {
+  async verifyRegistration(sessionId, credential, userId, platform = 'web', { nickname } = {}) {
     await this.initializeConfig();
 
     // Get stored challenge
-    const challengeData = await storage.getChallenge(sessionId);
+    const challengeData = await this.storage.getChallenge(sessionId);
     if (!challengeData || challengeData.type !== 'registration') {
       throw new Error('Invalid or expired registration session');
     }
@@ -180,39 +284,41 @@ console.log(options);
       throw new Error('User ID mismatch');
     }
 
-    // Determine expected origin
-    let expectedOrigin =  "https://nagender.in" //origin || this.origin;
+    await this.checkEnrollment(challengeData);
 
-    // For mobile platforms, we need to validate against allowed origins
-    /*if (platform !== 'web' && origin) {
-      if (!this.isValidOrigin(origin, platform)) {
-        throw new Error(`Invalid origin for ${platform} platform: ${origin}`);
-      }
-      expectedOrigin = origin;
-    }*/
-console.log({
-  response: credential,
-  expectedChallenge: challengeData.challenge,
-  expectedOrigin: expectedOrigin,
-  expectedRPID: this.rpID,
-});
-    const verification = await verifyRegistrationResponse({
-      response: credential,
-      expectedChallenge: challengeData.challenge,
-      expectedOrigin: expectedOrigin,
-      expectedRPID: "nagender.in",
-    });
+    const attestationPolicy = await this.getAttestationPolicy();
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: credential,
+        expectedChallenge: challengeData.challenge,
+        expectedOrigin: this.getExpectedOrigins(),
+        expectedRPID: this.rpID,
+      });
+    } catch (error) {
+      throw attestationService.verificationFailed(error);
+    }
 
     if (!verification.verified) {
       throw new Error('Registration verification failed');
     }
 
+    // Throws AttestationPolicyError when the authenticator is not acceptable
+    const attestation = attestationService.evaluate(verification.registrationInfo, attestationPolicy);
+
+    // Throws RecoveryError when the grant expired or was spent meanwhile
+    if (challengeData.recoveryGrantId) {
+      await recoveryService.consumeGrant(challengeData.recoveryGrantId);
+    }
+
     // Save the passkey
     const passkeyId = uuidv4();
     const passkeyData = {
       userId: challengeData.userId,
       username: challengeData.username,
       displayName: challengeData.displayName,
+      ...(nickname && { nickname }),
       credentialID: verification.registrationInfo.credentialID,
       credentialPublicKey: verification.registrationInfo.credentialPublicKey,
       counter: verification.registrationInfo.counter,
@@ -220,20 +326,37 @@ console.log({
       credentialBackedUp: verification.registrationInfo.credentialBackedUp,
       transports: credential.response.transports || this.getTransportsForPlatform(null, challengeData.platform || platform),
       aaguid: verification.registrationInfo.aaguid,
+      attestation,
+      // credProps.rk when the client reports it; null when unknown
+      discoverable: credential.clientExtensionResults?.credProps?.rk ?? null,
       platform: challengeData.platform || platform,
-      registeredFrom: expectedOrigin,
+      registeredFrom: verification.registrationInfo.origin,
+      ...(challengeData.recoveryGrantId && { enrolledVia: 'recovery' })
     };
 
-    await storage.savePasskey(passkeyId, passkeyData);
-
-    // Save user info
-    await storage.saveUser(challengeData.userId, {
+    // Save user info first; it throws UsernameTakenError when another user
+    // took the username since register/begin
+    await this.storage.saveUser(challengeData.userId, {
       username: challengeData.username,
       displayName: challengeData.displayName,
     });
 
+    await this.storage.savePasskey(passkeyId, passkeyData);
+
     // Clean up challenge
-    await storage.deleteChallenge(sessionId);
+    await this.storage.deleteChallenge(sessionId);
+
+    await webhookService.emit('passkey.registered', {
+      tenant: this.tenantId,
+      passkeyId,
+      userId: passkeyData.userId,
+      username: passkeyData.username,
+      platform: passkeyData.platform,
+      credentialDeviceType: passkeyData.credentialDeviceType,
+      credentialBackedUp: passkeyData.credentialBackedUp,
+      aaguid: passkeyData.aaguid,
+      attestationFormat: attestation?.format || null
+    });
 
     return {
       verified: true,
@@ -242,31 +365,49 @@ console.log({
     };
   }
 
-  async generateAuthenticationOptions(userId = null, platform = 'web') {
+  // The access register/begin granted must still hold when the passkey is
+  // saved: a ceremony started for a brand-new user cannot finish once the
+  // account exists, and a session only enrolls passkeys for its own user.
+  // Recovery grants are spent, and so re-checked, by consumeGrant.
+  async checkEnrollment(challengeData) {
+    const { mode, userId } = challengeData.enrollment || { mode: 'new' };
+
+    if (mode === 'recovery' && challengeData.recoveryGrantId) return;
+    if (mode === 'session' && userId === challengeData.userId) return;
+    if (mode === 'new' && !(await this.hasAccount(challengeData.userId))) return;
+
+    throw authenticationError('ENROLLMENT_NOT_ALLOWED', 'Sign in or use a recovery grant to add a passkey to this account');
+  }
+
+  // mediation 'conditional' starts a usernameless autofill ceremony; passing
+  // the previous sessionId abandons that challenge when reissuing.
+  async generateAuthenticationOptions(userId = null, platform = 'web', { mediation, previousSessionId } = {}) {
     await this.initializeConfig();
 
+    const conditional = mediation === 'conditional';
+    if (conditional) {
+      userId = null;
+      if (previousSessionId) {
+        await this.abandonConditionalChallenge(previousSessionId);
+      }
+    }
+
     let allowCredentials = [];
 
+    // Without a user the list stays empty and the authenticator offers its
+    // discoverable credentials; the user is resolved from the userHandle
     if (userId) {
-      // Get passkeys for specific user
-      const userPasskeys = await storage.getPasskeys(userId);
+      const userPasskeys = await this.storage.getPasskeysByUser(userId);
       allowCredentials = userPasskeys.map(passkey => ({
         id: passkey.credentialID,
         type: 'public-key',
         transports: this.getTransportsForPlatform(passkey.transports, platform),
       }));
-    } else {
-      // Get all passkeys for usernameless authentication
-      const allPasskeys = await storage.getPasskeys();
-      allowCredentials = allPasskeys.map(passkey => ({
-        id: passkey.credentialID,
-        type: 'public-key',
-        transports: this.getTransportsForPlatform(passkey.transports, platform),
-      }));
     }
 
+    const timeout = conditional ? this.conditionalTimeout : this.timeout;
     const options = await generateAuthenticationOptions({
-      timeout: this.timeout,
+      timeout,
       allowCredentials: allowCredentials.length > 0 ? allowCredentials : undefined,
       userVerification: 'preferred',
       rpID: this.rpID,
@@ -274,86 +415,283 @@ console.log({
 
     // Store challenge for verification
     const sessionId = uuidv4();
-    await storage.saveChallenge(sessionId, {
+    await this.storage.saveChallenge(sessionId, {
       challenge: options.challenge,
       userId,
       platform,
-      type: 'authentication'
-    });
+      type: 'authentication',
+      ...(conditional && { mediation: 'conditional' })
+    }, conditional ? { ttlMs: this.conditionalTimeout } : {});
 
     return {
       options,
-      sessionId
+      sessionId,
+      ...(conditional && {
+        mediation: 'conditional',
+        expiresAt: new Date(Date.now() + timeout).toISOString()
+      })
     };
   }
 
-  async verifyAuthentication(sessionId, credential, origin = null) {
+  // Only conditional authentication challenges can be dropped this way, so a
+  // caller cannot cancel someone else's modal ceremony by guessing its ID
+  async abandonConditionalChallenge(sessionId) {
+    const challengeData = await this.storage.getChallenge(sessionId);
+    if (challengeData && challengeData.type === 'authentication' && challengeData.mediation === 'conditional') {
+      await this.storage.deleteChallenge(sessionId);
+    }
+  }
+
+  async verifyAuthentication(sessionId, credential) {
     await this.initializeConfig();
 
     // Get stored challenge
-    const challengeData = await storage.getChallenge(sessionId);
+    const challengeData = await this.storage.getChallenge(sessionId);
     if (!challengeData || challengeData.type !== 'authentication') {
       throw new Error('Invalid or expired authentication session');
     }
 
+    return this.verifyAssertion(sessionId, challengeData, credential);
+  }
+
+  // Step-up: a user-verified assertion over a challenge derived from the
+  // transaction, so the signature approves that operation and nothing else.
+  // Only the user's own passkeys are offered.
+  async generateStepUpOptions(userId, transaction, platform = 'web') {
+    await this.initializeConfig();
+
+    const userPasskeys = await this.storage.getPasskeysByUser(userId);
+    if (userPasskeys.length === 0) {
+      throw authenticationError('NO_PASSKEYS', 'User has no passkeys to confirm with');
+    }
+
+    const transactionHash = hashTransaction(transaction);
+    const options = await generateAuthenticationOptions({
+      timeout: this.timeout,
+      challenge: buildTransactionChallenge(transactionHash),
+      allowCredentials: userPasskeys.map(passkey => ({
+        id: passkey.credentialID,
+        type: 'public-key',
+        transports: this.getTransportsForPlatform(passkey.transports, platform),
+      })),
+      userVerification: 'required',
+      rpID: this.rpID,
+    });
+
+    const sessionId = uuidv4();
+    await this.storage.saveChallenge(sessionId, {
+      challenge: options.challenge,
+      userId,
+      platform,
+      transaction,
+      transactionHash,
+      type: 'stepup'
+    });
+
+    return {
+      options,
+      sessionId,
+      transactionHash
+    };
+  }
+
+  // Verify a step-up assertion for the signed-in user; returns the login
+  // result plus the approved transaction and its hash
+  async verifyStepUp(sessionId, credential, userId) {
+    await this.initializeConfig();
+
+    const challengeData = await this.storage.getChallenge(sessionId);
+    if (!challengeData || challengeData.type !== 'stepup') {
+      throw new Error('Invalid or expired step-up session');
+    }
+    if (challengeData.userId !== userId) {
+      throw authenticationError('STEPUP_USER_MISMATCH', 'Step-up was started by another user');
+    }
+
+    // The stored transaction must still be the one the challenge was built from
+    const transactionHash = hashTransaction(challengeData.transaction);
+    if (transactionHash !== challengeData.transactionHash || !challengeMatchesTransaction(challengeData.challenge, transactionHash)) {
+      throw authenticationError('TRANSACTION_MISMATCH', 'Challenge does not match the transaction');
+    }
+
+    const result = await this.verifyAssertion(sessionId, challengeData, credential, { requireUserVerification: true });
+
+    return {
+      ...result,
+      transaction: challengeData.transaction,
+      transactionHash
+    };
+  }
+
+  // Spend a challenge before its assertion is verified. The claim is created
+  // atomically, so of concurrent requests replaying one assertion only the
+  // first gets through; a failed verification spends the challenge too.
+  async claimChallenge(sessionId, challengeData) {
+    const ttlMs = Math.max(1, new Date(challengeData.expiresAt).getTime() - Date.now()) || this.timeout;
+    const claimed = await this.storage.createRecord(CHALLENGE_CLAIM_COLLECTION, qualifyId(this.tenantId, sessionId), {}, { ttlMs });
+
+    if (!claimed) {
+      throw authenticationError('CHALLENGE_ALREADY_USED', 'This challenge has already been used');
+    }
+  }
+
+  // Checks shared by logins and step-ups: the passkey exists, is not
+  // suspended, belongs to the ceremony's user, signed the challenge and moved
+  // its counter forward. Spends the challenge.
+  async verifyAssertion(sessionId, challengeData, credential, { requireUserVerification = true } = {}) {
+    await this.claimChallenge(sessionId, challengeData);
+
     // Find the passkey by credential ID
-    const allPasskeys = await storage.getPasskeys();
-    const passkey = allPasskeys.find(p =>
-      Buffer.from(p.credentialID).equals(Buffer.from(credential.id, 'base64url'))
-    );
+    const passkey = await this.storage.getPasskeyByCredentialId(credential.id);
 
     if (!passkey) {
       throw new Error('Passkey not found');
     }
 
-    // Determine expected origin
-    const platform = challengeData.platform || 'web';
-    let expectedOrigin = origin || this.origin;
-
-    // For mobile platforms, validate origin
-    if (platform !== 'web' && origin) {
-      if (!this.isValidOrigin(origin, platform)) {
-        throw new Error(`Invalid origin for ${platform} platform: ${origin}`);
-      }
-      expectedOrigin = origin;
+    if (passkey.status === 'suspended') {
+      throw authenticationError('CREDENTIAL_SUSPENDED', 'This passkey has been suspended');
     }
 
+    this.checkCredentialOwner(passkey, challengeData, credential.response?.userHandle);
+
+    // The stored counter is withheld from the library so that a regression is
+    // only acted on once the signature has been verified
     const verification = await verifyAuthenticationResponse({
       response: credential,
       expectedChallenge: challengeData.challenge,
-      expectedOrigin: "https://nagender.in",
-      expectedRPID: "nagender.in",
+      expectedOrigin: this.getExpectedOrigins(),
+      expectedRPID: this.rpID,
       authenticator: {
         credentialID: passkey.credentialID,
         credentialPublicKey: passkey.credentialPublicKey,
-        counter: passkey.counter,
+        counter: 0,
         transports: passkey.transports,
       },
+      requireUserVerification,
     });
 
     if (!verification.verified) {
       throw new Error('Authentication verification failed');
     }
 
-    // Update counter and last used
-    await storage.savePasskey(passkey.id, {
+    const { newCounter } = verification.authenticationInfo;
+    const cloneDetection = this.detectCounterRegression(passkey, newCounter);
+    if (cloneDetection) {
+      await this.handleCounterRegression(passkey, cloneDetection);
+    }
+
+    // Update counter and last used; keep the highest counter seen so a
+    // regression stays detectable on later logins
+    await this.storage.savePasskey(passkey.id, {
       ...passkey,
-      counter: verification.authenticationInfo.newCounter,
+      counter: Math.max(passkey.counter || 0, newCounter),
+      ...(cloneDetection && { cloneSuspected: true, cloneDetection }),
     });
-    await storage.updatePasskeyLastUsed(passkey.id);
+    await this.storage.updatePasskeyLastUsed(passkey.id);
 
     // Clean up challenge
-    await storage.deleteChallenge(sessionId);
+    await this.storage.deleteChallenge(sessionId);
+
+    await webhookService.emit('passkey.authenticated', {
+      tenant: this.tenantId,
+      passkeyId: passkey.id,
+      userId: passkey.userId,
+      username: passkey.username,
+      cloneSuspected: Boolean(cloneDetection)
+    });
 
     return {
       verified: true,
       userId: passkey.userId,
       username: passkey.username,
       passkeyId: passkey.id,
-      passkey
+      passkey,
+      ...(cloneDetection && {
+        warning: 'Signature counter did not increase; this passkey may have been cloned'
+      })
+    };
+  }
+
+  // The credential must belong to the user the ceremony was started for, and
+  // any userHandle must name its owner. Usernameless ceremonies rely on the
+  // userHandle alone, so it is required there.
+  checkCredentialOwner(passkey, challengeData, userHandle) {
+    if (challengeData.userId && challengeData.userId !== passkey.userId) {
+      throw authenticationError('CREDENTIAL_USER_MISMATCH', 'Passkey does not belong to the requested user');
+    }
+
+    if (!userHandle) {
+      if (!challengeData.userId) {
+        throw authenticationError('USER_HANDLE_REQUIRED', 'Usernameless login requires a discoverable credential');
+      }
+      return;
+    }
+
+    if (!userHandleMatches(userHandle, passkey.userId)) {
+      throw authenticationError('USER_HANDLE_MISMATCH', 'userHandle does not match the passkey owner');
+    }
+  }
+
+  // Counters of zero on both sides mean the authenticator does not keep one
+  // (most synced passkeys); otherwise each response must move it forward. A
+  // regression suggests the credential has been cloned.
+  detectCounterRegression(passkey, newCounter) {
+    const storedCounter = passkey.counter || 0;
+    if ((newCounter === 0 && storedCounter === 0) || newCounter > storedCounter) {
+      return null;
+    }
+
+    return {
+      detectedAt: new Date().toISOString(),
+      storedCounter,
+      receivedCounter: newCounter,
+      action: this.cloneAction
     };
   }
+
+  // Record the regression, then reject or suspend per the configured action.
+  // With "warn" the login goes ahead and the caller stores the flag.
+  async handleCounterRegression(passkey, cloneDetection) {
+    const { storedCounter, receivedCounter, action } = cloneDetection;
+
+    await securityEventService.record('passkey.counter_regression', {
+      userId: passkey.userId,
+      passkeyId: passkey.id,
+      details: { tenant: this.tenantId, storedCounter, receivedCounter, action }
+    });
+
+    await webhookService.emit('passkey.flagged', {
+      tenant: this.tenantId,
+      passkeyId: passkey.id,
+      userId: passkey.userId,
+      reason: 'counter_regression',
+      action,
+      storedCounter,
+      receivedCounter
+    });
+
+    if (action === 'warn') return;
+
+    await this.storage.savePasskey(passkey.id, {
+      ...passkey,
+      cloneSuspected: true,
+      cloneDetection,
+      ...(action === 'suspend' && {
+        status: 'suspended',
+        suspendedAt: cloneDetection.detectedAt,
+        suspendedReason: 'counter_regression'
+      }),
+    });
+
+    throw authenticationError(
+      action === 'suspend' ? 'CREDENTIAL_SUSPENDED' : 'CREDENTIAL_CLONE_SUSPECTED',
+      `Signature counter went from ${storedCounter} to ${receivedCounter}; this passkey may have been cloned`
+    );
+  }
 }
 
-// Export singleton instance
-module.exports = new WebAuthnService();
+// Export singleton instance (the default tenant)
+const webauthnService = new WebAuthnService();
+instances.set(DEFAULT_TENANT, webauthnService);
+
+module.exports = webauthnService;
@@ -0,0 +1,404 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+
+const backendService = require('./backendService');
+const storage = require('../utils/storage');
+const { DEFAULT_TENANT, belongsToTenant } = require('../utils/tenant-storage');
+const { SIGNATURE_HEADER, signPayload } = require('../utils/webhook-signature');
+const { findNonPublicAddress, publicLookup } = require('../utils/public-address');
+
+const ENDPOINT_COLLECTION = 'webhook-endpoints';
+const DELIVERY_COLLECTION = 'webhook-deliveries';
+const QUEUE_COLLECTION = 'webhook-queue';
+const CLAIM_COLLECTION = 'webhook-claims';
+
+// Claims outlive a stuck attempt by this much before another worker may retry
+const CLAIM_MARGIN_MS = 60 * 1000;
+
+const EVENT_TYPES = [
+  'passkey.registered',
+  'passkey.authenticated',
+  'passkey.deleted',
+  'passkey.flagged'
+];
+
+const DEFAULT_CONFIG = {
+  maxAttempts: 8,
+  baseDelaySeconds: 30,
+  maxDelaySeconds: 3600,
+  timeoutMs: 10000,
+  historyDays: 30,
+  secretGraceHours: 24,
+  // Lets endpoints on loopback and private networks through, for local development
+  allowPrivateNetworks: false
+};
+
+// Agents whose DNS lookups refuse non-public addresses
+const PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+const webhookUrlError = (message) => {
+  const error = new Error(message);
+  error.name = 'WebhookUrlError';
+  error.status = 400;
+  error.code = 'WEBHOOK_URL_NOT_ALLOWED';
+  return error;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+// Endpoints as returned by the API; secrets are only shown on create and rotate
+const sanitizeEndpoint = ({ secret, previousSecret, previousSecretExpiresAt, expiresAt, ...endpoint }) => endpoint;
+
+// Webhooks for passkey lifecycle events. Endpoints belong to one tenant and
+// only receive that tenant's events. emit() queues one delivery per
+// subscribed endpoint in the webhook-deliveries collection; the queue is
+// worked in the background and retried with exponential backoff, so events
+// survive restarts and are delivered at least once. Serverless deployments,
+// where no timer outlives the request, drain it with POST /api/webhooks/process.
+//
+// Pending deliveries also have an entry in webhook-queue holding their
+// nextAttemptAt, so finding due work reads the queue rather than the whole
+// delivery history. Each attempt is claimed in webhook-claims before it is
+// sent, so workers in several instances never send the same attempt twice.
+class WebhookService {
+  constructor() {
+    this.processing = null;
+    this.rerun = false;
+    this.timer = null;
+  }
+
+  async getConfig() {
+    return { ...DEFAULT_CONFIG, ...(await backendService.getWebhookConfig()) };
+  }
+
+  // Throws WebhookUrlError unless url reaches a public host (or private
+  // networks are allowed); checked again at every delivery
+  async assertDeliverableUrl(url) {
+    const { allowPrivateNetworks } = await this.getConfig();
+    if (allowPrivateNetworks) return;
+
+    const address = await findNonPublicAddress(url);
+    if (address) {
+      throw webhookUrlError(`Webhook URL must reach a public host; ${new URL(url).hostname} is ${address}`);
+    }
+  }
+
+  async createEndpoint({ url, events = ['*'], description = null }, tenantId = DEFAULT_TENANT) {
+    await this.assertDeliverableUrl(url);
+
+    const id = uuidv4();
+    const secret = generateSecret();
+
+    await storage.saveRecord(ENDPOINT_COLLECTION, id, { tenantId, url, events, description, enabled: true, secret });
+
+    return { ...sanitizeEndpoint(await storage.getRecord(ENDPOINT_COLLECTION, id)), secret };
+  }
+
+  async listEndpoints(tenantId) {
+    const endpoints = await storage.listRecords(ENDPOINT_COLLECTION);
+    return endpoints
+      .filter(endpoint => belongsToTenant(endpoint, tenantId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(sanitizeEndpoint);
+  }
+
+  // Another tenant's endpoint is treated as missing
+  async findEndpoint(id, tenantId) {
+    const endpoint = await storage.getRecord(ENDPOINT_COLLECTION, id);
+    return belongsToTenant(endpoint, tenantId) ? endpoint : null;
+  }
+
+  async getEndpoint(id, tenantId) {
+    const endpoint = await this.findEndpoint(id, tenantId);
+    return endpoint ? sanitizeEndpoint(endpoint) : null;
+  }
+
+  async updateEndpoint(id, changes, tenantId) {
+    const endpoint = await this.findEndpoint(id, tenantId);
+    if (!endpoint) return null;
+
+    if ('url' in changes) {
+      await this.assertDeliverableUrl(changes.url);
+    }
+
+    const updated = { ...endpoint };
+    for (const field of ['url', 'events', 'description', 'enabled']) {
+      if (field in changes) updated[field] = changes[field];
+    }
+
+    await storage.saveRecord(ENDPOINT_COLLECTION, id, updated);
+    return sanitizeEndpoint(await storage.getRecord(ENDPOINT_COLLECTION, id));
+  }
+
+  async deleteEndpoint(id, tenantId) {
+    if (!(await this.findEndpoint(id, tenantId))) return false;
+    return await storage.deleteRecord(ENDPOINT_COLLECTION, id);
+  }
+
+  // The old secret keeps signing alongside the new one for secretGraceHours
+  async rotateSecret(id, tenantId) {
+    const endpoint = await this.findEndpoint(id, tenantId);
+    if (!endpoint) return null;
+
+    const { secretGraceHours } = await this.getConfig();
+    const secret = generateSecret();
+
+    await storage.saveRecord(ENDPOINT_COLLECTION, id, {
+      ...endpoint,
+      secret,
+      previousSecret: endpoint.secret,
+      previousSecretExpiresAt: new Date(Date.now() + secretGraceHours * 60 * 60 * 1000).toISOString()
+    });
+
+    return { ...sanitizeEndpoint(await storage.getRecord(ENDPOINT_COLLECTION, id)), secret };
+  }
+
+  // Queue an event for every enabled endpoint of the event's tenant (data.tenant)
+  // subscribed to it. Never throws: a webhook problem must not fail the
+  // ceremony that raised the event.
+  async emit(type, data, { endpointId } = {}) {
+    try {
+      const endpoints = (await storage.listRecords(ENDPOINT_COLLECTION))
+        .filter(endpoint => belongsToTenant(endpoint, data.tenant) && (endpointId
+          ? endpoint.id === endpointId
+          : endpoint.enabled && (endpoint.events.includes('*') || endpoint.events.includes(type))));
+      if (endpoints.length === 0) return [];
+
+      const event = { id: `evt_${uuidv4()}`, type, createdAt: new Date().toISOString(), data };
+      const deliveries = [];
+      for (const endpoint of endpoints) {
+        deliveries.push(await this.enqueue(endpoint, event));
+      }
+
+      this.processQueue().catch((error) => {
+        console.error('Webhook delivery run failed:', error.message);
+      });
+
+      return deliveries;
+    } catch (error) {
+      console.error(`Failed to queue webhook event ${type}:`, error.message);
+      return [];
+    }
+  }
+
+  // Delivery IDs start with the creation time so history sorts chronologically
+  async enqueue(endpoint, event) {
+    const { historyDays } = await this.getConfig();
+    const now = new Date().toISOString();
+    const id = `${now}-${uuidv4()}`;
+
+    await storage.saveRecord(DELIVERY_COLLECTION, id, {
+      tenantId: endpoint.tenantId || DEFAULT_TENANT,
+      endpointId: endpoint.id,
+      event,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: now
+    }, { ttlMs: historyDays * 24 * 60 * 60 * 1000 });
+    await this.schedule(id, now, historyDays);
+
+    return await storage.getRecord(DELIVERY_COLLECTION, id);
+  }
+
+  async schedule(id, nextAttemptAt, historyDays) {
+    await storage.saveRecord(QUEUE_COLLECTION, id, { nextAttemptAt }, { ttlMs: historyDays * 24 * 60 * 60 * 1000 });
+  }
+
+  // Attempt every due delivery; concurrent calls share one run
+  async processQueue() {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      const summary = { attempted: 0, succeeded: 0, retrying: 0, failed: 0 };
+      do {
+        this.rerun = false;
+        const due = (await storage.listRecords(QUEUE_COLLECTION))
+          .filter(entry => new Date(entry.nextAttemptAt) <= new Date())
+          .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+        for (const entry of due) {
+          const result = await this.deliver(entry.id);
+          if (!result) continue;
+
+          summary.attempted += 1;
+          summary[result.status === 'pending' ? 'retrying' : result.status] += 1;
+        }
+      } while (this.rerun);
+
+      return summary;
+    })().finally(() => {
+      this.processing = null;
+      this.scheduleNext().catch((error) => {
+        console.error('Failed to schedule webhook retries:', error.message);
+      });
+    });
+
+    return this.processing;
+  }
+
+  // Wake up for the earliest pending retry; the timer never keeps the process alive
+  async scheduleNext() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const next = (await storage.listRecords(QUEUE_COLLECTION))
+      .map(entry => new Date(entry.nextAttemptAt).getTime())
+      .sort((a, b) => a - b)[0];
+    if (next === undefined) return;
+
+    this.timer = setTimeout(() => {
+      this.processQueue().catch((error) => {
+        console.error('Webhook delivery run failed:', error.message);
+      });
+    }, Math.max(0, next - Date.now()));
+    this.timer.unref();
+  }
+
+  getSigningSecrets(endpoint) {
+    const graceActive = endpoint.previousSecret && new Date(endpoint.previousSecretExpiresAt) > new Date();
+    return graceActive ? [endpoint.secret, endpoint.previousSecret] : [endpoint.secret];
+  }
+
+  // Attempt one queued delivery if it is still due and no other worker has
+  // claimed this attempt; null when there was nothing to do
+  async deliver(id) {
+    const delivery = await storage.getRecord(DELIVERY_COLLECTION, id);
+    if (!delivery || delivery.status !== 'pending') {
+      await storage.deleteRecord(QUEUE_COLLECTION, id);
+      return null;
+    }
+    if (new Date(delivery.nextAttemptAt) > new Date()) return null;
+
+    const { timeoutMs } = await this.getConfig();
+    const claimed = await storage.createRecord(CLAIM_COLLECTION, `${id}-${delivery.attempts.length}`, { deliveryId: id }, {
+      ttlMs: timeoutMs + CLAIM_MARGIN_MS
+    });
+    if (!claimed) return null;
+
+    return await this.attemptDelivery(delivery);
+  }
+
+  async attemptDelivery(delivery) {
+    const config = await this.getConfig();
+    const endpoint = await storage.getRecord(ENDPOINT_COLLECTION, delivery.endpointId);
+    const startedAt = Date.now();
+    let attempt;
+
+    const blockedAddress = endpoint?.enabled && !config.allowPrivateNetworks
+      ? await findNonPublicAddress(endpoint.url)
+      : null;
+
+    if (!endpoint || !endpoint.enabled) {
+      attempt = { error: endpoint ? 'Endpoint disabled' : 'Endpoint deleted', final: true };
+    } else if (blockedAddress) {
+      attempt = { error: `Endpoint host is non-public address ${blockedAddress}`, final: true };
+    } else {
+      const body = JSON.stringify(delivery.event);
+      try {
+        const response = await axios.post(endpoint.url, body, {
+          ...(!config.allowPrivateNetworks && PUBLIC_AGENTS),
+          timeout: config.timeoutMs,
+          maxRedirects: 0,
+          validateStatus: () => true,
+          transformResponse: (data) => data,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Passkey-Backend-API/1.0.0',
+            'X-Webhook-Id': delivery.event.id,
+            'X-Webhook-Event': delivery.event.type,
+            'X-Webhook-Delivery': delivery.id,
+            [SIGNATURE_HEADER]: signPayload(this.getSigningSecrets(endpoint), body)
+          }
+        });
+
+        const ok = response.status >= 200 && response.status < 300;
+        attempt = { responseStatus: response.status, ...(!ok && { error: `HTTP ${response.status}` }) };
+      } catch (error) {
+        attempt = { error: error.message };
+      }
+    }
+
+    const { final, ...details } = attempt;
+    const attempts = [
+      ...delivery.attempts,
+      { at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, ...details }
+    ];
+
+    let update;
+    if (!details.error) {
+      update = { status: 'succeeded', completedAt: new Date().toISOString(), nextAttemptAt: null };
+    } else if (final || attempts.length >= config.maxAttempts) {
+      update = { status: 'failed', completedAt: new Date().toISOString(), nextAttemptAt: null };
+    } else {
+      const delaySeconds = Math.min(config.maxDelaySeconds, config.baseDelaySeconds * 2 ** (attempts.length - 1));
+      update = { status: 'pending', nextAttemptAt: new Date(Date.now() + delaySeconds * 1000).toISOString() };
+    }
+
+    const { id, createdAt, updatedAt, expiresAt, ...record } = delivery;
+    await storage.saveRecord(DELIVERY_COLLECTION, id, {
+      ...record,
+      ...update,
+      attempts,
+      lastError: details.error || null
+    }, { ttlMs: config.historyDays * 24 * 60 * 60 * 1000 });
+
+    if (update.status === 'pending') {
+      await this.schedule(id, update.nextAttemptAt, config.historyDays);
+    } else {
+      await storage.deleteRecord(QUEUE_COLLECTION, id);
+    }
+
+    return { id, ...update };
+  }
+
+  // Newest first, optionally only one status
+  async listDeliveries(endpointId, { status, limit = 50 } = {}) {
+    const deliveries = await storage.listRecords(DELIVERY_COLLECTION);
+
+    return deliveries
+      .filter(delivery => delivery.endpointId === endpointId && (!status || delivery.status === status))
+      .sort((a, b) => b.id.localeCompare(a.id))
+      .slice(0, limit)
+      .map(({ expiresAt, ...delivery }) => delivery);
+  }
+
+  async getDelivery(id, tenantId) {
+    const delivery = await storage.getRecord(DELIVERY_COLLECTION, id);
+    return belongsToTenant(delivery, tenantId) ? delivery : null;
+  }
+
+  // Put a delivery back in the queue, keeping its attempt history
+  async redeliver(id, tenantId) {
+    const delivery = await this.getDelivery(id, tenantId);
+    if (!delivery) return null;
+
+    const { historyDays } = await this.getConfig();
+    const { createdAt, updatedAt, expiresAt, completedAt, ...record } = delivery;
+    const nextAttemptAt = new Date().toISOString();
+    await storage.saveRecord(DELIVERY_COLLECTION, id, {
+      ...record,
+      status: 'pending',
+      nextAttemptAt
+    }, { ttlMs: historyDays * 24 * 60 * 60 * 1000 });
+    await this.schedule(id, nextAttemptAt, historyDays);
+
+    this.processQueue().catch((error) => {
+      console.error('Webhook delivery run failed:', error.message);
+    });
+
+    return await storage.getRecord(DELIVERY_COLLECTION, id);
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
+module.exports.EVENT_TYPES = EVENT_TYPES;
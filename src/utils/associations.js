@@ -0,0 +1,108 @@
+// Well-known association files, generated from the webauthn config.
+//
+// iOS asks https://<rpID>/.well-known/apple-app-site-association which apps
+// may use the domain's passkeys ("webcredentials"); Android Credential Manager
+// reads Digital Asset Links statements from /.well-known/assetlinks.json.
+// Both are built from the same entries:
+//   iosApps:     [{ teamId: 'ABCDE12345', bundleId: 'com.example.app' }]
+//   androidApps: [{ packageName: 'com.example.app', sha256CertFingerprints: ['AB:CD:...'] }]
+// Browsers read /.well-known/webauthn to learn which other origins may use
+// the RP ID (Related Origin Requests), from relatedOrigins.
+
+const { normalizeFingerprint, validateRelatedOrigins, resolveRelatedOrigins } = require('./origins');
+
+const TEAM_ID_PATTERN = /^[A-Z0-9]{10}$/;
+const BUNDLE_ID_PATTERN = /^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+const PACKAGE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)+$/;
+
+// Credential sharing needs get_login_creds; handle_all_urls keeps App Links working
+const ANDROID_RELATIONS = [
+  'delegate_permission/common.handle_all_urls',
+  'delegate_permission/common.get_login_creds'
+];
+
+const isPlaceholder = (value) => typeof value === 'string' && /REPLACE_WITH/.test(value);
+
+// Every malformed entry as { path, message }; an empty list means the files
+// describe exactly what is configured
+const validateAssociations = ({ iosApps = [], androidApps = [], relatedOrigins = [] } = {}) => {
+  const problems = validateRelatedOrigins(relatedOrigins);
+  const problem = (path, message) => problems.push({ path, message });
+
+  if (!Array.isArray(iosApps)) {
+    problem('iosApps', 'must be an array');
+  } else {
+    iosApps.forEach((app, index) => {
+      const path = `iosApps[${index}]`;
+      if (!TEAM_ID_PATTERN.test(app?.teamId)) {
+        problem(`${path}.teamId`, 'must be a 10 character Apple team ID');
+      }
+      if (!BUNDLE_ID_PATTERN.test(app?.bundleId) || isPlaceholder(app?.bundleId)) {
+        problem(`${path}.bundleId`, 'must be a reverse-DNS bundle ID');
+      }
+    });
+  }
+
+  if (!Array.isArray(androidApps)) {
+    problem('androidApps', 'must be an array');
+  } else {
+    androidApps.forEach((app, index) => {
+      const path = `androidApps[${index}]`;
+      if (!PACKAGE_NAME_PATTERN.test(app?.packageName)) {
+        problem(`${path}.packageName`, 'must be a Java package name');
+      }
+
+      const fingerprints = app?.sha256CertFingerprints;
+      if (!Array.isArray(fingerprints) || fingerprints.length === 0) {
+        problem(`${path}.sha256CertFingerprints`, 'must list at least one fingerprint');
+        return;
+      }
+      fingerprints.forEach((fingerprint, i) => {
+        if (!normalizeFingerprint(fingerprint)) {
+          problem(`${path}.sha256CertFingerprints[${i}]`, 'must be a SHA-256 fingerprint (AB:CD:...)');
+        }
+      });
+    });
+  }
+
+  return problems;
+};
+
+const validIosApps = (iosApps) => (Array.isArray(iosApps) ? iosApps : [])
+  .filter(app => TEAM_ID_PATTERN.test(app?.teamId) && BUNDLE_ID_PATTERN.test(app?.bundleId) && !isPlaceholder(app?.bundleId));
+
+// apple-app-site-association; malformed entries are left out
+const buildAppSiteAssociation = ({ iosApps } = {}) => ({
+  webcredentials: {
+    apps: Array.from(new Set(validIosApps(iosApps).map(app => `${app.teamId}.${app.bundleId}`)))
+  }
+});
+
+// assetlinks.json statements; malformed packages and fingerprints are left out
+const buildAssetLinks = ({ androidApps } = {}) => (Array.isArray(androidApps) ? androidApps : [])
+  .filter(app => PACKAGE_NAME_PATTERN.test(app?.packageName))
+  .map(app => ({
+    packageName: app.packageName,
+    fingerprints: Array.from(new Set((app.sha256CertFingerprints || []).map(normalizeFingerprint).filter(Boolean)))
+  }))
+  .filter(app => app.fingerprints.length > 0)
+  .map(app => ({
+    relation: ANDROID_RELATIONS,
+    target: {
+      namespace: 'android_app',
+      package_name: app.packageName,
+      sha256_cert_fingerprints: app.fingerprints
+    }
+  }));
+
+// /.well-known/webauthn; only the origins browsers will honour
+const buildWebAuthnAssociation = ({ relatedOrigins } = {}) => ({
+  origins: resolveRelatedOrigins(relatedOrigins)
+});
+
+module.exports = {
+  validateAssociations,
+  buildAppSiteAssociation,
+  buildAssetLinks,
+  buildWebAuthnAssociation
+};
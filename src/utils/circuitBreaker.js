@@ -0,0 +1,76 @@
+// Per-backend circuit breaker.
+//
+//   closed     calls go through; failureThreshold consecutive failures open it
+//   open       calls fail fast until resetTimeoutMs has passed
+//   half-open  one trial call; success closes the circuit, failure reopens it
+//
+// Only failures that say the backend is unhealthy should be recorded; a
+// rejected password is a healthy backend doing its job.
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  // Claim permission for a call; false while open (or while the half-open
+  // trial is still running)
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(message, now = Date.now()) {
+    this.failures += 1;
+    this.lastFailure = { message, at: new Date(now).toISOString() };
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  // Release a claimed call that neither proved nor disproved backend health
+  release() {
+    this.trialInFlight = false;
+  }
+
+  // Milliseconds until an open circuit lets a trial call through
+  retryAfterMs(now = Date.now()) {
+    return this.state === 'open' ? Math.max(0, this.openedAt + this.resetTimeoutMs - now) : 0;
+  }
+
+  describe(now = Date.now()) {
+    return {
+      state: this.state === 'open' && this.retryAfterMs(now) === 0 ? 'half-open' : this.state,
+      failures: this.failures,
+      ...(this.openedAt && { openedAt: new Date(this.openedAt).toISOString() }),
+      ...(this.state === 'open' && { retryAfterMs: this.retryAfterMs(now) }),
+      ...(this.lastFailure && { lastFailure: this.lastFailure })
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,553 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+  CHALLENGE_TTL_MS,
+  toBase64Url,
+  serializePasskey,
+  deserializePasskey,
+  clone,
+  isExpired,
+  assertCollectionName,
+  buildRecord,
+  usernameTakenError
+} = require('./storage-codec');
+
+const storageCorruptionError = (filePath, cause) => {
+  const error = new Error(`Storage file ${path.basename(filePath)} is corrupt and no valid backup is available`);
+  error.name = 'StorageCorruptionError';
+  error.code = 'ESTORAGECORRUPT';
+  error.status = 503;
+  error.cause = cause;
+  return error;
+};
+
+const parseStore = (raw) => {
+  const data = JSON.parse(raw);
+
+  // Every store file holds a single object keyed by id
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Expected a JSON object');
+  }
+
+  return data;
+};
+
+const buildPasskeyIndexes = (passkeys) => {
+  const byCredentialId = new Map();
+  const byUser = new Map();
+
+  for (const passkey of Object.values(passkeys)) {
+    if (passkey.credentialID) {
+      byCredentialId.set(toBase64Url(passkey.credentialID), passkey.id);
+    }
+    if (!byUser.has(passkey.userId)) {
+      byUser.set(passkey.userId, []);
+    }
+    byUser.get(passkey.userId).push(passkey.id);
+  }
+
+  return { byCredentialId, byUser };
+};
+
+const buildUserIndexes = (users) => {
+  const byUsername = new Map();
+
+  // Users are kept in the order they were added; should two share a username,
+  // it stays with the first
+  for (const user of Object.values(users)) {
+    if (user.username && !byUsername.has(user.username)) {
+      byUsername.set(user.username, user.id);
+    }
+  }
+
+  return { byUsername };
+};
+
+class JSONStorage {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '../../data');
+    this.passkeyFile = path.join(this.dataDir, 'passkeys.json');
+    this.userFile = path.join(this.dataDir, 'users.json');
+    this.sessionFile = path.join(this.dataDir, 'sessions.json');
+
+    // Tail of the mutation queue per file. Serializes read-modify-write cycles
+    // within this process; the storage is not meant to be shared across processes.
+    this.locks = new Map();
+
+    // Lookup indexes derived from each file. Dropped on every write from this
+    // process and rebuilt when the file on disk changes underneath us.
+    this.indexCache = new Map();
+
+    this.ready = this.initializeStorage();
+  }
+
+  async initializeStorage() {
+    try {
+      // Create data directory if it doesn't exist
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      // Initialize files if they don't exist
+      await this.initializeFile(this.passkeyFile, {});
+      await this.initializeFile(this.userFile, {});
+      await this.initializeFile(this.sessionFile, {});
+    } catch (error) {
+      console.error('Error initializing storage:', error);
+    }
+  }
+
+  async initializeFile(filePath, defaultData) {
+    if (await this.exists(filePath)) return;
+
+    // A missing file next to a backup is a loss, not a fresh install;
+    // leave it for readJSON to recover from the backup
+    if (await this.exists(this.backupPath(filePath))) return;
+
+    await this.atomicWrite(filePath, JSON.stringify(defaultData, null, 2));
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  backupPath(filePath) {
+    return `${filePath}.bak`;
+  }
+
+  // Write to a temp file in the same directory, flush it, then rename over the
+  // target so readers only ever see the old or the new content
+  async atomicWrite(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    try {
+      const handle = await fs.open(tempPath, 'w');
+      try {
+        await handle.writeFile(contents, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async readStoreFile(filePath) {
+    return parseStore(await fs.readFile(filePath, 'utf8'));
+  }
+
+  // Restore a store file from its last-known-good backup. The damaged file is
+  // kept alongside as *.corrupt-<timestamp> for investigation.
+  async recoverFromBackup(filePath, cause) {
+    let backup;
+    try {
+      backup = await this.readStoreFile(this.backupPath(filePath));
+    } catch (backupError) {
+      console.error(`No usable backup for ${filePath}:`, backupError.message);
+      throw storageCorruptionError(filePath, cause);
+    }
+
+    try {
+      await fs.rename(filePath, `${filePath}.corrupt-${Date.now()}`);
+    } catch (renameError) {
+      // Missing file, or a concurrent reader already moved it aside
+      if (renameError.code !== 'ENOENT') throw renameError;
+    }
+    await this.atomicWrite(filePath, JSON.stringify(backup, null, 2));
+    this.indexCache.delete(filePath);
+
+    console.warn(`Recovered ${filePath} from backup after read failure: ${cause.message}`);
+    return backup;
+  }
+
+  async readJSON(filePath) {
+    await this.ready;
+
+    try {
+      return await this.readStoreFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT' && !(await this.exists(this.backupPath(filePath)))) {
+        return {};
+      }
+
+      console.error(`Error reading ${filePath}:`, error.message);
+      return await this.recoverFromBackup(filePath, error);
+    }
+  }
+
+  async writeJSON(filePath, data) {
+    await this.ready;
+
+    // The current file parsed cleanly when this mutation read it, so it becomes
+    // the last-known-good backup before being replaced
+    if (await this.exists(filePath)) {
+      await this.atomicWrite(this.backupPath(filePath), await fs.readFile(filePath, 'utf8'));
+    }
+
+    await this.atomicWrite(filePath, JSON.stringify(data, null, 2));
+    this.indexCache.delete(filePath);
+    return true;
+  }
+
+  async fileVersion(filePath) {
+    try {
+      const stat = await fs.stat(filePath);
+      return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  // Read a file together with its lookup indexes. The cached entry is tagged
+  // with the version seen before reading, so a write racing the read only
+  // causes an extra rebuild on the next lookup.
+  async readIndexed(filePath, buildIndexes) {
+    await this.ready;
+
+    const version = await this.fileVersion(filePath);
+    const cached = this.indexCache.get(filePath);
+    if (version && cached?.version === version) {
+      return cached;
+    }
+
+    const data = await this.readJSON(filePath);
+    const entry = { version, data, indexes: buildIndexes(data) };
+    if (version) {
+      this.indexCache.set(filePath, entry);
+    }
+
+    return entry;
+  }
+
+  // Run a read-modify-write cycle with exclusive access to filePath. The
+  // mutator edits the data in place and returns whether anything changed;
+  // the file is only rewritten when it did.
+  async updateJSON(filePath, mutator) {
+    return this.withLock(filePath, async () => {
+      const data = await this.readJSON(filePath);
+      const changed = await mutator(data);
+
+      if (changed) {
+        await this.writeJSON(filePath, data);
+      }
+
+      return changed;
+    });
+  }
+
+  // Queue task behind every earlier one for the same file
+  async withLock(filePath, task) {
+    const previous = this.locks.get(filePath) || Promise.resolve();
+    const run = previous.then(task);
+
+    // Keep the queue going even when this mutation fails
+    const tail = run.catch(() => {});
+    this.locks.set(filePath, tail);
+    tail.then(() => {
+      if (this.locks.get(filePath) === tail) {
+        this.locks.delete(filePath);
+      }
+    });
+
+    return run;
+  }
+
+  // Passkey operations
+  async getPasskeys(userId = null) {
+    if (userId) {
+      return this.getPasskeysByUser(userId);
+    }
+
+    const passkeys = Object.values(await this.readJSON(this.passkeyFile));
+    return passkeys.map(deserializePasskey);
+  }
+
+  async getPasskeysByUser(userId) {
+    const { data, indexes } = await this.readIndexed(this.passkeyFile, buildPasskeyIndexes);
+    const ids = indexes.byUser.get(userId) || [];
+
+    return ids.map(id => deserializePasskey(clone(data[id])));
+  }
+
+  async getPasskeyById(passkeyId) {
+    const passkeys = await this.readJSON(this.passkeyFile);
+    return deserializePasskey(passkeys[passkeyId]);
+  }
+
+  async getPasskeyByCredentialId(credentialId) {
+    const { data, indexes } = await this.readIndexed(this.passkeyFile, buildPasskeyIndexes);
+    const passkeyId = indexes.byCredentialId.get(toBase64Url(credentialId));
+
+    return passkeyId ? deserializePasskey(clone(data[passkeyId])) : null;
+  }
+
+  async savePasskey(passkeyId, passkeyData) {
+    return await this.updateJSON(this.passkeyFile, (passkeys) => {
+      passkeys[passkeyId] = serializePasskey({
+        ...passkeyData,
+        id: passkeyId,
+        createdAt: passkeys[passkeyId]?.createdAt || new Date().toISOString(),
+        lastUsed: passkeyData.lastUsed || new Date().toISOString()
+      });
+
+      return true;
+    });
+  }
+
+  async deletePasskey(passkeyId) {
+    return await this.updateJSON(this.passkeyFile, (passkeys) => {
+      if (!passkeys[passkeyId]) return false;
+
+      delete passkeys[passkeyId];
+      return true;
+    });
+  }
+
+  async updatePasskeyLastUsed(passkeyId) {
+    return await this.updateJSON(this.passkeyFile, (passkeys) => {
+      if (!passkeys[passkeyId]) return false;
+
+      passkeys[passkeyId].lastUsed = new Date().toISOString();
+      return true;
+    });
+  }
+
+  // User operations
+  async getUser(userId) {
+    const users = await this.readJSON(this.userFile);
+    return users[userId] || null;
+  }
+
+  async getUserByUsername(username) {
+    const { data, indexes } = await this.readIndexed(this.userFile, buildUserIndexes);
+    const userId = indexes.byUsername.get(username);
+
+    return userId ? clone(data[userId]) : null;
+  }
+
+  async saveUser(userId, userData) {
+    return await this.updateJSON(this.userFile, (users) => {
+      const owner = userData.username
+        && Object.values(users).find(user => user.username === userData.username && user.id !== userId);
+      if (owner) {
+        throw usernameTakenError(userData.username);
+      }
+
+      users[userId] = {
+        ...userData,
+        id: userId,
+        createdAt: users[userId]?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      return true;
+    });
+  }
+
+  async getAllUsers() {
+    const users = await this.readJSON(this.userFile);
+    return Object.values(users);
+  }
+
+  // Challenge/Session operations (for WebAuthn)
+  async saveChallenge(sessionId, challengeData, { ttlMs = CHALLENGE_TTL_MS } = {}) {
+    return await this.updateJSON(this.sessionFile, (sessions) => {
+      sessions[sessionId] = {
+        ...challengeData,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + ttlMs).toISOString()
+      };
+
+      return true;
+    });
+  }
+
+  async getChallenge(sessionId) {
+    const sessions = await this.readJSON(this.sessionFile);
+    const session = sessions[sessionId];
+
+    if (!session) return null;
+
+    // Check if expired
+    if (isExpired(session)) {
+      await this.deleteChallenge(sessionId);
+      return null;
+    }
+
+    return session;
+  }
+
+  async deleteChallenge(sessionId) {
+    return await this.updateJSON(this.sessionFile, (sessions) => {
+      if (!sessions[sessionId]) return false;
+
+      delete sessions[sessionId];
+      return true;
+    });
+  }
+
+  // Generic record collections, one file per collection
+  collectionFile(collection) {
+    assertCollectionName(collection);
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  // Appended records live next to the collection file, one JSON line each
+  collectionLogFile(collection) {
+    assertCollectionName(collection);
+    return path.join(this.dataDir, `${collection}.jsonl`);
+  }
+
+  async readLog(filePath) {
+    await this.ready;
+
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+
+    const records = {};
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try {
+        const record = JSON.parse(line);
+        records[record.id] = record;
+      } catch {
+        // An append cut short by a crash leaves a partial line; skip it
+      }
+    }
+
+    return records;
+  }
+
+  async readCollection(collection) {
+    return {
+      ...(await this.readJSON(this.collectionFile(collection))),
+      ...(await this.readLog(this.collectionLogFile(collection)))
+    };
+  }
+
+  async getRecord(collection, id) {
+    const records = await this.readCollection(collection);
+    const record = records[id];
+
+    return record && !isExpired(record) ? record : null;
+  }
+
+  // Read-modify-write of a collection. Appended records are first folded into
+  // the collection file and the log removed, so the change is not shadowed
+  // by the log; a crash in between leaves the log repeating the file, which
+  // reads the same.
+  async updateCollection(collection, mutator) {
+    const filePath = this.collectionFile(collection);
+    const logPath = this.collectionLogFile(collection);
+
+    return this.withLock(filePath, async () => {
+      const logged = await this.readLog(logPath);
+      if (Object.keys(logged).length > 0) {
+        await this.writeJSON(filePath, { ...(await this.readJSON(filePath)), ...logged });
+      }
+      await fs.rm(logPath, { force: true });
+
+      const records = await this.readJSON(filePath);
+      const changed = await mutator(records);
+
+      if (changed) {
+        await this.writeJSON(filePath, records);
+      }
+
+      return changed;
+    });
+  }
+
+  async saveRecord(collection, id, data, options = {}) {
+    return await this.updateCollection(collection, (records) => {
+      records[id] = buildRecord(id, data, records[id], options);
+      return true;
+    });
+  }
+
+  // Insert only; the check and the write share the file's mutation queue
+  async createRecord(collection, id, data, options = {}) {
+    return await this.updateCollection(collection, (records) => {
+      if (records[id] && !isExpired(records[id])) return false;
+
+      records[id] = buildRecord(id, data, null, options);
+      return true;
+    });
+  }
+
+  // Appending costs one write of the new line, instead of rewriting (and
+  // backing up) the whole collection file. It still waits its turn in the
+  // collection's queue, so a concurrent fold of the log cannot drop it.
+  async appendRecord(collection, id, data, options = {}) {
+    await this.ready;
+
+    const record = buildRecord(id, data, null, options);
+    return this.withLock(this.collectionFile(collection), async () => {
+      await fs.appendFile(this.collectionLogFile(collection), `${JSON.stringify(record)}\n`, 'utf8');
+      return true;
+    });
+  }
+
+  async deleteRecord(collection, id) {
+    return await this.updateCollection(collection, (records) => {
+      if (!records[id]) return false;
+
+      delete records[id];
+      return true;
+    });
+  }
+
+  // Remove the collection's file, backup and log
+  async dropCollection(collection) {
+    await this.ready;
+
+    const filePath = this.collectionFile(collection);
+    return this.withLock(filePath, async () => {
+      const paths = [filePath, this.backupPath(filePath), this.collectionLogFile(collection)];
+      const existed = await Promise.all(paths.map(candidate => this.exists(candidate)));
+
+      await Promise.all(paths.map(candidate => fs.rm(candidate, { force: true })));
+      return existed.some(Boolean);
+    });
+  }
+
+  async listRecords(collection) {
+    const records = await this.readCollection(collection);
+    const now = new Date();
+
+    return Object.values(records).filter(record => !isExpired(record, now));
+  }
+
+  // Cleanup expired sessions
+  async cleanupExpiredSessions() {
+    return await this.updateJSON(this.sessionFile, (sessions) => {
+      const now = new Date();
+      let cleaned = false;
+
+      for (const [sessionId, session] of Object.entries(sessions)) {
+        if (isExpired(session, now)) {
+          delete sessions[sessionId];
+          cleaned = true;
+        }
+      }
+
+      return cleaned;
+    });
+  }
+}
+
+module.exports = JSONStorage;
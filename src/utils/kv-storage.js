@@ -1,11 +1,31 @@
-const { kv } = require('@vercel/kv');
+const {
+    CHALLENGE_TTL_MS,
+    toBase64Url,
+    serializePasskey,
+    deserializePasskey,
+    assertCollectionName,
+    buildRecord,
+    usernameTakenError
+} = require('./storage-codec');
 
 class KVStorage {
-    constructor() {
+    constructor(options = {}) {
+        // Any client exposing get/mget/set/del/keys/sadd/srem/smembers with Vercel
+        // KV semantics works, which lets tests run against an in-process fake
+        // instead of a live KV
+        this.kv = options.client || require('@vercel/kv').kv;
+
         // Prefix keys to separate namespaces
         this.passkeyPrefix = "passkeys:";
         this.userPrefix = "users:";
         this.sessionPrefix = "sessions:";
+        this.credentialPrefix = "credentials:";
+        this.userPasskeysPrefix = "user-passkeys:";
+        this.usernamePrefix = "usernames:";
+        this.recordPrefix = "records:";
+        this.indexVersionKey = "meta:index-version";
+
+        this.indexesReady = null;
     }
 
     // Helper for building KV keys
@@ -13,52 +33,160 @@ class KVStorage {
         return `${prefix}${id}`;
     }
 
+    /* -----------------------------
+     * INDEXES
+     * credentials:<base64url id>  -> passkey id
+     * user-passkeys:<userId>      -> set of passkey ids
+     * usernames:<username>        -> user id
+     * ----------------------------- */
+
+    // Deployments that stored passkeys before the indexes existed get them
+    // built once, on the first indexed lookup
+    async ensureIndexes() {
+        if (!this.indexesReady) {
+            this.indexesReady = (async () => {
+                if (!(await this.kv.get(this.indexVersionKey))) {
+                    await this.rebuildIndexes();
+                }
+            })().catch((error) => {
+                this.indexesReady = null;
+                throw error;
+            });
+        }
+
+        return this.indexesReady;
+    }
+
+    async rebuildIndexes() {
+        for (const key of await this.kv.keys(`${this.passkeyPrefix}*`)) {
+            const passkey = await this.kv.get(key);
+            if (passkey) await this.indexPasskey(passkey);
+        }
+
+        for (const key of await this.kv.keys(`${this.userPrefix}*`)) {
+            const user = await this.kv.get(key);
+            if (user?.username) {
+                await this.kv.set(this.key(this.usernamePrefix, user.username), user.id, { nx: true });
+            }
+        }
+
+        await this.kv.set(this.indexVersionKey, 1);
+        return true;
+    }
+
+    async indexPasskey(passkey) {
+        if (passkey.credentialID) {
+            await this.kv.set(this.key(this.credentialPrefix, toBase64Url(passkey.credentialID)), passkey.id);
+        }
+        if (passkey.userId) {
+            await this.kv.sadd(this.key(this.userPasskeysPrefix, passkey.userId), passkey.id);
+        }
+    }
+
+    async unindexPasskey(passkey) {
+        if (passkey.credentialID) {
+            const credentialKey = this.key(this.credentialPrefix, toBase64Url(passkey.credentialID));
+            if ((await this.kv.get(credentialKey)) === passkey.id) {
+                await this.kv.del(credentialKey);
+            }
+        }
+        if (passkey.userId) {
+            await this.kv.srem(this.key(this.userPasskeysPrefix, passkey.userId), passkey.id);
+        }
+    }
+
     /* -----------------------------
      * PASSKEY OPERATIONS
      * ----------------------------- */
 
     async getPasskeys(userId = null) {
-        const keys = await kv.keys(`${this.passkeyPrefix}*`);
+        if (userId) {
+            return this.getPasskeysByUser(userId);
+        }
+
+        const keys = await this.kv.keys(`${this.passkeyPrefix}*`);
         const passkeys = [];
 
         for (const key of keys) {
-            const item = await kv.get(key);
-            if (!userId || item.userId === userId) {
-                passkeys.push(item);
+            const item = await this.kv.get(key);
+            if (item) {
+                passkeys.push(deserializePasskey(item));
             }
         }
 
         return passkeys;
     }
 
+    async getPasskeysByUser(userId) {
+        await this.ensureIndexes();
+
+        const ids = await this.kv.smembers(this.key(this.userPasskeysPrefix, userId));
+        if (!ids || ids.length === 0) return [];
+
+        const items = await this.kv.mget(...ids.map(id => this.key(this.passkeyPrefix, id)));
+        return items
+            .filter(item => item && item.userId === userId)
+            .map(deserializePasskey);
+    }
+
     async getPasskeyById(passkeyId) {
-        return await kv.get(this.key(this.passkeyPrefix, passkeyId));
+        return deserializePasskey(await this.kv.get(this.key(this.passkeyPrefix, passkeyId)));
+    }
+
+    async getPasskeyByCredentialId(credentialId) {
+        await this.ensureIndexes();
+
+        const encodedId = toBase64Url(credentialId);
+        const passkeyId = await this.kv.get(this.key(this.credentialPrefix, encodedId));
+        if (!passkeyId) return null;
+
+        const passkey = await this.kv.get(this.key(this.passkeyPrefix, passkeyId));
+
+        // Guard against a stale index entry
+        return passkey?.credentialID === encodedId ? deserializePasskey(passkey) : null;
     }
 
     async savePasskey(passkeyId, passkeyData) {
-        const data = {
+        await this.ensureIndexes();
+
+        const existing = await this.kv.get(this.key(this.passkeyPrefix, passkeyId));
+        const data = serializePasskey({
             ...passkeyData,
             id: passkeyId,
-            createdAt: new Date().toISOString(),
-            lastUsed: new Date().toISOString()
-        };
+            createdAt: existing?.createdAt || new Date().toISOString(),
+            lastUsed: passkeyData.lastUsed || new Date().toISOString()
+        });
+
+        await this.kv.set(this.key(this.passkeyPrefix, passkeyId), data);
+
+        if (existing && (existing.credentialID !== data.credentialID || existing.userId !== data.userId)) {
+            await this.unindexPasskey(existing);
+        }
+        await this.indexPasskey(data);
 
-        await kv.set(this.key(this.passkeyPrefix, passkeyId), data);
         return true;
     }
 
     async updatePasskeyLastUsed(passkeyId) {
-        const passkey = await this.getPasskeyById(passkeyId);
+        const passkey = await this.kv.get(this.key(this.passkeyPrefix, passkeyId));
         if (!passkey) return false;
 
         passkey.lastUsed = new Date().toISOString();
-        await kv.set(this.key(this.passkeyPrefix, passkeyId), passkey);
+        await this.kv.set(this.key(this.passkeyPrefix, passkeyId), passkey);
         return true;
     }
 
     async deletePasskey(passkeyId) {
-        await kv.del(this.key(this.passkeyPrefix, passkeyId));
-        return true;
+        await this.ensureIndexes();
+
+        const existing = await this.kv.get(this.key(this.passkeyPrefix, passkeyId));
+        const deleted = await this.kv.del(this.key(this.passkeyPrefix, passkeyId));
+
+        if (existing) {
+            await this.unindexPasskey(existing);
+        }
+
+        return deleted > 0;
     }
 
     /* -----------------------------
@@ -66,10 +194,43 @@ class KVStorage {
      * ----------------------------- */
 
     async getUser(userId) {
-        return await kv.get(this.key(this.userPrefix, userId));
+        return await this.kv.get(this.key(this.userPrefix, userId));
+    }
+
+    async getUserByUsername(username) {
+        await this.ensureIndexes();
+
+        const userId = await this.kv.get(this.key(this.usernamePrefix, username));
+        if (userId == null) return null;
+
+        // KV parses numeric-looking strings back into numbers
+        const user = await this.getUser(String(userId));
+        return user?.username === username ? user : null;
+    }
+
+    // The username is claimed with SET NX before the user is written, so of two
+    // users racing for one username only the first gets it
+    async claimUsername(username, userId) {
+        const key = this.key(this.usernamePrefix, username);
+        if ((await this.kv.set(key, userId, { nx: true })) === 'OK') return;
+
+        const owner = String(await this.kv.get(key));
+        if (owner === userId) return;
+
+        // An index entry left behind by a rename or a user written without one
+        if ((await this.getUser(owner))?.username === username) {
+            throw usernameTakenError(username);
+        }
+        await this.kv.set(key, userId);
     }
 
     async saveUser(userId, userData) {
+        await this.ensureIndexes();
+
+        if (userData.username) {
+            await this.claimUsername(userData.username, userId);
+        }
+
         const existing = await this.getUser(userId);
         const newData = {
             ...userData,
@@ -78,48 +239,121 @@ class KVStorage {
             updatedAt: new Date().toISOString()
         };
 
-        await kv.set(this.key(this.userPrefix, userId), newData);
+        await this.kv.set(this.key(this.userPrefix, userId), newData);
+
+        if (existing?.username && existing.username !== newData.username) {
+            const oldKey = this.key(this.usernamePrefix, existing.username);
+            if (String(await this.kv.get(oldKey)) === userId) {
+                await this.kv.del(oldKey);
+            }
+        }
         return true;
     }
 
     async getAllUsers() {
-        const keys = await kv.keys(`${this.userPrefix}*`);
+        const keys = await this.kv.keys(`${this.userPrefix}*`);
         const users = [];
 
         for (const key of keys) {
-            users.push(await kv.get(key));
+            const user = await this.kv.get(key);
+            if (user) users.push(user);
         }
 
         return users;
     }
 
+    /* -----------------------------
+     * GENERIC RECORDS
+     * records:<collection>:<id>
+     * ----------------------------- */
+
+    recordKey(collection, id) {
+        assertCollectionName(collection);
+        return `${this.recordPrefix}${collection}:${id}`;
+    }
+
+    async getRecord(collection, id) {
+        return await this.kv.get(this.recordKey(collection, id));
+    }
+
+    async saveRecord(collection, id, data, options = {}) {
+        const key = this.recordKey(collection, id);
+        const existing = await this.kv.get(key);
+        const record = buildRecord(id, data, existing, options);
+
+        // Expiring records get a matching KV TTL
+        await this.kv.set(key, record, options.ttlMs ? { px: options.ttlMs } : undefined);
+        return true;
+    }
+
+    // SET NX makes the existence check and the write one atomic command
+    async createRecord(collection, id, data, options = {}) {
+        const record = buildRecord(id, data, null, options);
+        const result = await this.kv.set(this.recordKey(collection, id), record, {
+            nx: true,
+            ...(options.ttlMs && { px: options.ttlMs })
+        });
+        return result === 'OK';
+    }
+
+    // Appended records are never updated, so there is nothing to read first
+    async appendRecord(collection, id, data, options = {}) {
+        const record = buildRecord(id, data, null, options);
+        await this.kv.set(this.recordKey(collection, id), record, options.ttlMs ? { px: options.ttlMs } : undefined);
+        return true;
+    }
+
+    async deleteRecord(collection, id) {
+        const deleted = await this.kv.del(this.recordKey(collection, id));
+        return deleted > 0;
+    }
+
+    async dropCollection(collection) {
+        const keys = await this.kv.keys(`${this.recordKey(collection, '')}*`);
+        if (keys.length === 0) return false;
+
+        return (await this.kv.del(...keys)) > 0;
+    }
+
+    async listRecords(collection) {
+        const keys = await this.kv.keys(`${this.recordKey(collection, '')}*`);
+        const records = [];
+
+        for (const key of keys) {
+            const record = await this.kv.get(key);
+            if (record) records.push(record);
+        }
+
+        return records;
+    }
+
     /* -----------------------------
      * SESSION / CHALLENGE OPERATIONS
      * For WebAuthn challenge storage
      * ----------------------------- */
 
-    async saveChallenge(sessionId, challengeData) {
+    async saveChallenge(sessionId, challengeData, { ttlMs = CHALLENGE_TTL_MS } = {}) {
         const session = {
             ...challengeData,
             createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 5 * 60 * 1000).toISOString() // 5 minutes
+            expiresAt: new Date(Date.now() + ttlMs).toISOString()
         };
 
-        // Set key with expiration (5 minutes)
-        await kv.set(this.key(this.sessionPrefix, sessionId), session, {
-            ex: 5 * 60
+        // Set key with expiration so KV drops abandoned challenges itself
+        await this.kv.set(this.key(this.sessionPrefix, sessionId), session, {
+            px: ttlMs
         });
 
         return true;
     }
 
     async getChallenge(sessionId) {
-        return await kv.get(this.key(this.sessionPrefix, sessionId));
+        return await this.kv.get(this.key(this.sessionPrefix, sessionId));
     }
 
     async deleteChallenge(sessionId) {
-        await kv.del(this.key(this.sessionPrefix, sessionId));
-        return true;
+        const deleted = await this.kv.del(this.key(this.sessionPrefix, sessionId));
+        return deleted > 0;
     }
 
     // Not needed—KV automatically TTLs expired keys
@@ -128,4 +362,4 @@ class KVStorage {
     }
 }
 
-module.exports = new KVStorage();
+module.exports = KVStorage;
@@ -0,0 +1,248 @@
+const {
+  CHALLENGE_TTL_MS,
+  toBase64Url,
+  serializePasskey,
+  deserializePasskey,
+  clone,
+  isExpired,
+  assertCollectionName,
+  buildRecord,
+  usernameTakenError
+} = require('./storage-codec');
+
+// Records are copied in and out with clone() so callers never hold a live
+// reference into the store, matching what the JSON file and KV adapters return
+
+class MemoryStorage {
+  constructor() {
+    this.passkeys = new Map();
+    this.users = new Map();
+    this.sessions = new Map();
+    this.collections = new Map();
+
+    // Indexes: base64url credential ID -> passkey id, userId -> Set of
+    // passkey ids, username -> userId
+    this.credentialIndex = new Map();
+    this.userPasskeyIndex = new Map();
+    this.usernameIndex = new Map();
+  }
+
+  indexPasskey(passkey) {
+    if (passkey.credentialID) {
+      this.credentialIndex.set(passkey.credentialID, passkey.id);
+    }
+    if (passkey.userId) {
+      if (!this.userPasskeyIndex.has(passkey.userId)) {
+        this.userPasskeyIndex.set(passkey.userId, new Set());
+      }
+      this.userPasskeyIndex.get(passkey.userId).add(passkey.id);
+    }
+  }
+
+  unindexPasskey(passkey) {
+    if (this.credentialIndex.get(passkey.credentialID) === passkey.id) {
+      this.credentialIndex.delete(passkey.credentialID);
+    }
+
+    const ids = this.userPasskeyIndex.get(passkey.userId);
+    if (ids) {
+      ids.delete(passkey.id);
+      if (ids.size === 0) this.userPasskeyIndex.delete(passkey.userId);
+    }
+  }
+
+  // Passkey operations
+  async getPasskeys(userId = null) {
+    if (userId) {
+      return this.getPasskeysByUser(userId);
+    }
+
+    return Array.from(this.passkeys.values())
+      .map(passkey => deserializePasskey(clone(passkey)));
+  }
+
+  async getPasskeysByUser(userId) {
+    const ids = this.userPasskeyIndex.get(userId) || [];
+
+    return Array.from(ids, id => deserializePasskey(clone(this.passkeys.get(id))));
+  }
+
+  async getPasskeyById(passkeyId) {
+    return deserializePasskey(clone(this.passkeys.get(passkeyId)));
+  }
+
+  async getPasskeyByCredentialId(credentialId) {
+    const passkeyId = this.credentialIndex.get(toBase64Url(credentialId));
+    return passkeyId ? this.getPasskeyById(passkeyId) : null;
+  }
+
+  async savePasskey(passkeyId, passkeyData) {
+    const existing = this.passkeys.get(passkeyId);
+    const data = clone(serializePasskey({
+      ...passkeyData,
+      id: passkeyId,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      lastUsed: passkeyData.lastUsed || new Date().toISOString()
+    }));
+
+    if (existing) this.unindexPasskey(existing);
+    this.passkeys.set(passkeyId, data);
+    this.indexPasskey(data);
+
+    return true;
+  }
+
+  async deletePasskey(passkeyId) {
+    const existing = this.passkeys.get(passkeyId);
+    if (!existing) return false;
+
+    this.unindexPasskey(existing);
+    return this.passkeys.delete(passkeyId);
+  }
+
+  async updatePasskeyLastUsed(passkeyId) {
+    const passkey = this.passkeys.get(passkeyId);
+    if (!passkey) return false;
+
+    passkey.lastUsed = new Date().toISOString();
+    return true;
+  }
+
+  // User operations
+  async getUser(userId) {
+    return clone(this.users.get(userId));
+  }
+
+  async getUserByUsername(username) {
+    const userId = this.usernameIndex.get(username);
+    return userId ? this.getUser(userId) : null;
+  }
+
+  async saveUser(userId, userData) {
+    const owner = userData.username && this.usernameIndex.get(userData.username);
+    if (owner && owner !== userId) {
+      throw usernameTakenError(userData.username);
+    }
+
+    const existing = this.users.get(userId);
+    const data = clone({
+      ...userData,
+      id: userId,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    if (existing?.username && this.usernameIndex.get(existing.username) === userId) {
+      this.usernameIndex.delete(existing.username);
+    }
+    this.users.set(userId, data);
+    if (data.username) {
+      this.usernameIndex.set(data.username, userId);
+    }
+
+    return true;
+  }
+
+  async getAllUsers() {
+    return Array.from(this.users.values()).map(clone);
+  }
+
+  // Challenge/Session operations (for WebAuthn)
+  async saveChallenge(sessionId, challengeData, { ttlMs = CHALLENGE_TTL_MS } = {}) {
+    this.sessions.set(sessionId, clone({
+      ...challengeData,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlMs).toISOString()
+    }));
+
+    return true;
+  }
+
+  async getChallenge(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) return null;
+
+    if (isExpired(session)) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    return clone(session);
+  }
+
+  async deleteChallenge(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  // Generic record collections
+  collection(name) {
+    assertCollectionName(name);
+
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  async getRecord(collection, id) {
+    const record = this.collection(collection).get(id);
+    return record && !isExpired(record) ? clone(record) : null;
+  }
+
+  async saveRecord(collection, id, data, options = {}) {
+    const records = this.collection(collection);
+    records.set(id, clone(buildRecord(id, data, records.get(id), options)));
+    return true;
+  }
+
+  async createRecord(collection, id, data, options = {}) {
+    const records = this.collection(collection);
+    const existing = records.get(id);
+    if (existing && !isExpired(existing)) return false;
+
+    records.set(id, clone(buildRecord(id, data, null, options)));
+    return true;
+  }
+
+  async appendRecord(collection, id, data, options = {}) {
+    this.collection(collection).set(id, clone(buildRecord(id, data, null, options)));
+    return true;
+  }
+
+  async deleteRecord(collection, id) {
+    return this.collection(collection).delete(id);
+  }
+
+  async dropCollection(collection) {
+    assertCollectionName(collection);
+
+    const records = this.collections.get(collection);
+    this.collections.delete(collection);
+    return !!records && records.size > 0;
+  }
+
+  async listRecords(collection) {
+    const now = new Date();
+
+    return Array.from(this.collection(collection).values())
+      .filter(record => !isExpired(record, now))
+      .map(clone);
+  }
+
+  async cleanupExpiredSessions() {
+    const now = new Date();
+    let cleaned = false;
+
+    for (const [sessionId, session] of this.sessions) {
+      if (isExpired(session, now)) {
+        this.sessions.delete(sessionId);
+        cleaned = true;
+      }
+    }
+
+    return cleaned;
+  }
+}
+
+module.exports = MemoryStorage;
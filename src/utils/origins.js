@@ -0,0 +1,167 @@
+// Helpers for the origins WebAuthn responses are checked against.
+//
+// Android apps using Credential Manager report their origin as
+// "android:apk-key-hash:<base64url SHA-256 of the signing certificate>", so the
+// configured certificate fingerprints ("AB:CD:...") are turned into that form.
+// iOS apps report "ios:bundle-id:<bundle ID>".
+
+const FINGERPRINT_PATTERN = /^([0-9A-F]{2}:){31}[0-9A-F]{2}$/;
+
+// Accept "AB:CD:..", "ab:cd:.." or plain hex; return "AB:CD:.." or null
+const normalizeFingerprint = (fingerprint) => {
+  if (typeof fingerprint !== 'string') return null;
+
+  const hex = fingerprint.replace(/[:\s]/g, '').toUpperCase();
+  const normalized = (hex.match(/.{1,2}/g) || []).join(':');
+
+  return FINGERPRINT_PATTERN.test(normalized) ? normalized : null;
+};
+
+const androidOriginFromFingerprint = (fingerprint) => {
+  const normalized = normalizeFingerprint(fingerprint);
+  if (!normalized) {
+    throw new Error(`Invalid SHA-256 certificate fingerprint: ${fingerprint}`);
+  }
+
+  const hash = Buffer.from(normalized.replace(/:/g, ''), 'hex').toString('base64url');
+  return `android:apk-key-hash:${hash}`;
+};
+
+const isPlaceholder = (origin) => /REPLACE_WITH/.test(origin);
+
+// Related Origin Requests: browsers honour origins from at most this many
+// distinct labels (the registrable domain without its public suffix, so
+// example.com and example.co.uk share the label "example")
+const MAX_RELATED_ORIGIN_LABELS = 5;
+
+// Country-code second levels registered like TLDs (example.co.uk, example.com.au).
+// An approximation of the Public Suffix List, good enough for label counting.
+const SECOND_LEVEL_SUFFIXES = new Set(['ac', 'co', 'com', 'edu', 'go', 'gob', 'gov', 'mil', 'ne', 'net', 'or', 'org']);
+
+const registrableLabel = (hostname) => {
+  const labels = hostname.toLowerCase().split('.');
+  if (labels.length < 2) return null;
+
+  const [second, tld] = labels.slice(-2);
+  const suffixLength = labels.length > 2 && tld.length === 2 && SECOND_LEVEL_SUFFIXES.has(second) ? 2 : 1;
+
+  return labels[labels.length - suffixLength - 1] || null;
+};
+
+// Parse a related origin: an https origin on a domain, without path, query or
+// credentials. Returns { origin, label } or { error }.
+const parseRelatedOrigin = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { error: 'must be an origin like https://example.com' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { error: 'must use https' };
+  }
+  if (url.pathname !== '/' || url.search || url.hash || url.username || url.password || /\/$/.test(value)) {
+    return { error: 'must be an origin without a path, query or credentials' };
+  }
+  if (/^[\d.]+$|^\[/.test(url.hostname)) {
+    return { error: 'must be a domain, not an IP address' };
+  }
+
+  const label = registrableLabel(url.hostname);
+  if (!label) {
+    return { error: 'must be a registrable domain' };
+  }
+
+  return { origin: url.origin, label };
+};
+
+// Check relatedOrigins against the spec's rules; every problem as
+// { path, message }
+const validateRelatedOrigins = (relatedOrigins = []) => {
+  if (!Array.isArray(relatedOrigins)) {
+    return [{ path: 'relatedOrigins', message: 'must be an array' }];
+  }
+
+  const problems = [];
+  const labels = new Set();
+
+  relatedOrigins.forEach((value, index) => {
+    const { label, error } = parseRelatedOrigin(value);
+    if (error) {
+      problems.push({ path: `relatedOrigins[${index}]`, message: error });
+      return;
+    }
+
+    labels.add(label);
+    if (labels.size > MAX_RELATED_ORIGIN_LABELS && !problems.some(problem => problem.path === 'relatedOrigins')) {
+      problems.push({
+        path: 'relatedOrigins',
+        message: `must span at most ${MAX_RELATED_ORIGIN_LABELS} labels; "${label}" at index ${index} is the ${labels.size}th`
+      });
+    }
+  });
+
+  return problems;
+};
+
+// The related origins a browser would honour: malformed entries are dropped,
+// and origins past the fifth label are ignored the way clients ignore them
+const resolveRelatedOrigins = (relatedOrigins = []) => {
+  const origins = [];
+  const labels = new Set();
+
+  for (const value of Array.isArray(relatedOrigins) ? relatedOrigins : []) {
+    const { origin, label } = parseRelatedOrigin(value);
+    if (!origin) continue;
+
+    if (!labels.has(label)) {
+      if (labels.size === MAX_RELATED_ORIGIN_LABELS) continue;
+      labels.add(label);
+    }
+    if (!origins.includes(origin)) origins.push(origin);
+  }
+
+  return origins;
+};
+
+// Every origin a response may legitimately carry: the primary origin, the
+// configured allowedOrigins, the related origins browsers will honour, one
+// apk-key-hash origin per Android signing certificate and one bundle-id origin
+// per iOS app. Placeholder entries from the sample config and malformed
+// fingerprints are skipped; validateAssociations reports them.
+const buildExpectedOrigins = ({ origin, allowedOrigins = [], relatedOrigins = [], androidApps = [], iosApps = [] }) => {
+  const origins = new Set();
+
+  if (origin) origins.add(origin);
+
+  for (const allowed of allowedOrigins) {
+    if (allowed && !isPlaceholder(allowed)) origins.add(allowed);
+  }
+
+  for (const related of resolveRelatedOrigins(relatedOrigins)) {
+    origins.add(related);
+  }
+
+  for (const app of androidApps) {
+    for (const fingerprint of app.sha256CertFingerprints || []) {
+      if (normalizeFingerprint(fingerprint)) origins.add(androidOriginFromFingerprint(fingerprint));
+    }
+  }
+
+  for (const app of iosApps) {
+    if (app.bundleId && !isPlaceholder(app.bundleId)) origins.add(`ios:bundle-id:${app.bundleId}`);
+  }
+
+  return Array.from(origins);
+};
+
+module.exports = {
+  MAX_RELATED_ORIGIN_LABELS,
+  normalizeFingerprint,
+  androidOriginFromFingerprint,
+  registrableLabel,
+  validateRelatedOrigins,
+  resolveRelatedOrigins,
+  buildExpectedOrigins
+};
@@ -0,0 +1,86 @@
+// Public network addresses.
+//
+// Webhook endpoints are URLs chosen by API clients, and the server POSTs to
+// them. So they must not reach loopback, link-local (e.g. the cloud metadata
+// service at 169.254.169.254), private or otherwise non-public addresses,
+// neither by IP literal nor by a hostname resolving to one. IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges.
+
+const dns = require('dns');
+const net = require('net');
+
+const NON_PUBLIC = new net.BlockList();
+
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv4');
+}
+
+for (const [address, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  NON_PUBLIC.addSubnet(address, prefix, 'ipv6');
+}
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// URL hostnames keep the brackets around IPv6 literals
+const unbracket = (hostname) => hostname.replace(/^\[(.*)\]$/, '$1');
+
+// The first non-public address the URL's host is or resolves to, else null.
+// A host that does not resolve has no address to object to.
+const findNonPublicAddress = async (url) => {
+  const host = unbracket(new URL(url).hostname);
+  if (net.isIP(host)) {
+    return isPublicAddress(host) ? null : host;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return null;
+  }
+
+  return addresses.map(entry => entry.address).find(address => !isPublicAddress(address)) || null;
+};
+
+// dns.lookup for http(s) agents that refuses non-public answers, so the
+// address connected to is the one checked even if DNS changes in between
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const blocked = (Array.isArray(address) ? address : [{ address }])
+      .find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  findNonPublicAddress,
+  publicLookup
+};
@@ -0,0 +1,124 @@
+const { resolveBackend } = require('./storage-factory');
+
+/*
+ * Rate limit store contract
+ *
+ *   increment(key, windowMs)   -> { count, resetAt }  fixed-window counter; the
+ *                                                      window starts on the first hit
+ *   get(key)                   -> object | null       null once expired
+ *   set(key, value, ttlMs)     -> void
+ *   delete(key)                -> void
+ *
+ * Counters are short-lived and only need to be shared between instances, so
+ * there is no JSON-file store: "json" deployments count in memory.
+ */
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+    this.nextSweep = 0;
+  }
+
+  // Drop expired entries now and then so idle keys don't pile up
+  sweep(now) {
+    if (now < this.nextSweep) return;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    this.nextSweep = now + 60000;
+  }
+
+  live(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    const entry = this.live(key, now) || { value: 0, expiresAt: now + windowMs };
+    entry.value += 1;
+    this.entries.set(key, entry);
+
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? JSON.parse(JSON.stringify(entry.value)) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value: JSON.parse(JSON.stringify(value)), expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+// Counters shared through Vercel KV (any client with incr/pexpire/pttl/get/set/del)
+class KVRateLimitStore {
+  constructor(options = {}) {
+    this.kv = options.client || require('@vercel/kv').kv;
+    this.prefix = 'rate-limits:';
+  }
+
+  async increment(key, windowMs) {
+    const fullKey = `${this.prefix}${key}`;
+    const count = await this.kv.incr(fullKey);
+
+    // First hit opens the window; also repair a counter left without expiry
+    let ttlMs = count === 1 ? -1 : await this.kv.pttl(fullKey);
+    if (ttlMs < 0) {
+      await this.kv.pexpire(fullKey, windowMs);
+      ttlMs = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttlMs };
+  }
+
+  async get(key) {
+    return await this.kv.get(`${this.prefix}${key}`);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.kv.set(`${this.prefix}${key}`, value, { px: ttlMs });
+  }
+
+  async delete(key) {
+    await this.kv.del(`${this.prefix}${key}`);
+  }
+}
+
+const STORES = {
+  memory: (options) => new MemoryRateLimitStore(options),
+  kv: (options) => new KVRateLimitStore(options)
+};
+
+// Resolution order: RATE_LIMIT_STORE env, options.store ("rateLimits.store" in
+// config), then KV when passkeys are stored in KV, else memory
+const createRateLimitStore = (options = {}) => {
+  const store = (process.env.RATE_LIMIT_STORE
+    || options.store
+    || (resolveBackend() === 'kv' ? 'kv' : 'memory')).toLowerCase();
+  const factory = STORES[store];
+
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${store} (expected one of ${Object.keys(STORES).join(', ')})`);
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  KVRateLimitStore,
+  createRateLimitStore
+};
@@ -0,0 +1,12 @@
+// Show enough of a username to recognise it: "a***@example.com", "b***"
+const maskUsername = (username) => {
+  if (!username) return null;
+
+  const [local, domain] = String(username).split('@');
+  const masked = `${local.charAt(0)}***`;
+  return domain ? `${masked}@${domain}` : masked;
+};
+
+module.exports = {
+  maskUsername
+};
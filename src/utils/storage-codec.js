@@ -0,0 +1,106 @@
+// Shared helpers for storage adapters.
+//
+// Every adapter persists passkeys as plain JSON, so the binary fields produced by
+// @simplewebauthn/server (Uint8Array) are stored as base64url strings and turned
+// back into Buffers on read. This keeps records identical across JSON file, KV
+// and in-memory storage.
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const BINARY_PASSKEY_FIELDS = ['credentialID', 'credentialPublicKey'];
+
+const toBase64Url = (value) => {
+  if (value == null || typeof value === 'string') {
+    return value;
+  }
+
+  return fromBase64Url(value).toString('base64url');
+};
+
+const fromBase64Url = (value) => {
+  if (value == null || Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    return Buffer.from(value, 'base64url');
+  }
+
+  if (value instanceof Uint8Array || Array.isArray(value)) {
+    return Buffer.from(value);
+  }
+
+  // Records written before encoding was introduced hold JSON-serialized
+  // Uint8Arrays, i.e. { "0": 12, "1": 34, ... }
+  return Buffer.from(Object.values(value));
+};
+
+const serializePasskey = (passkey) => {
+  if (!passkey) return passkey;
+
+  const serialized = { ...passkey };
+  for (const field of BINARY_PASSKEY_FIELDS) {
+    if (field in serialized) {
+      serialized[field] = toBase64Url(serialized[field]);
+    }
+  }
+
+  return serialized;
+};
+
+const deserializePasskey = (passkey) => {
+  if (!passkey) return null;
+
+  const deserialized = { ...passkey };
+  for (const field of BINARY_PASSKEY_FIELDS) {
+    if (field in deserialized) {
+      deserialized[field] = fromBase64Url(deserialized[field]);
+    }
+  }
+
+  return deserialized;
+};
+
+// Generic record collections map onto file names and key prefixes
+const assertCollectionName = (collection) => {
+  if (!/^[a-z][a-z0-9-]*$/.test(collection || '')) {
+    throw new Error(`Invalid storage collection name: ${collection}`);
+  }
+};
+
+const buildRecord = (id, data, existing, options = {}) => ({
+  ...data,
+  id,
+  createdAt: existing?.createdAt || new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+  ...(options.ttlMs && { expiresAt: new Date(Date.now() + options.ttlMs).toISOString() })
+});
+
+// A username stays with the user who took it first
+const usernameTakenError = (username) => {
+  const error = new Error(`Username ${username} belongs to another user`);
+  error.name = 'UsernameTakenError';
+  error.code = 'USERNAME_TAKEN';
+  error.status = 409;
+  return error;
+};
+
+// Deep copy of a plain JSON record
+const clone = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+const isExpired = (session, now = new Date()) => {
+  return !!session?.expiresAt && now > new Date(session.expiresAt);
+};
+
+module.exports = {
+  CHALLENGE_TTL_MS,
+  toBase64Url,
+  fromBase64Url,
+  serializePasskey,
+  deserializePasskey,
+  clone,
+  isExpired,
+  assertCollectionName,
+  buildRecord,
+  usernameTakenError
+};
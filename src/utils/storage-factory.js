@@ -0,0 +1,105 @@
+const fsSync = require('fs');
+const path = require('path');
+
+/*
+ * Storage adapter contract
+ *
+ * Every adapter returned by createStorage() implements the same async API.
+ * Records are plain objects; passkey credentialID/credentialPublicKey are
+ * returned as Buffers regardless of how the adapter persists them.
+ *
+ * Passkeys
+ *   getPasskeys(userId?)               -> Passkey[]       all passkeys, or only those of userId
+ *   getPasskeysByUser(userId)          -> Passkey[]       indexed lookup
+ *   getPasskeyById(passkeyId)          -> Passkey | null
+ *   getPasskeyByCredentialId(credId)   -> Passkey | null  indexed lookup; credId is base64url or bytes
+ *   savePasskey(passkeyId, data)       -> boolean         upsert; sets id, keeps createdAt and a given lastUsed
+ *   updatePasskeyLastUsed(passkeyId)   -> boolean         false when the passkey does not exist
+ *   deletePasskey(passkeyId)           -> boolean         false when the passkey does not exist
+ *
+ * Users
+ *   getUser(userId)                    -> User | null
+ *   getUserByUsername(username)        -> User | null     indexed lookup, exact match
+ *   saveUser(userId, data)             -> boolean         upsert; sets id and updatedAt, keeps createdAt.
+ *                                                         Throws UsernameTakenError when another user holds
+ *                                                         data.username
+ *   getAllUsers()                      -> User[]
+ *
+ * Challenges (WebAuthn ceremony sessions)
+ *   saveChallenge(sessionId, data, { ttlMs }?)
+ *                                      -> boolean         stored with createdAt/expiresAt (default CHALLENGE_TTL_MS)
+ *   getChallenge(sessionId)            -> Session | null  null once expired
+ *   deleteChallenge(sessionId)         -> boolean         false when the session does not exist
+ *
+ * Records (generic collections for feature subsystems, e.g. auth sessions)
+ *   getRecord(collection, id)          -> object | null   null once expired
+ *   saveRecord(collection, id, data, { ttlMs }?)
+ *                                      -> boolean         upsert; sets id/createdAt/updatedAt, expiresAt with ttlMs
+ *   createRecord(collection, id, data, { ttlMs }?)
+ *                                      -> boolean         atomic insert; false when an unexpired record exists
+ *   appendRecord(collection, id, data, { ttlMs }?)
+ *                                      -> boolean         insert; cheap on file storage, which appends. Records
+ *                                                         are mostly left to expire; updating or deleting one
+ *                                                         makes file storage fold its log back in.
+ *   deleteRecord(collection, id)       -> boolean         false when the record does not exist
+ *   listRecords(collection)            -> object[]        unexpired records
+ *   dropCollection(collection)         -> boolean         removes every record; false when there were none
+ *
+ *   Collection names are lowercase kebab-case ("auth-sessions").
+ *
+ * Cleanup
+ *   cleanupExpiredSessions()           -> boolean         true when something was removed
+ *
+ * Indexes (credential ID, user, username) are maintained by savePasskey,
+ * deletePasskey and saveUser; callers never touch them directly.
+ */
+
+const BACKENDS = {
+  json: (options) => new (require('./json-storage'))(options),
+  kv: (options) => new (require('./kv-storage'))(options),
+  memory: (options) => new (require('./memory-storage'))(options)
+};
+
+const loadStorageConfig = () => {
+  try {
+    const configPath = path.join(__dirname, '../../config/auth-config.json');
+    const config = JSON.parse(fsSync.readFileSync(configPath, 'utf8'));
+    return config.storage || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Resolution order: explicit option, STORAGE_BACKEND env, config/auth-config.json
+// "storage.backend", then Vercel KV when its credentials are present, else JSON files
+const resolveBackend = (options = {}, config = loadStorageConfig()) => {
+  const backend = options.backend
+    || process.env.STORAGE_BACKEND
+    || config.backend
+    || (process.env.KV_REST_API_URL ? 'kv' : 'json');
+
+  return backend.toLowerCase();
+};
+
+const createStorage = (options = {}) => {
+  const config = loadStorageConfig();
+  const backend = resolveBackend(options, config);
+  const factory = BACKENDS[backend];
+
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${backend} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const dataDir = options.dataDir || process.env.STORAGE_DATA_DIR || config.dataDir;
+
+  return factory({
+    ...options,
+    ...(dataDir && { dataDir: path.resolve(dataDir) })
+  });
+};
+
+module.exports = {
+  createStorage,
+  resolveBackend,
+  backends: Object.keys(BACKENDS)
+};
@@ -0,0 +1,182 @@
+// Per-tenant view of the storage adapter.
+//
+// Passkeys, users and challenges of one relying party must never be visible
+// to another, whichever adapter holds them. Rather than teaching every adapter
+// about tenants, user IDs, usernames and challenge session IDs are stored as
+// "<tenantId>:<id>" and passkeys and users carry a tenantId; this wrapper adds
+// the namespace on the way in and strips it, and anything owned by another
+// tenant, on the way out. The default tenant keeps bare IDs and no tenantId,
+// so data written before tenants existed stays where it was.
+//
+// Generic record collections and cleanup pass straight through. Services
+// keeping per-tenant records there store a tenantId on each and filter with
+// belongsToTenant.
+
+const DEFAULT_TENANT = 'default';
+
+const isDefaultTenant = (tenantId) => !tenantId || tenantId === DEFAULT_TENANT;
+
+// An ID that is unique across tenants, e.g. for caches keyed by user
+const qualifyId = (tenantId, id) => (isDefaultTenant(tenantId) || id == null ? id : `${tenantId}:${id}`);
+
+// Records without a tenantId belong to the default tenant
+const belongsToTenant = (record, tenantId) => !!record
+  && (record.tenantId || DEFAULT_TENANT) === (tenantId || DEFAULT_TENANT);
+
+class TenantStorage {
+  constructor(storage, tenantId = DEFAULT_TENANT) {
+    this.storage = storage;
+    this.tenantId = tenantId;
+    this.prefix = isDefaultTenant(tenantId) ? '' : `${tenantId}:`;
+  }
+
+  owns(record) {
+    return belongsToTenant(record, this.tenantId);
+  }
+
+  qualify(id) {
+    return qualifyId(this.tenantId, id);
+  }
+
+  unqualify(id) {
+    return this.prefix && typeof id === 'string' && id.startsWith(this.prefix)
+      ? id.slice(this.prefix.length)
+      : id;
+  }
+
+  tag(record) {
+    return this.prefix ? { ...record, tenantId: this.tenantId } : record;
+  }
+
+  fromStoredPasskey(passkey) {
+    return this.owns(passkey) ? { ...passkey, userId: this.unqualify(passkey.userId) } : null;
+  }
+
+  fromStoredUser(user) {
+    return this.owns(user)
+      ? { ...user, id: this.unqualify(user.id), username: this.unqualify(user.username) }
+      : null;
+  }
+
+  // Passkey operations
+  async getPasskeys(userId = null) {
+    if (userId) {
+      return this.getPasskeysByUser(userId);
+    }
+
+    const passkeys = await this.storage.getPasskeys();
+    return passkeys.map(passkey => this.fromStoredPasskey(passkey)).filter(Boolean);
+  }
+
+  async getPasskeysByUser(userId) {
+    const passkeys = await this.storage.getPasskeysByUser(this.qualify(userId));
+    return passkeys.map(passkey => this.fromStoredPasskey(passkey)).filter(Boolean);
+  }
+
+  async getPasskeyById(passkeyId) {
+    return this.fromStoredPasskey(await this.storage.getPasskeyById(passkeyId));
+  }
+
+  async getPasskeyByCredentialId(credentialId) {
+    return this.fromStoredPasskey(await this.storage.getPasskeyByCredentialId(credentialId));
+  }
+
+  // Refuses to overwrite another tenant's passkey with the same ID
+  async savePasskey(passkeyId, passkeyData) {
+    const existing = await this.storage.getPasskeyById(passkeyId);
+    if (existing && !this.owns(existing)) return false;
+
+    return this.storage.savePasskey(passkeyId, this.tag({
+      ...passkeyData,
+      userId: this.qualify(passkeyData.userId)
+    }));
+  }
+
+  async updatePasskeyLastUsed(passkeyId) {
+    if (!(await this.getPasskeyById(passkeyId))) return false;
+    return this.storage.updatePasskeyLastUsed(passkeyId);
+  }
+
+  async deletePasskey(passkeyId) {
+    if (!(await this.getPasskeyById(passkeyId))) return false;
+    return this.storage.deletePasskey(passkeyId);
+  }
+
+  // User operations
+  async getUser(userId) {
+    return this.fromStoredUser(await this.storage.getUser(this.qualify(userId)));
+  }
+
+  async getUserByUsername(username) {
+    return this.fromStoredUser(await this.storage.getUserByUsername(this.qualify(username)));
+  }
+
+  async saveUser(userId, userData) {
+    return this.storage.saveUser(this.qualify(userId), this.tag({
+      ...userData,
+      ...(userData.username && { username: this.qualify(userData.username) })
+    }));
+  }
+
+  async getAllUsers() {
+    const users = await this.storage.getAllUsers();
+    return users.map(user => this.fromStoredUser(user)).filter(Boolean);
+  }
+
+  // Challenge/Session operations (for WebAuthn)
+  async saveChallenge(sessionId, challengeData, options) {
+    return this.storage.saveChallenge(this.qualify(sessionId), challengeData, options);
+  }
+
+  async getChallenge(sessionId) {
+    return this.storage.getChallenge(this.qualify(sessionId));
+  }
+
+  async deleteChallenge(sessionId) {
+    return this.storage.deleteChallenge(this.qualify(sessionId));
+  }
+
+  // Shared across tenants
+  async getRecord(collection, id) {
+    return this.storage.getRecord(collection, id);
+  }
+
+  async saveRecord(collection, id, data, options) {
+    return this.storage.saveRecord(collection, id, data, options);
+  }
+
+  async createRecord(collection, id, data, options) {
+    return this.storage.createRecord(collection, id, data, options);
+  }
+
+  async appendRecord(collection, id, data, options) {
+    return this.storage.appendRecord(collection, id, data, options);
+  }
+
+  async deleteRecord(collection, id) {
+    return this.storage.deleteRecord(collection, id);
+  }
+
+  async dropCollection(collection) {
+    return this.storage.dropCollection(collection);
+  }
+
+  async listRecords(collection) {
+    return this.storage.listRecords(collection);
+  }
+
+  async cleanupExpiredSessions() {
+    return this.storage.cleanupExpiredSessions();
+  }
+}
+
+const createTenantStorage = (storage, tenantId) => new TenantStorage(storage, tenantId);
+
+module.exports = {
+  DEFAULT_TENANT,
+  isDefaultTenant,
+  qualifyId,
+  belongsToTenant,
+  TenantStorage,
+  createTenantStorage
+};
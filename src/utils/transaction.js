@@ -0,0 +1,49 @@
+// Transactions approved by step-up authentication.
+//
+// A transaction is a JSON object describing one sensitive operation, with at
+// least a "type" (e.g. { type: 'phone.change', phoneNumber: '+15551234567' }).
+// It is hashed in a canonical form (keys sorted at every level, no
+// whitespace), so the app, this service and downstream services all arrive at
+// the same SHA-256 whatever order they wrote the keys in.
+
+const crypto = require('crypto');
+
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+// Base64url SHA-256 of the canonical transaction
+const hashTransaction = (transaction) => crypto.createHash('sha256').update(canonicalize(transaction)).digest('base64url');
+
+// Step-up challenges are 32 random bytes followed by the transaction hash, so
+// the authenticator's signature covers exactly the operation being approved
+const buildTransactionChallenge = (transactionHash) => Buffer.concat([
+  crypto.randomBytes(32),
+  Buffer.from(transactionHash, 'base64url')
+]);
+
+const challengeMatchesTransaction = (challenge, transactionHash) => {
+  const bytes = Buffer.from(challenge || '', 'base64url');
+  const expected = Buffer.from(transactionHash || '', 'base64url');
+
+  return bytes.length === 32 + expected.length && expected.length > 0 && crypto.timingSafeEqual(bytes.subarray(32), expected);
+};
+
+module.exports = {
+  canonicalize,
+  hashTransaction,
+  buildTransactionChallenge,
+  challengeMatchesTransaction
+};
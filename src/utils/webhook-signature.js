@@ -0,0 +1,45 @@
+// Webhook payload signatures.
+//
+// Every delivery carries
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>[,v1=...]
+// where the HMAC is computed with the endpoint secret over "<t>.<raw body>".
+// While a rotated secret is in its grace period the payload is signed with
+// both secrets, so receivers accept either one.
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const computeSignature = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const signPayload = (secrets, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signatures = secrets.map(secret => `v1=${computeSignature(secret, timestamp, body)}`);
+  return `t=${timestamp},${signatures.join(',')}`;
+};
+
+// For receivers: true when one v1 signature matches and the timestamp is
+// within toleranceSeconds of now (replay protection)
+const verifySignature = (secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+  const parts = String(header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body));
+  return parts
+    .filter(([key]) => key === 'v1')
+    .some(([, signature]) => {
+      const presented = Buffer.from(signature || '');
+      return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+    });
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature
+};
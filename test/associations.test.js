@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateAssociations,
+  buildAppSiteAssociation,
+  buildAssetLinks
+} = require('../src/utils/associations');
+const { buildExpectedOrigins } = require('../src/utils/origins');
+
+const FINGERPRINT = 'FA:C6:17:45:DC:09:03:78:6F:B9:ED:E6:2A:96:2B:39:9F:73:48:F0:BB:6F:89:9B:83:32:66:75:91:03:3B:9C';
+
+const CONFIG = {
+  iosApps: [
+    { teamId: 'KD6L2PTK2Q', bundleId: 'com.example.app' },
+    { teamId: '53ZCYLE745', bundleId: 'com.example.app' },
+    { teamId: 'KD6L2PTK2Q', bundleId: 'com.example.app' }
+  ],
+  androidApps: [
+    { packageName: 'com.example.app', sha256CertFingerprints: [FINGERPRINT.toLowerCase(), FINGERPRINT.replace(/:/g, '')] }
+  ]
+};
+
+describe('associations', () => {
+  it('lists each iOS app ID once in apple-app-site-association', () => {
+    assert.deepEqual(buildAppSiteAssociation(CONFIG), {
+      webcredentials: { apps: ['KD6L2PTK2Q.com.example.app', '53ZCYLE745.com.example.app'] }
+    });
+    assert.deepEqual(buildAppSiteAssociation({}), { webcredentials: { apps: [] } });
+  });
+
+  it('states login credential sharing for each Android app', () => {
+    assert.deepEqual(buildAssetLinks(CONFIG), [{
+      relation: [
+        'delegate_permission/common.handle_all_urls',
+        'delegate_permission/common.get_login_creds'
+      ],
+      target: {
+        namespace: 'android_app',
+        package_name: 'com.example.app',
+        sha256_cert_fingerprints: [FINGERPRINT]
+      }
+    }]);
+    assert.deepEqual(buildAssetLinks({}), []);
+  });
+
+  it('flags malformed entries and leaves them out of the files', () => {
+    const config = {
+      iosApps: [
+        { teamId: 'kd6l2ptk2q', bundleId: 'com.example.app' },
+        { teamId: 'KD6L2PTK2Q', bundleId: 'REPLACE_WITH_YOUR_IOS_BUNDLE_ID' }
+      ],
+      androidApps: [
+        { packageName: 'example', sha256CertFingerprints: [FINGERPRINT] },
+        { packageName: 'com.example.app', sha256CertFingerprints: ['AB:CD', FINGERPRINT] },
+        { packageName: 'com.example.other' }
+      ]
+    };
+
+    assert.deepEqual(validateAssociations(config).map(problem => problem.path), [
+      'iosApps[0].teamId',
+      'iosApps[1].bundleId',
+      'androidApps[0].packageName',
+      'androidApps[1].sha256CertFingerprints[0]',
+      'androidApps[2].sha256CertFingerprints'
+    ]);
+    assert.deepEqual(validateAssociations(CONFIG), []);
+
+    assert.deepEqual(buildAppSiteAssociation(config).webcredentials.apps, []);
+    assert.deepEqual(buildAssetLinks(config).map(statement => statement.target.sha256_cert_fingerprints), [[FINGERPRINT]]);
+  });
+
+  it('accepts the bundle-id origins of configured iOS apps', () => {
+    const origins = buildExpectedOrigins({ origin: 'https://example.com', iosApps: CONFIG.iosApps });
+    assert.deepEqual(origins, ['https://example.com', 'ios:bundle-id:com.example.app']);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const backendService = require('../src/services/backendService');
+const attestationService = require('../src/services/attestationService');
+
+const YUBIKEY = 'cb69481e-8ff7-4039-93ec-0a2729a154a8';
+const REVOKED = '00000000-1111-2222-3333-444444444444';
+const PATCHED = '55555555-6666-7777-8888-999999999999';
+const UNKNOWN = 'ffffffff-0000-0000-0000-000000000000';
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const writeBlob = (dir) => {
+  const payload = {
+    no: 42,
+    nextUpdate: '2099-01-01',
+    entries: [
+      {
+        aaguid: YUBIKEY,
+        metadataStatement: { aaguid: YUBIKEY, description: 'YubiKey 5 Series', protocolFamily: 'fido2' },
+        statusReports: [
+          { status: 'FIDO_CERTIFIED_L1', effectiveDate: '2020-01-01' },
+          { status: 'FIDO_CERTIFIED_L2', effectiveDate: '2021-06-01' }
+        ]
+      },
+      {
+        aaguid: REVOKED,
+        metadataStatement: { aaguid: REVOKED, description: 'Recalled key', protocolFamily: 'fido2' },
+        statusReports: [{ status: 'REVOKED', effectiveDate: '2022-01-01' }]
+      },
+      {
+        aaguid: PATCHED,
+        metadataStatement: { aaguid: PATCHED, description: 'Fixed key', protocolFamily: 'fido2' },
+        // Listed out of order; the later update supersedes the bypass
+        statusReports: [
+          { status: 'UPDATE_AVAILABLE', effectiveDate: '2023-03-01' },
+          { status: 'USER_VERIFICATION_BYPASS', effectiveDate: '2022-09-01' }
+        ]
+      }
+    ]
+  };
+  const blobPath = path.join(dir, 'mds.jwt');
+  fs.writeFileSync(blobPath, `${encodeSegment({ alg: 'RS256' })}.${encodeSegment(payload)}.sig`);
+  return blobPath;
+};
+
+const registrationInfo = (aaguid, fmt, x5c) => {
+  const attStmt = new Map(x5c ? [['x5c', [new Uint8Array([1, 2, 3])]]] : []);
+  return {
+    aaguid,
+    fmt,
+    attestationObject: isoCBOR.encode(new Map([
+      ['fmt', fmt],
+      ['attStmt', attStmt],
+      ['authData', new Uint8Array(37)]
+    ]))
+  };
+};
+
+describe('attestation policy', () => {
+  let blobPath;
+  let policy;
+  let originalGetAttestationConfig;
+
+  before(() => {
+    blobPath = writeBlob(fs.mkdtempSync(path.join(os.tmpdir(), 'mds-')));
+  });
+
+  beforeEach(async () => {
+    policy = {};
+    originalGetAttestationConfig = backendService.getAttestationConfig;
+    backendService.getAttestationConfig = async () => ({
+      conveyance: 'direct',
+      mdsBlobPath: blobPath,
+      verifyBlobSignature: false,
+      ...policy
+    });
+    await attestationService.initializeConfig();
+  });
+
+  afterEach(() => {
+    backendService.getAttestationConfig = originalGetAttestationConfig;
+  });
+
+  const evaluateWith = async (overrides, info) => {
+    Object.assign(policy, overrides);
+    await attestationService.initializeConfig();
+    return attestationService.evaluate(info);
+  };
+
+  it('loads entries from a local BLOB', () => {
+    assert.equal(attestationService.getConveyance(), 'direct');
+    assert.equal(attestationService.blob.no, 42);
+    assert.equal(attestationService.getEntry(YUBIKEY.toUpperCase()).metadataStatement.description, 'YubiKey 5 Series');
+  });
+
+  it('summarises a trusted attestation with its latest certification level', async () => {
+    const result = await evaluateWith({}, registrationInfo(YUBIKEY, 'packed', true));
+    assert.deepEqual(result, {
+      format: 'packed',
+      trusted: true,
+      certificationLevel: 'FIDO_CERTIFIED_L2',
+      description: 'YubiKey 5 Series'
+    });
+  });
+
+  it('accepts none attestation when nothing is required', async () => {
+    const result = await evaluateWith({}, registrationInfo(UNKNOWN, 'none'));
+    assert.equal(result.trusted, false);
+    assert.equal(result.certificationLevel, 'NOT_FIDO_CERTIFIED');
+  });
+
+  it('rejects with a code for each policy', async () => {
+    const cases = [
+      [{ deniedAaguids: [YUBIKEY] }, registrationInfo(YUBIKEY, 'packed', true), 'AAGUID_DENIED'],
+      [{ allowedAaguids: [YUBIKEY] }, registrationInfo(UNKNOWN, 'none'), 'AAGUID_NOT_ALLOWED'],
+      [{}, registrationInfo(REVOKED, 'packed', true), 'AUTHENTICATOR_COMPROMISED'],
+      [{ requireTrustedAttestation: true }, registrationInfo(YUBIKEY, 'packed', false), 'ATTESTATION_REQUIRED'],
+      [{ requireTrustedAttestation: true }, registrationInfo(UNKNOWN, 'packed', true), 'ATTESTATION_REQUIRED'],
+      [{ rejectUnknownAuthenticators: true }, registrationInfo(UNKNOWN, 'none'), 'AUTHENTICATOR_UNKNOWN'],
+      [{ minimumCertificationLevel: 'FIDO_CERTIFIED_L3' }, registrationInfo(YUBIKEY, 'packed', true), 'CERTIFICATION_LEVEL_TOO_LOW']
+    ];
+
+    for (const [overrides, info, code] of cases) {
+      for (const key of Object.keys(policy)) delete policy[key];
+      await assert.rejects(evaluateWith(overrides, info), (error) => {
+        assert.equal(error.name, 'AttestationPolicyError');
+        assert.equal(error.status, 400);
+        assert.equal(error.code, code);
+        return true;
+      });
+    }
+  });
+
+  it('only treats the latest status report as compromising', async () => {
+    const result = await evaluateWith({}, registrationInfo(PATCHED, 'packed', true));
+    assert.equal(result.description, 'Fixed key');
+  });
+
+  it('meets the minimum certification level', async () => {
+    const result = await evaluateWith(
+      { minimumCertificationLevel: 'FIDO_CERTIFIED_L1plus' },
+      registrationInfo(YUBIKEY, 'packed', true)
+    );
+    assert.equal(result.certificationLevel, 'FIDO_CERTIFIED_L2');
+  });
+
+  it('refuses an unsigned BLOB when signature checks are on', async () => {
+    const jwt = fs.readFileSync(blobPath, 'utf8');
+    await assert.rejects(attestationService.verifyBlobSignature(jwt), /x5c/);
+  });
+});
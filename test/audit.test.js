@@ -0,0 +1,215 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const storage = require('../src/utils/storage');
+const backendService = require('../src/services/backendService');
+const auditService = require('../src/services/auditService');
+const { audit } = require('../src/middleware/audit');
+
+const clearLog = async () => {
+  for (const { id: day } of await storage.listRecords('audit-days')) {
+    await storage.dropCollection(`audit-log-${day}`);
+    await storage.deleteRecord('audit-days', day);
+  }
+  auditService.indexedDays.clear();
+};
+
+// Just enough of an Express response for the audit middleware
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.statusCode = 200;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.emit('finish'); return body; };
+  return res;
+};
+
+const fakeRequest = (overrides = {}) => ({
+  ip: '203.0.113.7',
+  params: {},
+  body: {},
+  get: (name) => (name === 'User-Agent' ? 'TestAgent/1.0' : undefined),
+  ...overrides
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('audit log', () => {
+  let originalGetAuditConfig;
+
+  beforeEach(async () => {
+    originalGetAuditConfig = backendService.getAuditConfig;
+    backendService.getAuditConfig = async () => ({ retentionDays: 30 });
+    await clearLog();
+  });
+
+  afterEach(() => {
+    backendService.getAuditConfig = originalGetAuditConfig;
+  });
+
+  it('records events with a retention period', async () => {
+    const event = await auditService.record({
+      type: 'passkey.delete',
+      actor: { type: 'api-key', id: 'ops' },
+      userId: 'user-1',
+      passkeyId: 'pk-1'
+    });
+
+    assert.ok(event.id.startsWith(event.occurredAt));
+    const stored = await storage.getRecord(`audit-log-${event.occurredAt.slice(0, 10)}`, event.id);
+    assert.equal(stored.outcome, 'success');
+    assert.ok(new Date(stored.expiresAt) - Date.now() > 29 * 24 * 60 * 60 * 1000);
+  });
+
+  it('filters by user, type pattern, outcome and time range', async () => {
+    await auditService.record({ type: 'passkey.login.complete', userId: 'user-1' });
+    await auditService.record({ type: 'passkey.login.complete', userId: 'user-2', outcome: 'denied' });
+    await auditService.record({ type: 'config.update' });
+
+    assert.equal((await auditService.query({ userId: 'user-1' })).events.length, 1);
+    assert.equal((await auditService.query({ type: 'passkey.*' })).events.length, 2);
+    assert.equal((await auditService.query({ type: 'config.update, passkey.register.*' })).events.length, 1);
+    assert.equal((await auditService.query({ outcome: 'denied' })).events[0].userId, 'user-2');
+
+    const future = new Date(Date.now() + 60000).toISOString();
+    assert.equal((await auditService.query({ from: future })).events.length, 0);
+    assert.equal((await auditService.query({ to: future })).events.length, 3);
+  });
+
+  it('only returns events of the queried tenant', async () => {
+    await auditService.record({ type: 'passkey.delete', userId: 'user-1' });
+    await auditService.record({ type: 'passkey.delete', userId: 'user-1', tenantId: 'acme' });
+
+    const [own] = (await auditService.query({ type: 'passkey.delete' })).events;
+    assert.equal(own.tenantId, 'default');
+    assert.equal((await auditService.query({ type: 'passkey.delete' })).events.length, 1);
+
+    const { events } = await auditService.query({ tenantId: 'acme' });
+    assert.deepEqual(events.map(event => [event.tenantId, event.userId]), [['acme', 'user-1']]);
+    assert.deepEqual((await auditService.query({ tenantId: 'globex' })).events, []);
+  });
+
+  it('pages newest first with a cursor', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      await auditService.record({ type: 'passkey.login.begin', details: { n: i } });
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    const first = await auditService.query({ limit: 2 });
+    assert.deepEqual(first.events.map(event => event.details.n), [4, 3]);
+    assert.equal(first.nextCursor, first.events[1].id);
+    assert.equal(first.events[0].expiresAt, undefined);
+
+    const second = await auditService.query({ limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.events.map(event => event.details.n), [2, 1]);
+
+    const last = await auditService.query({ limit: 2, cursor: second.nextCursor });
+    assert.deepEqual(last.events.map(event => event.details.n), [0]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it('pages across days and reads only the days it needs', async () => {
+    const recent = await auditService.record({ type: 'passkey.login.begin' });
+    for (const day of ['2026-01-01', '2026-01-02']) {
+      await storage.saveRecord('audit-days', day, { day });
+      await storage.appendRecord(`audit-log-${day}`, `${day}T12:00:00.000Z-event`, {
+        type: 'passkey.login.begin',
+        outcome: 'success',
+        occurredAt: `${day}T12:00:00.000Z`
+      });
+    }
+
+    const read = [];
+    const originalListRecords = storage.listRecords;
+    storage.listRecords = async (collection) => {
+      read.push(collection);
+      return originalListRecords.call(storage, collection);
+    };
+
+    try {
+      const first = await auditService.query({ limit: 1 });
+      assert.deepEqual(first.events.map(event => event.id), [recent.id]);
+      assert.deepEqual(read, ['audit-days', `audit-log-${recent.occurredAt.slice(0, 10)}`, 'audit-log-2026-01-02']);
+
+      const second = await auditService.query({ limit: 1, cursor: first.nextCursor });
+      assert.deepEqual(second.events.map(event => event.id), ['2026-01-02T12:00:00.000Z-event']);
+
+      read.length = 0;
+      const oldest = await auditService.query({ from: '2026-01-01T00:00:00Z', to: '2026-01-01T23:59:59Z' });
+      assert.deepEqual(oldest.events.map(event => event.id), ['2026-01-01T12:00:00.000Z-event']);
+      assert.deepEqual(read, ['audit-days', 'audit-log-2026-01-01']);
+    } finally {
+      storage.listRecords = originalListRecords;
+      for (const day of ['2026-01-01', '2026-01-02']) {
+        await storage.deleteRecord('audit-days', day);
+      }
+    }
+  });
+
+  it('drops days past retention when a new day is indexed', async () => {
+    for (const day of ['2020-01-01', '2020-01-02']) {
+      await storage.saveRecord('audit-days', day, { day });
+      await storage.appendRecord(`audit-log-${day}`, `${day}T12:00:00.000Z-event`, { type: 'passkey.login.begin' });
+    }
+
+    const event = await auditService.record({ type: 'passkey.login.begin' });
+
+    assert.deepEqual((await storage.listRecords('audit-days')).map(record => record.id), [event.occurredAt.slice(0, 10)]);
+    assert.deepEqual(await storage.listRecords('audit-log-2020-01-01'), []);
+    assert.deepEqual(await storage.listRecords('audit-log-2020-01-02'), []);
+  });
+
+  it('exports CSV with quoting and formula guards', async () => {
+    const event = await auditService.record({
+      type: 'auth.signin',
+      outcome: 'failure',
+      reason: 'Invalid credentials, "twice"',
+      userAgent: '=HYPERLINK("x")',
+      details: { status: 401 }
+    });
+
+    const [header, row] = auditService.toCsv([event]).trim().split('\r\n');
+    assert.equal(header, 'id,occurredAt,type,outcome,reason,actorType,actorId,userId,passkeyId,ip,userAgent,platform,details');
+    assert.ok(row.startsWith(`${event.id},${event.occurredAt},auth.signin,failure,"Invalid credentials, ""twice""",anonymous,`));
+    assert.ok(row.includes(`"'=HYPERLINK(""x"")"`));
+    assert.ok(row.endsWith('"{""status"":401}"'));
+  });
+
+  it('middleware records the actor, request context and outcome', async () => {
+    const req = fakeRequest({ params: { id: 'pk-9' }, apiKey: { id: 'ops' } });
+    const res = fakeResponse();
+
+    audit('passkey.delete')(req, res, () => {});
+    res.locals.audit = { userId: 'user-9' };
+    res.json({ success: true });
+    await flush();
+
+    const [event] = (await auditService.query({ type: 'passkey.delete' })).events;
+    assert.deepEqual(event.actor, { type: 'api-key', id: 'ops' });
+    assert.equal(event.userId, 'user-9');
+    assert.equal(event.passkeyId, 'pk-9');
+    assert.equal(event.ip, '203.0.113.7');
+    assert.equal(event.userAgent, 'TestAgent/1.0');
+    assert.equal(event.outcome, 'success');
+    assert.equal(event.reason, null);
+  });
+
+  it('middleware records refusals with their reason', async () => {
+    const req = fakeRequest({ body: { userId: 'user-3', platform: 'android', password: 'secret' } });
+    const res = fakeResponse();
+
+    audit('passkey.login.complete')(req, res, () => {});
+    res.status(401).json({ error: true, message: 'Authentication rejected', code: 'CREDENTIAL_SUSPENDED' });
+    await flush();
+
+    const [event] = (await auditService.query({ userId: 'user-3' })).events;
+    assert.equal(event.outcome, 'denied');
+    assert.equal(event.reason, 'CREDENTIAL_SUSPENDED');
+    assert.equal(event.platform, 'android');
+    assert.deepEqual(event.details, { status: 401 });
+    assert.ok(!JSON.stringify(event).includes('secret'));
+  });
+});
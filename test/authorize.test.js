@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const backendService = require('../src/services/backendService');
+const { hashApiKey, hasScope, requireScope } = require('../src/middleware/authorize');
+
+const fakeRequest = (headers = {}) => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()] };
+};
+
+const run = (middleware, req) => new Promise((resolve) => {
+  middleware(req, {}, (error) => resolve(error || null));
+});
+
+describe('authorize middleware', () => {
+  let originalGetApiKeys;
+
+  beforeEach(() => {
+    originalGetApiKeys = backendService.getApiKeys;
+    backendService.getApiKeys = async () => [
+      { id: 'ops', hash: hashApiKey('ops-secret'), scopes: ['admin:config'] },
+      { id: 'root', hash: hashApiKey('root-secret'), scopes: ['*'] },
+      { id: 'old', hash: hashApiKey('old-secret'), scopes: ['*'], disabled: true }
+    ];
+  });
+
+  afterEach(() => {
+    backendService.getApiKeys = originalGetApiKeys;
+  });
+
+  it('matches exact, namespace and global scopes', () => {
+    assert.equal(hasScope(['admin:config'], 'admin:config'), true);
+    assert.equal(hasScope(['admin:*'], 'admin:credentials'), true);
+    assert.equal(hasScope(['*'], 'passkeys:delete'), true);
+    assert.equal(hasScope(['admin:config'], 'admin:credentials'), false);
+    assert.equal(hasScope(['admin:*'], 'passkeys:delete'), false);
+  });
+
+  it('rejects requests without a key with 401', async () => {
+    const error = await run(requireScope('admin:config'), fakeRequest());
+    assert.equal(error.status, 401);
+  });
+
+  it('rejects unknown and disabled keys with 401', async () => {
+    assert.equal((await run(requireScope('admin:config'), fakeRequest({ 'X-API-Key': 'nope' }))).status, 401);
+    assert.equal((await run(requireScope('admin:config'), fakeRequest({ 'X-API-Key': 'old-secret' }))).status, 401);
+  });
+
+  it('rejects keys without the scope with 403', async () => {
+    const error = await run(requireScope('admin:credentials'), fakeRequest({ 'X-API-Key': 'ops-secret' }));
+    assert.equal(error.status, 403);
+    assert.equal(error.name, 'ForbiddenError');
+  });
+
+  it('accepts keys carrying the scope via either header', async () => {
+    const req = fakeRequest({ 'X-API-Key': 'ops-secret' });
+    assert.equal(await run(requireScope('admin:config'), req), null);
+    assert.equal(req.apiKey.id, 'ops');
+
+    assert.equal(await run(requireScope('passkeys:delete'), fakeRequest({ Authorization: 'ApiKey root-secret' })), null);
+  });
+});
@@ -0,0 +1,153 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const backendService = require('../src/services/backendService');
+const CircuitBreaker = require('../src/utils/circuitBreaker');
+
+const networkError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', request: {} });
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  request: {},
+  response: { status, data: { message: `status ${status}` } }
+});
+
+describe('CircuitBreaker', () => {
+  it('opens after consecutive failures and lets one trial through after the reset timeout', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure('down', 0);
+    assert.equal(breaker.allowRequest(10), true);
+    breaker.recordFailure('down', 10);
+
+    assert.equal(breaker.allowRequest(500), false);
+    assert.equal(breaker.retryAfterMs(500), 510);
+    assert.equal(breaker.describe(500).state, 'open');
+
+    assert.equal(breaker.allowRequest(1010), true);
+    assert.equal(breaker.allowRequest(1010), false, 'only one trial call at a time');
+
+    breaker.recordSuccess();
+    assert.deepEqual(breaker.describe(), { state: 'closed', failures: 0, lastFailure: { message: 'down', at: new Date(10).toISOString() } });
+  });
+
+  it('reopens when the trial call fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100 });
+
+    breaker.recordFailure('down', 0);
+    assert.equal(breaker.allowRequest(100), true);
+    breaker.recordFailure('still down', 100);
+
+    assert.equal(breaker.allowRequest(150), false);
+    assert.equal(breaker.retryAfterMs(150), 50);
+  });
+});
+
+describe('backend resilience', () => {
+  let originalConfig;
+  let calls;
+  let responses;
+
+  beforeEach(async () => {
+    await backendService.ensureConfigLoaded();
+    originalConfig = backendService.config;
+
+    backendService.config = {
+      identityProviders: { main: { type: 'mock' } },
+      backendTokens: { cache: false },
+      backendResilience: {
+        retries: 2,
+        baseDelayMs: 1,
+        maxDelayMs: 5,
+        budgetMs: 500,
+        circuitBreaker: { failureThreshold: 3, resetTimeoutMs: 60000 }
+      }
+    };
+    backendService.providers = new Map();
+    backendService.breakers = new Map();
+
+    // Each call takes the next scripted outcome; errors are thrown
+    calls = 0;
+    responses = [];
+    const provider = backendService.getProvider('main');
+    const { authenticate } = provider;
+    provider.authenticate = async (args) => {
+      calls += 1;
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return authenticate.call(provider, args);
+    };
+  });
+
+  afterEach(() => {
+    backendService.config = originalConfig;
+    backendService.providers = new Map();
+    backendService.breakers = new Map();
+  });
+
+  it('retries unanswered and gateway failures', async () => {
+    responses = [networkError(), httpError(503)];
+
+    const result = await backendService.authenticateUser('user-1');
+    assert.equal(result.success, true);
+    assert.equal(calls, 3);
+    assert.equal(backendService.getBreaker('main').describe().state, 'closed');
+  });
+
+  it('does not retry a rejected sign-in', async () => {
+    responses = [httpError(401)];
+
+    const result = await backendService.authenticateUser('user-1');
+    assert.equal(result.success, false);
+    assert.equal(result.error.status, 401);
+    assert.equal(calls, 1);
+    assert.equal(backendService.getBreaker('main').failures, 0);
+  });
+
+  it('gives up after the configured retries', async () => {
+    responses = [networkError(), networkError(), networkError()];
+
+    const result = await backendService.authenticateUser('user-1');
+    assert.equal(result.success, false);
+    assert.equal(result.error.status, 503);
+    assert.equal(calls, 3);
+  });
+
+  it('stops at the latency budget', async () => {
+    backendService.config.identityProviders.main = { type: 'mock', latencyMs: 1000 };
+    backendService.config.backendResilience.budgetMs = 50;
+    backendService.providers = new Map();
+
+    const startedAt = Date.now();
+    const result = await backendService.authenticateUser('user-1');
+
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 'BACKEND_TIMEOUT');
+    assert.equal(result.error.status, 504);
+    assert.ok(Date.now() - startedAt < 500);
+  });
+
+  it('fails fast once the circuit opens and reports it in health', async () => {
+    responses = [networkError(), networkError(), networkError()];
+    await backendService.authenticateUser('user-1');
+
+    const result = await backendService.authenticateUser('user-1');
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 'CIRCUIT_OPEN');
+    assert.equal(result.error.status, 503);
+    assert.equal(result.error.retryAfter, 60);
+    assert.equal(calls, 3, 'no call reaches the backend while open');
+
+    const health = await backendService.getBackendHealth();
+    assert.equal(health.status, 'degraded');
+    assert.equal(health.backends.main.state, 'open');
+    assert.equal(health.backends.main.failures, 3);
+  });
+
+  it('reports ok while every circuit is closed', async () => {
+    assert.deepEqual(await backendService.getBackendHealth(), {
+      status: 'ok',
+      backends: { main: { state: 'closed', failures: 0 } }
+    });
+  });
+});
@@ -0,0 +1,141 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const storage = require('../src/utils/storage');
+const backendService = require('../src/services/backendService');
+const credentialVault = require('../src/services/credentialVault');
+
+describe('backend token cache', () => {
+  let originalConfig;
+  let originalMasterKey;
+  let provider;
+  let calls;
+
+  beforeEach(async () => {
+    await backendService.ensureConfigLoaded();
+    originalConfig = backendService.config;
+    originalMasterKey = process.env.VAULT_MASTER_KEY;
+
+    process.env.VAULT_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+    credentialVault.reset();
+
+    backendService.config = {
+      identityProviders: { main: { type: 'mock', requireCredentials: true } },
+      backendTokens: { expirySkewSeconds: 60 }
+    };
+    backendService.providers = new Map();
+    backendService.credentialsMigrated = Promise.resolve([]);
+    await credentialVault.set('user-1', { username: 'a@example.com', password: 'p' });
+    await backendService.evictBackendTokens('user-1');
+
+    // Count the grants the backend sees
+    provider = backendService.getProvider('main');
+    calls = { signin: 0, refresh: 0 };
+    const { authenticate, refresh } = provider;
+    provider.authenticate = (...args) => { calls.signin += 1; return authenticate.apply(provider, args); };
+    provider.refresh = (...args) => { calls.refresh += 1; return refresh.apply(provider, args); };
+  });
+
+  afterEach(async () => {
+    await credentialVault.delete('user-1');
+    await backendService.evictBackendTokens('user-1');
+
+    backendService.config = originalConfig;
+    backendService.providers = new Map();
+    backendService.credentialsMigrated = null;
+
+    if (originalMasterKey === undefined) delete process.env.VAULT_MASTER_KEY;
+    else process.env.VAULT_MASTER_KEY = originalMasterKey;
+    credentialVault.reset();
+  });
+
+  // Pretend the cached access token ran out
+  const expireCachedToken = async () => {
+    const record = await storage.getRecord('backend-tokens', 'user-1');
+    await storage.saveRecord('backend-tokens', 'user-1', {
+      ...record,
+      tokenExpiresAt: new Date(Date.now() - 1000).toISOString()
+    });
+  };
+
+  it('reuses a cached token until it expires', async () => {
+    const first = await backendService.authenticateUser('user-1');
+    const second = await backendService.authenticateUser('user-1');
+
+    assert.equal(first.tokenSource, 'signin');
+    assert.equal(second.tokenSource, 'cache');
+    assert.equal(second.data.access_token, first.data.access_token);
+    assert.equal(second.expiresAt, first.expiresAt);
+    assert.deepEqual(calls, { signin: 1, refresh: 0 });
+  });
+
+  it('stores tokens sealed with the vault key', async () => {
+    const { data } = await backendService.authenticateUser('user-1');
+
+    const record = await storage.getRecord('backend-tokens', 'user-1');
+    assert.equal(record.provider, 'main');
+    assert.ok(!JSON.stringify(record).includes(data.access_token));
+    assert.ok(!JSON.stringify(record).includes(data.refresh_token));
+  });
+
+  it('renews an expired token with its refresh token', async () => {
+    const first = await backendService.authenticateUser('user-1');
+    await expireCachedToken();
+
+    const renewed = await backendService.authenticateUser('user-1');
+    assert.equal(renewed.tokenSource, 'refresh');
+    assert.notEqual(renewed.data.access_token, first.data.access_token);
+    assert.deepEqual(calls, { signin: 1, refresh: 1 });
+
+    assert.equal((await backendService.authenticateUser('user-1')).tokenSource, 'cache');
+  });
+
+  it('falls back to the password grant when the refresh is refused', async () => {
+    await backendService.authenticateUser('user-1');
+    await expireCachedToken();
+
+    provider.refresh = async () => {
+      calls.refresh += 1;
+      const error = new Error('refused');
+      error.response = { status: 400, data: { error: 'invalid_grant' } };
+      throw error;
+    };
+
+    const result = await backendService.authenticateUser('user-1');
+    assert.equal(result.tokenSource, 'signin');
+    assert.deepEqual(calls, { signin: 2, refresh: 1 });
+  });
+
+  it('evicts tokens when the credentials change', async () => {
+    await backendService.authenticateUser('user-1');
+    await backendService.updateUserCredentials('user-1', { username: 'a@example.com', password: 'new' });
+
+    assert.equal((await backendService.authenticateUser('user-1')).tokenSource, 'signin');
+    assert.equal(calls.signin, 2);
+  });
+
+  it('signs in afresh when forced or when the user moves provider', async () => {
+    await backendService.authenticateUser('user-1');
+    assert.equal((await backendService.authenticateUser('user-1', { forceSignin: true })).tokenSource, 'signin');
+
+    backendService.config.identityProviders.other = { type: 'mock', requireCredentials: true };
+    backendService.config.userProviders = { 'user-1': 'other' };
+    const moved = await backendService.authenticateUser('user-1');
+    assert.equal(moved.provider, 'other');
+    assert.equal(moved.tokenSource, 'signin');
+  });
+
+  it('does not cache without a vault key', async () => {
+    delete process.env.VAULT_MASTER_KEY;
+    credentialVault.reset();
+    backendService.config.identityProviders.main.requireCredentials = false;
+    backendService.providers = new Map();
+
+    const result = await backendService.authenticateUser('user-1');
+    assert.equal(result.expiresAt, undefined);
+    assert.equal(await storage.getRecord('backend-tokens', 'user-1'), null);
+  });
+});
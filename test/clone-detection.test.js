@@ -0,0 +1,93 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const storage = require('../src/utils/storage');
+const backendService = require('../src/services/backendService');
+const webauthnService = require('../src/services/webauthnService');
+const securityEventService = require('../src/services/securityEventService');
+const { createVirtualAuthenticator } = require('./helpers/virtual-authenticator');
+
+describe('signature counter regression', () => {
+  let cloneDetection;
+  let originalGetCloneDetectionConfig;
+  let authenticator;
+  let passkeyId;
+
+  const login = async (counter) => {
+    const sessionId = crypto.randomUUID();
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    await storage.saveChallenge(sessionId, { challenge, userId: null, type: 'authentication' });
+
+    return webauthnService.verifyAuthentication(sessionId, authenticator.getAssertion({ challenge, counter, userHandle: 'user-1' }));
+  };
+
+  beforeEach(async () => {
+    cloneDetection = { action: 'reject' };
+    originalGetCloneDetectionConfig = backendService.getCloneDetectionConfig;
+    backendService.getCloneDetectionConfig = async () => cloneDetection;
+
+    await webauthnService.initializeConfig();
+    authenticator = createVirtualAuthenticator({ rpID: webauthnService.rpID, origin: webauthnService.origin });
+    passkeyId = crypto.randomUUID();
+    await storage.savePasskey(passkeyId, authenticator.passkey({ userId: 'user-1', username: 'a@example.com', counter: 10 }));
+  });
+
+  afterEach(() => {
+    backendService.getCloneDetectionConfig = originalGetCloneDetectionConfig;
+  });
+
+  it('accepts an increasing counter', async () => {
+    const result = await login(11);
+
+    assert.equal(result.verified, true);
+    assert.equal(result.warning, undefined);
+    assert.equal((await storage.getPasskeyById(passkeyId)).counter, 11);
+  });
+
+  it('accepts authenticators that keep no counter', async () => {
+    await storage.savePasskey(passkeyId, authenticator.passkey({ userId: 'user-1', counter: 0 }));
+
+    assert.equal((await login(0)).verified, true);
+    assert.equal((await storage.getPasskeyById(passkeyId)).cloneSuspected, undefined);
+  });
+
+  it('rejects and flags the passkey by default', async () => {
+    await assert.rejects(login(10), { name: 'AuthenticationError', code: 'CREDENTIAL_CLONE_SUSPECTED', status: 401 });
+
+    const passkey = await storage.getPasskeyById(passkeyId);
+    assert.equal(passkey.cloneSuspected, true);
+    assert.deepEqual(
+      { storedCounter: passkey.cloneDetection.storedCounter, receivedCounter: passkey.cloneDetection.receivedCounter },
+      { storedCounter: 10, receivedCounter: 10 }
+    );
+    assert.equal(passkey.counter, 10);
+
+    const [event] = await securityEventService.list({ passkeyId });
+    assert.equal(event.type, 'passkey.counter_regression');
+    assert.equal(event.details.action, 'reject');
+  });
+
+  it('suspends the passkey and refuses later logins', async () => {
+    cloneDetection = { action: 'suspend' };
+
+    await assert.rejects(login(3), { code: 'CREDENTIAL_SUSPENDED' });
+    assert.equal((await storage.getPasskeyById(passkeyId)).status, 'suspended');
+
+    await assert.rejects(login(50), { code: 'CREDENTIAL_SUSPENDED' });
+  });
+
+  it('allows the login with a warning and keeps the highest counter', async () => {
+    cloneDetection = { action: 'warn' };
+
+    const result = await login(4);
+    assert.equal(result.verified, true);
+    assert.match(result.warning, /cloned/);
+
+    const passkey = await storage.getPasskeyById(passkeyId);
+    assert.equal(passkey.cloneSuspected, true);
+    assert.equal(passkey.counter, 10);
+  });
+});
@@ -0,0 +1,111 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const storage = require('../src/utils/storage');
+const credentialVault = require('../src/services/credentialVault');
+const backendService = require('../src/services/backendService');
+const { maskUsername } = require('../src/utils/redact');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+describe('credentialVault', () => {
+  const savedEnv = {};
+
+  const setEnv = (values) => {
+    for (const name of ['VAULT_KEYS', 'VAULT_ACTIVE_KID', 'VAULT_MASTER_KEY']) {
+      if (values[name] === undefined) delete process.env[name];
+      else process.env[name] = values[name];
+    }
+    credentialVault.reset();
+  };
+
+  beforeEach(async () => {
+    for (const name of ['VAULT_KEYS', 'VAULT_ACTIVE_KID', 'VAULT_MASTER_KEY']) savedEnv[name] = process.env[name];
+    setEnv({ VAULT_MASTER_KEY: newKey() });
+
+    for (const userId of await credentialVault.listUserIds()) {
+      await credentialVault.delete(userId);
+    }
+  });
+
+  afterEach(() => {
+    setEnv(savedEnv);
+  });
+
+  it('stores credentials encrypted and reads them back', async () => {
+    await credentialVault.set('user-1', { username: 'a@example.com', password: 'hunter2' });
+
+    const record = await storage.getRecord('vault-credentials', 'user-1');
+    assert.equal(record.kid, 'default');
+    assert.ok(!JSON.stringify(record).includes('hunter2'));
+    assert.ok(!JSON.stringify(record).includes('a@example.com'));
+
+    assert.deepEqual(await credentialVault.get('user-1'), { username: 'a@example.com', password: 'hunter2' });
+    assert.equal(await credentialVault.get('nobody'), null);
+  });
+
+  it('refuses records moved to another user', async () => {
+    await credentialVault.set('user-1', { username: 'a', password: 'p' });
+    const { id, createdAt, updatedAt, ...ciphertext } = await storage.getRecord('vault-credentials', 'user-1');
+    await storage.saveRecord('vault-credentials', 'user-2', ciphertext);
+
+    await assert.rejects(credentialVault.get('user-2'), { name: 'VaultError' });
+  });
+
+  it('rotates records to the active key', async () => {
+    const oldKey = newKey();
+    setEnv({ VAULT_KEYS: JSON.stringify([{ kid: 'k1', key: oldKey }]) });
+    await credentialVault.set('user-rotate', { username: 'a', password: 'p' });
+
+    setEnv({
+      VAULT_KEYS: JSON.stringify([{ kid: 'k1', key: oldKey }, { kid: 'k2', key: newKey() }]),
+      VAULT_ACTIVE_KID: 'k2'
+    });
+    assert.equal(await credentialVault.rotate(), 1);
+    assert.equal((await storage.getRecord('vault-credentials', 'user-rotate')).kid, 'k2');
+    assert.deepEqual(await credentialVault.get('user-rotate'), { username: 'a', password: 'p' });
+  });
+
+  it('imports plaintext credentials once', async () => {
+    const legacy = { 'legacy-1': { username: 'l@example.com', password: 'old' } };
+
+    assert.deepEqual(await credentialVault.importCredentials(legacy), ['legacy-1']);
+    assert.deepEqual(await credentialVault.importCredentials(legacy), []);
+    assert.ok((await credentialVault.listUserIds()).includes('legacy-1'));
+  });
+
+  it('fails closed without a master key', async () => {
+    setEnv({});
+    assert.equal(credentialVault.isConfigured(), false);
+    await assert.rejects(credentialVault.get('user-1'), { name: 'VaultError', status: 503 });
+  });
+
+  it('refuses plaintext userCredentials without a master key', async () => {
+    await backendService.ensureConfigLoaded();
+    const originalConfig = backendService.config;
+    backendService.config = { ...originalConfig, userCredentials: { 'legacy-2': { username: 'l', password: 'p' } } };
+    backendService.credentialsMigrated = null;
+    setEnv({});
+
+    try {
+      await assert.rejects(backendService.ensureCredentialsMigrated(), { name: 'VaultError', status: 503, message: /VAULT_MASTER_KEY/ });
+    } finally {
+      backendService.config = originalConfig;
+      backendService.credentialsMigrated = null;
+    }
+  });
+
+  it('rejects keys of the wrong length', () => {
+    setEnv({ VAULT_MASTER_KEY: Buffer.alloc(16).toString('base64') });
+    assert.throws(() => credentialVault.isConfigured(), /32 bytes/);
+  });
+
+  it('masks usernames', () => {
+    assert.equal(maskUsername('android@example.com'), 'a***@example.com');
+    assert.equal(maskUsername('admin'), 'a***');
+    assert.equal(maskUsername(undefined), null);
+  });
+});
@@ -0,0 +1,98 @@
+// Minimal in-process stand-in for @vercel/kv: JSON round-trips values like the
+// real client, honours the `ex`/`px`/`nx` options on set and implements the
+// counter commands (incr, pexpire, pttl) used for rate limits
+class FakeKV {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.nx && this.live(key)) return null;
+
+    const ttlMs = options.px || (options.ex && options.ex * 1000);
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    let deleted = 0;
+    for (const key of keys) {
+      if (this.live(key)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async mget(...keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async sadd(key, ...members) {
+    const set = new Set(await this.get(key) || []);
+    members.forEach(member => set.add(member));
+    await this.set(key, [...set]);
+    return members.length;
+  }
+
+  async srem(key, ...members) {
+    const set = new Set(await this.get(key) || []);
+    const removed = members.filter(member => set.delete(member)).length;
+    if (set.size > 0) {
+      await this.set(key, [...set]);
+    } else {
+      this.entries.delete(key);
+    }
+    return removed;
+  }
+
+  async smembers(key) {
+    return (await this.get(key)) || [];
+  }
+
+  async keys(pattern) {
+    const prefix = pattern.replace(/\*$/, '');
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix) && this.live(key));
+  }
+
+  async incr(key) {
+    const entry = this.live(key);
+    const value = (entry ? JSON.parse(entry.value) : 0) + 1;
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: entry?.expiresAt || null });
+    return value;
+  }
+
+  async pexpire(key, ttlMs) {
+    const entry = this.live(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + ttlMs;
+    return 1;
+  }
+
+  // -2 for a missing key, -1 for a key without expiry, like Redis
+  async pttl(key) {
+    const entry = this.live(key);
+    if (!entry) return -2;
+    return entry.expiresAt ? entry.expiresAt - Date.now() : -1;
+  }
+}
+
+module.exports = FakeKV;
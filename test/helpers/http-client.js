@@ -0,0 +1,61 @@
+const http = require('http');
+
+// Minimal supertest-style client: serves the app on an ephemeral local port
+// and sends JSON requests to it. Responses resolve to { status, headers, body }
+// with JSON bodies parsed.
+const createClient = async (app) => {
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const request = (method, path, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path,
+      headers: {
+        ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }),
+        ...headers
+      }
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let parsed = text;
+        try {
+          parsed = text ? JSON.parse(text) : null;
+        } catch (error) {
+          // Not JSON; keep the raw text
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+
+  return {
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    patch: (path, body, options) => request('PATCH', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// Authorization header for a session access token
+const bearer = (accessToken) => ({ headers: { Authorization: `Bearer ${accessToken}` } });
+
+// X-API-Key header for an admin key
+const apiKey = (key) => ({ headers: { 'X-API-Key': key } });
+
+module.exports = {
+  createClient,
+  bearer,
+  apiKey
+};
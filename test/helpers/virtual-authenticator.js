@@ -0,0 +1,74 @@
+// A software ES256 authenticator that produces real assertions, so services
+// can be tested end to end through @simplewebauthn/server verification.
+
+const crypto = require('crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// @simplewebauthn/server 8 does not left-pad r or s when their value is
+// shorter than 32 bytes, so such signatures fail to verify; re-sign until
+// both are full width. In DER that is 33 bytes (sign padding) or 32 bytes not
+// starting with 0x00.
+const isFullWidth = (der, offset) => {
+  const length = der[offset + 1];
+  return length === 33 || (length === 32 && der[offset + 2] !== 0);
+};
+
+const signES256 = (data, privateKey) => {
+  for (;;) {
+    const signature = crypto.sign('sha256', data, privateKey);
+    const sOffset = 4 + signature[3];
+    if (isFullWidth(signature, 2) && isFullWidth(signature, sOffset)) return signature;
+  }
+};
+
+const createVirtualAuthenticator = ({ rpID, origin }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialID = crypto.randomBytes(16);
+
+  const credentialPublicKey = Buffer.from(isoCBOR.encode(new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, new Uint8Array(Buffer.from(jwk.x, 'base64url'))],
+    [-3, new Uint8Array(Buffer.from(jwk.y, 'base64url'))]
+  ])));
+
+  // Fields for storage.savePasskey
+  const passkey = (fields = {}) => ({
+    credentialID,
+    credentialPublicKey,
+    counter: 0,
+    transports: ['internal'],
+    ...fields
+  });
+
+  const getAssertion = ({ challenge, counter = 0, userHandle }) => {
+    const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge, origin, crossOrigin: false }));
+    const counterBytes = Buffer.alloc(4);
+    counterBytes.writeUInt32BE(counter);
+
+    // rpIdHash | flags (UP, UV) | signCount
+    const authenticatorData = Buffer.concat([sha256(rpID), Buffer.from([0x05]), counterBytes]);
+    const signature = signES256(Buffer.concat([authenticatorData, sha256(clientDataJSON)]), privateKey);
+
+    return {
+      id: credentialID.toString('base64url'),
+      rawId: credentialID.toString('base64url'),
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authenticatorData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        ...(userHandle && { userHandle: Buffer.from(userHandle).toString('base64url') })
+      },
+      clientExtensionResults: {}
+    };
+  };
+
+  return { credentialID, passkey, getAssertion };
+};
+
+module.exports = { createVirtualAuthenticator };
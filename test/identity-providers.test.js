@@ -0,0 +1,100 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const backendService = require('../src/services/backendService');
+const { createProvider } = require('../src/services/identityProviders');
+
+describe('identity providers', () => {
+  let originalConfig;
+  let originalGetUserCredentials;
+
+  const useConfig = (config) => {
+    backendService.config = config;
+    backendService.providers = new Map();
+  };
+
+  beforeEach(async () => {
+    await backendService.ensureConfigLoaded();
+    originalConfig = backendService.config;
+    originalGetUserCredentials = backendService.getUserCredentials;
+    backendService.getUserCredentials = async (userId) =>
+      (userId === 'with-password' ? { username: 'a@example.com', password: 'p' } : null);
+  });
+
+  afterEach(() => {
+    useConfig(originalConfig);
+    backendService.getUserCredentials = originalGetUserCredentials;
+  });
+
+  it('creates providers by type', () => {
+    assert.equal(createProvider('g', { type: 'grasshopper-password', baseUrl: 'https://b.example' }).requiresCredentials, true);
+    assert.equal(createProvider('x', { type: 'oauth2-token-exchange', tokenUrl: 'https://idp.example/token' }).requiresCredentials, false);
+    assert.throws(() => createProvider('bad', { type: 'saml' }), /unknown type "saml"/);
+    assert.throws(() => createProvider('x', { type: 'oauth2-token-exchange' }), /tokenUrl/);
+  });
+
+  it('maps users to providers with a default', async () => {
+    useConfig({
+      identityProviders: { main: { type: 'mock', requireCredentials: true }, offline: { type: 'mock' } },
+      defaultProvider: 'main',
+      userProviders: { 'mapped-user': 'offline' }
+    });
+
+    assert.equal((await backendService.getProviderForUser('mapped-user')).name, 'offline');
+    assert.equal((await backendService.getProviderForUser('anyone')).name, 'main');
+  });
+
+  it('signs in through the mapped provider', async () => {
+    useConfig({
+      identityProviders: { main: { type: 'mock', requireCredentials: true }, offline: { type: 'mock' } },
+      defaultProvider: 'main',
+      userProviders: { 'no-password': 'offline' }
+    });
+
+    const withPassword = await backendService.authenticateUser('with-password');
+    assert.equal(withPassword.success, true);
+    assert.equal(withPassword.provider, 'main');
+    assert.equal(withPassword.data.username, 'a@example.com');
+
+    const withoutPassword = await backendService.authenticateUser('no-password');
+    assert.equal(withoutPassword.success, true);
+    assert.equal(withoutPassword.provider, 'offline');
+    assert.match(withoutPassword.data.access_token, /^mock-/);
+
+    await assert.rejects(backendService.authenticateUser('nobody'), /No credentials configured/);
+  });
+
+  it('maps provider failures to an error result', async () => {
+    useConfig({ identityProviders: { down: { type: 'mock', fail: true } } });
+
+    const result = await backendService.authenticateUser('anyone');
+    assert.equal(result.success, false);
+    assert.equal(result.provider, 'down');
+    assert.equal(result.error.status, 401);
+  });
+
+  it('needs a subject token for token exchange', async () => {
+    useConfig({
+      identityProviders: { partner: { type: 'oauth2-token-exchange', tokenUrl: 'http://127.0.0.1:9/token' } }
+    });
+
+    const result = await backendService.authenticateUser('anyone');
+    assert.equal(result.success, false);
+    assert.equal(result.error.status, 500);
+    assert.match(result.error.message, /session access token/);
+  });
+
+  it('treats a legacy backendApi block as the default provider', async () => {
+    useConfig({
+      backendApi: { baseUrl: 'https://legacy.example', endpoints: { signin: '/signin' }, timeout: 5000 }
+    });
+
+    const provider = await backendService.getProviderForUser('anyone');
+    assert.equal(provider.name, 'default');
+    assert.equal(provider.type, 'grasshopper-password');
+    assert.equal(provider.baseUrl, 'https://legacy.example');
+    assert.equal(provider.tokenPath, '/signin');
+  });
+});
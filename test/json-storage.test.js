@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const JSONStorage = require('../src/utils/json-storage');
+
+describe('JSONStorage durability', () => {
+  let dataDir;
+  let storage;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'passkey-json-'));
+    storage = new JSONStorage({ dataDir });
+    await storage.ready;
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps every passkey when registrations run concurrently', async () => {
+    const ids = Array.from({ length: 25 }, (_, i) => `pk-${i}`);
+
+    await Promise.all(ids.map(id => storage.savePasskey(id, { userId: 'user-1', credentialID: Buffer.from(id) })));
+
+    const saved = await storage.getPasskeys('user-1');
+    assert.deepEqual(saved.map(p => p.id).sort(), [...ids].sort());
+  });
+
+  it('leaves no temp files behind', async () => {
+    await storage.savePasskey('pk-1', { userId: 'user-1' });
+    await storage.savePasskey('pk-2', { userId: 'user-1' });
+
+    const files = await fs.readdir(dataDir);
+    assert.deepEqual(files.filter(f => f.endsWith('.tmp')), []);
+  });
+
+  it('keeps the previous version as a backup', async () => {
+    await storage.savePasskey('pk-1', { userId: 'user-1' });
+    await storage.savePasskey('pk-2', { userId: 'user-1' });
+
+    const backup = JSON.parse(await fs.readFile(`${storage.passkeyFile}.bak`, 'utf8'));
+    assert.deepEqual(Object.keys(backup), ['pk-1']);
+  });
+
+  it('recovers a corrupt file from the last-known-good backup', async () => {
+    await storage.savePasskey('pk-1', { userId: 'user-1' });
+    await storage.savePasskey('pk-2', { userId: 'user-1' });
+    await fs.writeFile(storage.passkeyFile, '{"pk-1": {"userId": "us');
+
+    const passkeys = await storage.getPasskeys();
+    assert.deepEqual(passkeys.map(p => p.id), ['pk-1']);
+
+    const files = await fs.readdir(dataDir);
+    assert.ok(files.some(f => f.startsWith('passkeys.json.corrupt-')));
+
+    // The restored file is valid again
+    JSON.parse(await fs.readFile(storage.passkeyFile, 'utf8'));
+  });
+
+  it('refuses to treat corruption without a backup as empty', async () => {
+    await fs.writeFile(storage.passkeyFile, 'not json');
+
+    await assert.rejects(storage.getPasskeys(), { code: 'ESTORAGECORRUPT', status: 503 });
+    await assert.rejects(storage.savePasskey('pk-1', { userId: 'user-1' }), { code: 'ESTORAGECORRUPT' });
+
+    // Nothing was written over the damaged file
+    assert.equal(await fs.readFile(storage.passkeyFile, 'utf8'), 'not json');
+  });
+
+  it('rejects files that parse but are not a store object', async () => {
+    await fs.writeFile(storage.userFile, 'null');
+
+    await assert.rejects(storage.getAllUsers(), { code: 'ESTORAGECORRUPT' });
+  });
+
+  it('recovers a deleted file from its backup', async () => {
+    await storage.saveUser('user-1', { username: 'a@example.com' });
+    await storage.saveUser('user-2', { username: 'b@example.com' });
+    await fs.rm(storage.userFile);
+
+    const users = await storage.getAllUsers();
+    assert.deepEqual(users.map(u => u.id), ['user-1']);
+  });
+
+  it('appends records without rewriting the collection file', async () => {
+    await storage.appendRecord('events', 'e-1', { n: 1 });
+    await storage.appendRecord('events', 'e-2', { n: 2 }, { ttlMs: 60000 });
+
+    const files = await fs.readdir(dataDir);
+    assert.ok(files.includes('events.jsonl'));
+    assert.ok(!files.includes('events.json') && !files.includes('events.jsonl.bak'));
+    assert.deepEqual((await storage.listRecords('events')).map(r => r.n), [1, 2]);
+    assert.ok((await storage.getRecord('events', 'e-2')).expiresAt);
+
+    // A partial line left by a crash is skipped
+    await fs.appendFile(path.join(dataDir, 'events.jsonl'), '{"id":"e-3","n":');
+    assert.deepEqual((await storage.listRecords('events')).map(r => r.id), ['e-1', 'e-2']);
+  });
+
+  it('folds the log into the collection file before changing a record', async () => {
+    await storage.appendRecord('events', 'e-1', { n: 1 });
+    await storage.appendRecord('events', 'e-2', { n: 2 });
+    await storage.deleteRecord('events', 'e-1');
+
+    const files = await fs.readdir(dataDir);
+    assert.ok(!files.includes('events.jsonl'));
+    assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(path.join(dataDir, 'events.json'), 'utf8'))), ['e-2']);
+
+    await storage.dropCollection('events');
+    assert.ok(!(await fs.readdir(dataDir)).some(file => file.startsWith('events.')));
+  });
+
+  it('continues processing queued writes after a failed mutation', async () => {
+    const failing = storage.updateJSON(storage.passkeyFile, () => {
+      throw new Error('boom');
+    });
+    const next = storage.savePasskey('pk-1', { userId: 'user-1' });
+
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, true);
+    assert.ok(await storage.getPasskeyById('pk-1'));
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeFingerprint,
+  androidOriginFromFingerprint,
+  buildExpectedOrigins
+} = require('../src/utils/origins');
+
+// Example from the Android Credential Manager documentation
+const FINGERPRINT = 'FA:C6:17:45:DC:09:03:78:6F:B9:ED:E6:2A:96:2B:39:9F:73:48:F0:BB:6F:89:9B:83:32:66:75:91:03:3B:9C';
+const ANDROID_ORIGIN = 'android:apk-key-hash:-sYXRdwJA3hvue3mKpYrOZ9zSPC7b4mbgzJmdZEDO5w';
+
+describe('origins', () => {
+  it('normalizes fingerprints written with or without colons', () => {
+    assert.equal(normalizeFingerprint(FINGERPRINT.toLowerCase()), FINGERPRINT);
+    assert.equal(normalizeFingerprint(FINGERPRINT.replace(/:/g, '')), FINGERPRINT);
+    assert.equal(normalizeFingerprint('AB:CD'), null);
+    assert.equal(normalizeFingerprint(undefined), null);
+  });
+
+  it('derives the apk-key-hash origin from a SHA-256 fingerprint', () => {
+    assert.equal(androidOriginFromFingerprint(FINGERPRINT), ANDROID_ORIGIN);
+    assert.throws(() => androidOriginFromFingerprint('nope'), /Invalid SHA-256/);
+  });
+
+  it('combines the primary origin, allowed origins and Android apps', () => {
+    const origins = buildExpectedOrigins({
+      origin: 'https://example.com',
+      allowedOrigins: [
+        'https://example.com',
+        'https://staging.example.com',
+        'android:apk-key-hash:REPLACE_WITH_YOUR_ANDROID_APP_SIGNATURE_HASH'
+      ],
+      androidApps: [{ packageName: 'com.example.app', sha256CertFingerprints: [FINGERPRINT] }]
+    });
+
+    assert.deepEqual(origins, ['https://example.com', 'https://staging.example.com', ANDROID_ORIGIN]);
+  });
+
+  it('skips malformed fingerprints instead of throwing', () => {
+    const origins = buildExpectedOrigins({
+      origin: 'https://example.com',
+      androidApps: [
+        { packageName: 'com.example.broken', sha256CertFingerprints: ['AB:CD'] },
+        { packageName: 'com.example.app', sha256CertFingerprints: ['not-a-fingerprint', FINGERPRINT] }
+      ]
+    });
+
+    assert.deepEqual(origins, ['https://example.com', ANDROID_ORIGIN]);
+  });
+});
@@ -0,0 +1,151 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const app = require('../src/server');
+const storage = require('../src/utils/storage');
+const backendService = require('../src/services/backendService');
+const tokenService = require('../src/services/tokenService');
+const { hashApiKey } = require('../src/middleware/authorize');
+const { createClient, bearer, apiKey } = require('./helpers/http-client');
+
+const savePasskey = async (userId) => {
+  const id = crypto.randomUUID();
+  await storage.savePasskey(id, {
+    userId,
+    username: `${userId}@example.com`,
+    credentialID: crypto.randomBytes(16),
+    credentialPublicKey: Buffer.alloc(8),
+    counter: 0
+  });
+  return id;
+};
+
+describe('passkey ownership over HTTP', () => {
+  let client;
+  let originalGetApiKeys;
+  let alice;
+  let bob;
+  let alicePasskey;
+  let bobPasskey;
+  let aliceToken;
+
+  before(async () => {
+    client = await createClient(app);
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  beforeEach(async () => {
+    originalGetApiKeys = backendService.getApiKeys;
+    backendService.getApiKeys = async () => [
+      { id: 'admin', hash: hashApiKey('admin-secret'), scopes: ['passkeys:read', 'passkeys:delete'] },
+      { id: 'ops', hash: hashApiKey('ops-secret'), scopes: ['admin:config'] }
+    ];
+
+    alice = `alice-${crypto.randomUUID()}`;
+    bob = `bob-${crypto.randomUUID()}`;
+    alicePasskey = await savePasskey(alice);
+    bobPasskey = await savePasskey(bob);
+    ({ accessToken: aliceToken } = await tokenService.issueSession({ userId: alice, username: `${alice}@example.com` }));
+  });
+
+  afterEach(() => {
+    backendService.getApiKeys = originalGetApiKeys;
+  });
+
+  it('requires a session or an API key', async () => {
+    const res = await client.get('/api/passkeys');
+    assert.equal(res.status, 401);
+  });
+
+  it('lists and reads only the owner\'s passkeys', async () => {
+    const list = await client.get('/api/passkeys', bearer(aliceToken));
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.passkeys.map(passkey => passkey.id), [alicePasskey]);
+
+    const own = await client.get(`/api/passkeys/${alicePasskey}`, bearer(aliceToken));
+    assert.equal(own.status, 200);
+    assert.equal(own.body.passkey.userId, alice);
+  });
+
+  it('refuses another user\'s passkeys to a non-owner', async () => {
+    const list = await client.get(`/api/passkeys?userId=${bob}`, bearer(aliceToken));
+    assert.equal(list.status, 403);
+
+    // Other users' passkeys are reported as missing rather than forbidden
+    const read = await client.get(`/api/passkeys/${bobPasskey}`, bearer(aliceToken));
+    assert.equal(read.status, 404);
+
+    const removed = await client.delete(`/api/passkeys/${bobPasskey}`, bearer(aliceToken));
+    assert.equal(removed.status, 404);
+    assert.ok(await storage.getPasskeyById(bobPasskey));
+  });
+
+  it('lets the owner delete their own passkey', async () => {
+    const res = await client.delete(`/api/passkeys/${alicePasskey}`, bearer(aliceToken));
+    assert.equal(res.status, 200);
+    assert.equal(await storage.getPasskeyById(alicePasskey), null);
+  });
+
+  it('lets an admin API key act on any user\'s passkeys', async () => {
+    const list = await client.get(`/api/passkeys?userId=${bob}`, apiKey('admin-secret'));
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.passkeys.map(passkey => passkey.id), [bobPasskey]);
+
+    const read = await client.get(`/api/passkeys/${bobPasskey}`, apiKey('admin-secret'));
+    assert.equal(read.status, 200);
+
+    const removed = await client.delete(`/api/passkeys/${bobPasskey}`, apiKey('admin-secret'));
+    assert.equal(removed.status, 200);
+    assert.equal(await storage.getPasskeyById(bobPasskey), null);
+  });
+
+  it('lets the owner rename a passkey and keeps the change', async () => {
+    const res = await client.patch(`/api/passkeys/${alicePasskey}`, { nickname: '  Work laptop ', notes: 'Desk drawer' }, bearer(aliceToken));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.passkey.nickname, 'Work laptop');
+    assert.equal(res.body.passkey.credentialPublicKey, undefined);
+
+    const read = await client.get(`/api/passkeys/${alicePasskey}`, bearer(aliceToken));
+    assert.equal(read.body.passkey.nickname, 'Work laptop');
+    assert.equal(read.body.passkey.notes, 'Desk drawer');
+
+    // An empty nickname clears it and leaves the notes alone
+    const cleared = await client.patch(`/api/passkeys/${alicePasskey}`, { nickname: '' }, bearer(aliceToken));
+    assert.equal(cleared.body.passkey.nickname, null);
+    assert.equal((await storage.getPasskeyById(alicePasskey)).notes, 'Desk drawer');
+  });
+
+  it('validates passkey updates', async () => {
+    const cases = [{}, { nickname: 'x'.repeat(65) }, { notes: 'x'.repeat(501) }, { counter: 0 }];
+
+    for (const body of cases) {
+      const res = await client.patch(`/api/passkeys/${alicePasskey}`, body, bearer(aliceToken));
+      assert.equal(res.status, 400);
+    }
+    assert.equal((await storage.getPasskeyById(alicePasskey)).nickname, undefined);
+  });
+
+  it('refuses to rename another user\'s passkey', async () => {
+    const res = await client.patch(`/api/passkeys/${bobPasskey}`, { nickname: 'Mine now' }, bearer(aliceToken));
+    assert.equal(res.status, 404);
+    assert.equal((await storage.getPasskeyById(bobPasskey)).nickname, undefined);
+
+    const withoutScope = await client.patch(`/api/passkeys/${bobPasskey}`, { nickname: 'Mine now' }, apiKey('admin-secret'));
+    assert.equal(withoutScope.status, 403);
+  });
+
+  it('refuses API keys without the passkey scopes with 403', async () => {
+    const list = await client.get('/api/passkeys', apiKey('ops-secret'));
+    assert.equal(list.status, 403);
+
+    const removed = await client.delete(`/api/passkeys/${bobPasskey}`, apiKey('ops-secret'));
+    assert.equal(removed.status, 403);
+    assert.ok(await storage.getPasskeyById(bobPasskey));
+  });
+});
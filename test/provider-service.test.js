@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const backendService = require('../src/services/backendService');
+const providerService = require('../src/services/providerService');
+
+const GOOGLE = 'ea9b8d66-4d01-1d21-3ce4-b6b48cb575d4';
+const CORPORATE = '11111111-2222-3333-4444-555555555555';
+
+describe('providerService', () => {
+  let providerConfig;
+  let originalGetProviderConfig;
+
+  beforeEach(() => {
+    providerConfig = {};
+    originalGetProviderConfig = backendService.getProviderConfig;
+    backendService.getProviderConfig = async () => providerConfig;
+  });
+
+  afterEach(() => {
+    backendService.getProviderConfig = originalGetProviderConfig;
+  });
+
+  it('names passkeys from the bundled dataset', async () => {
+    await providerService.ensureLoaded();
+    const { providerName, providerIcon } = providerService.describe({ aaguid: GOOGLE.toUpperCase() });
+
+    assert.equal(providerName, 'Google Password Manager');
+    // The bundled copy ships without icons
+    assert.equal(providerIcon, null);
+  });
+
+  it('returns nulls for unknown and all-zero AAGUIDs', async () => {
+    await providerService.ensureLoaded();
+
+    assert.deepEqual(providerService.describe({ aaguid: CORPORATE }), { providerName: null, providerIcon: null });
+    assert.deepEqual(
+      providerService.describe({ aaguid: '00000000-0000-0000-0000-000000000000' }),
+      { providerName: null, providerIcon: null }
+    );
+  });
+
+  it('falls back to the metadata description from attestation', async () => {
+    await providerService.ensureLoaded();
+    const described = providerService.describe({
+      aaguid: CORPORATE,
+      attestation: { description: 'Acme FIDO2 Key' }
+    });
+
+    assert.deepEqual(described, { providerName: 'Acme FIDO2 Key', providerIcon: null });
+  });
+
+  it('applies custom entries and reloads a changed dataset file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aaguids-'));
+    const datasetPath = path.join(dir, 'providers.json');
+    fs.writeFileSync(datasetPath, JSON.stringify({ [GOOGLE]: { name: 'Old Name' } }));
+
+    providerConfig = {
+      datasetPath,
+      custom: { [CORPORATE]: { name: 'Corporate Key', icon_light: 'data:light' } }
+    };
+    await providerService.ensureLoaded();
+
+    assert.equal(providerService.describe({ aaguid: GOOGLE }).providerName, 'Old Name');
+    assert.deepEqual(providerService.describe({ aaguid: CORPORATE }).providerIcon, {
+      light: 'data:light',
+      dark: 'data:light'
+    });
+
+    fs.writeFileSync(datasetPath, JSON.stringify({ [GOOGLE]: { name: 'New Name' } }));
+    fs.utimesSync(datasetPath, new Date(), new Date(Date.now() + 5000));
+    await providerService.ensureLoaded();
+
+    assert.equal(providerService.describe({ aaguid: GOOGLE }).providerName, 'New Name');
+  });
+});
@@ -0,0 +1,189 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FakeKV = require('./helpers/fake-kv');
+const backendService = require('../src/services/backendService');
+const rateLimitService = require('../src/services/rateLimitService');
+const securityEventService = require('../src/services/securityEventService');
+const errorHandler = require('../src/middleware/errorHandler');
+const { rateLimit } = require('../src/middleware/rateLimit');
+const { MemoryRateLimitStore, KVRateLimitStore, createRateLimitStore } = require('../src/utils/rate-limit-store');
+
+const run = (middleware, req) => new Promise((resolve) => {
+  middleware(req, {}, (error) => resolve(error || null));
+});
+
+for (const [name, createStore] of [
+  ['memory', () => new MemoryRateLimitStore()],
+  ['kv', () => new KVRateLimitStore({ client: new FakeKV() })]
+]) {
+  describe(`${name} rate limit store`, () => {
+    it('counts hits within a window', async () => {
+      const store = createStore();
+
+      const first = await store.increment('k', 1000);
+      const second = await store.increment('k', 1000);
+      assert.equal(first.count, 1);
+      assert.equal(second.count, 2);
+      assert.ok(second.resetAt - Date.now() <= 1000);
+      assert.equal((await store.increment('other', 1000)).count, 1);
+    });
+
+    it('starts a new window once the old one expires', async () => {
+      const store = createStore();
+
+      await store.increment('k', 20);
+      await new Promise(resolve => setTimeout(resolve, 40));
+      assert.equal((await store.increment('k', 20)).count, 1);
+    });
+
+    it('stores values with a ttl', async () => {
+      const store = createStore();
+
+      await store.set('state', { failures: 2 }, 1000);
+      assert.deepEqual(await store.get('state'), { failures: 2 });
+      await store.delete('state');
+      assert.equal(await store.get('state'), null);
+    });
+  });
+}
+
+describe('createRateLimitStore', () => {
+  it('picks the store from options and rejects unknown ones', () => {
+    assert.ok(createRateLimitStore({ store: 'memory' }) instanceof MemoryRateLimitStore);
+    assert.ok(createRateLimitStore({ store: 'kv', client: new FakeKV() }) instanceof KVRateLimitStore);
+    assert.throws(() => createRateLimitStore({ store: 'redis' }), /Unknown rate limit store/);
+  });
+});
+
+describe('rateLimitService', () => {
+  let originalGetRateLimitConfig;
+  let originalRecord;
+  let events;
+
+  beforeEach(() => {
+    originalGetRateLimitConfig = backendService.getRateLimitConfig;
+    backendService.getRateLimitConfig = async () => ({
+      rules: {
+        'login-begin': {
+          ip: { limit: 3, windowSeconds: 60 },
+          user: { limit: 2, windowSeconds: 60 }
+        }
+      },
+      lockout: { threshold: 2, windowSeconds: 60, baseSeconds: 30, maxSeconds: 100 }
+    });
+
+    originalRecord = securityEventService.record;
+    events = [];
+    securityEventService.record = async (type, fields) => { events.push({ type, ...fields }); };
+
+    rateLimitService.store = new MemoryRateLimitStore();
+  });
+
+  afterEach(() => {
+    backendService.getRateLimitConfig = originalGetRateLimitConfig;
+    securityEventService.record = originalRecord;
+  });
+
+  it('limits each subject separately', async () => {
+    await rateLimitService.hit('login-begin', { ip: '10.0.0.1', user: 'alice' });
+    await rateLimitService.hit('login-begin', { ip: '10.0.0.1', user: 'alice' });
+
+    await assert.rejects(rateLimitService.hit('login-begin', { ip: '10.0.0.1', user: 'alice' }), (error) => {
+      assert.equal(error.name, 'RateLimitError');
+      assert.equal(error.status, 429);
+      assert.equal(error.code, 'RATE_LIMITED');
+      assert.ok(error.retryAfter > 0 && error.retryAfter <= 60);
+      return true;
+    });
+
+    // Another user from the same address only has the IP limit left
+    await assert.rejects(rateLimitService.hit('login-begin', { ip: '10.0.0.1', user: 'bob' }), /ip/);
+    await rateLimitService.hit('login-begin', { ip: '10.0.0.2', user: 'bob' });
+  });
+
+  it('ignores actions and subjects without rules', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      await rateLimitService.hit('unlisted', { ip: '10.0.0.1' });
+      await rateLimitService.hit('login-begin', { credential: 'cred-1' });
+    }
+  });
+
+  it('locks out progressively after repeated failures', async () => {
+    const subjects = { credential: 'cred-1', user: 'alice' };
+
+    await rateLimitService.recordFailure(subjects);
+    await rateLimitService.checkLockout(subjects);
+    await rateLimitService.recordFailure(subjects);
+
+    await assert.rejects(rateLimitService.checkLockout({ credential: 'cred-1' }), (error) => {
+      assert.equal(error.code, 'LOCKED_OUT');
+      assert.ok(error.retryAfter > 25 && error.retryAfter <= 30);
+      return true;
+    });
+    await assert.rejects(rateLimitService.checkLockout({ user: 'alice' }), /locked/);
+    assert.deepEqual(events.map(event => event.type), ['ceremony.locked_out', 'ceremony.locked_out']);
+
+    // The second lockout lasts twice as long, capped at maxSeconds
+    await rateLimitService.recordFailure({ credential: 'cred-1' });
+    await rateLimitService.recordFailure({ credential: 'cred-1' });
+    await assert.rejects(rateLimitService.checkLockout({ credential: 'cred-1' }), (error) => error.retryAfter > 55);
+
+    const state = await rateLimitService.store.get('lockout:credential:cred-1');
+    assert.equal(state.level, 2);
+  });
+
+  it('clears failures on success', async () => {
+    const subjects = { credential: 'cred-1', user: 'alice' };
+
+    await rateLimitService.recordFailure(subjects);
+    await rateLimitService.recordSuccess(subjects);
+    await rateLimitService.recordFailure(subjects);
+
+    await rateLimitService.checkLockout(subjects);
+  });
+
+  it('only counts string user and credential values from the body', async () => {
+    // Objects would all have shared the "[object Object]" key
+    for (const [index, userId] of [{}, { a: 1 }, ['x'], { toString: null }, 42].entries()) {
+      const req = { ip: `10.0.1.${index}`, body: { userId, credential: { id: {} } } };
+      assert.equal(await run(rateLimit('login-begin'), req), null);
+    }
+
+    const req = { ip: '10.0.2.1', body: { userId: { $ne: null }, username: 'dave' } };
+    assert.equal(await run(rateLimit('login-begin'), req), null);
+    assert.equal(await run(rateLimit('login-begin'), { ...req, ip: '10.0.2.2' }), null);
+    const error = await run(rateLimit('login-begin'), { ...req, ip: '10.0.2.3' });
+    assert.match(error.message, /for this user/);
+  });
+
+  it('answers 429 with Retry-After', async () => {
+    const req = { ip: '10.0.0.9', body: { userId: 'carol' }, url: '/login/begin', method: 'POST' };
+    assert.equal(await run(rateLimit('login-begin'), req), null);
+    assert.equal(await run(rateLimit('login-begin'), req), null);
+    const error = await run(rateLimit('login-begin'), req);
+
+    const headers = {};
+    let status;
+    let body;
+    const res = {
+      set: (name, value) => { headers[name] = value; },
+      status: (code) => { status = code; return res; },
+      json: (payload) => { body = payload; }
+    };
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      errorHandler(error, req, res, () => {});
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.equal(status, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.ok(Number(headers['Retry-After']) > 0);
+  });
+});
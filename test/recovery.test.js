@@ -0,0 +1,198 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const app = require('../src/server');
+const storage = require('../src/utils/storage');
+const recoveryService = require('../src/services/recoveryService');
+const tokenService = require('../src/services/tokenService');
+const webauthnService = require('../src/services/webauthnService');
+const { createClient, bearer } = require('./helpers/http-client');
+
+describe('recovery codes', () => {
+  let userId;
+
+  beforeEach(() => {
+    userId = `user-${crypto.randomUUID()}`;
+  });
+
+  it('generates a set of codes and stores only their hashes', async () => {
+    const { codes, total, remaining } = await recoveryService.generateCodes(userId);
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    assert.match(codes[0], /^[0-9A-HJKMNP-TV-Z]{5}-[0-9A-HJKMNP-TV-Z]{5}$/);
+    assert.deepEqual([total, remaining], [10, 10]);
+
+    const stored = JSON.stringify(await storage.getRecord('recovery-codes', userId));
+    assert.ok(codes.every(code => !stored.includes(code) && !stored.includes(code.replace('-', ''))));
+    assert.equal(await recoveryService.getStatus('someone-else'), null);
+  });
+
+  it('redeems each code once for an enrollment grant', async () => {
+    const { codes } = await recoveryService.generateCodes(userId);
+
+    // Case and separators do not matter
+    const result = await recoveryService.redeem(userId, codes[3].toLowerCase().replace('-', ' '));
+    assert.equal(result.userId, userId);
+    assert.equal(result.remaining, 9);
+    assert.ok(new Date(result.expiresAt) > new Date());
+    assert.equal((await recoveryService.getStatus(userId)).remaining, 9);
+
+    await assert.rejects(recoveryService.redeem(userId, codes[3]), { name: 'RecoveryError', code: 'INVALID_RECOVERY_CODE', status: 401 });
+    await assert.rejects(recoveryService.redeem(userId, 'AAAAA-AAAAA'), { code: 'INVALID_RECOVERY_CODE' });
+    await assert.rejects(recoveryService.redeem(`user-${crypto.randomUUID()}`, codes[4]), { code: 'INVALID_RECOVERY_CODE' });
+  });
+
+  it('invalidates previous codes when regenerated', async () => {
+    const { codes: previous } = await recoveryService.generateCodes(userId);
+    const { codes } = await recoveryService.generateCodes(userId);
+
+    await assert.rejects(recoveryService.redeem(userId, previous[0]), { code: 'INVALID_RECOVERY_CODE' });
+    assert.ok(await recoveryService.redeem(userId, codes[0]));
+  });
+
+  it('spends a code once under concurrent redemptions', async () => {
+    const { codes } = await recoveryService.generateCodes(userId);
+    const results = await Promise.allSettled([0, 1, 2].map(() => recoveryService.redeem(userId, codes[0])));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.code === 'INVALID_RECOVERY_CODE'));
+    assert.equal((await recoveryService.getStatus(userId)).remaining, 9);
+  });
+
+  it('keeps codes of the same user ID apart per tenant', async () => {
+    const { codes } = await recoveryService.generateCodes(userId, 'acme');
+
+    await assert.rejects(recoveryService.redeem(userId, codes[0]), { code: 'INVALID_RECOVERY_CODE' });
+    assert.equal((await recoveryService.redeem(userId, codes[0], 'acme')).userId, userId);
+  });
+});
+
+describe('recovery grants', () => {
+  let userId;
+  let grant;
+
+  beforeEach(async () => {
+    userId = `user-${crypto.randomUUID()}`;
+    const { codes } = await recoveryService.generateCodes(userId);
+    grant = (await recoveryService.redeem(userId, codes[0])).grant;
+  });
+
+  it('only enrolls the user it was issued for', async () => {
+    assert.equal((await recoveryService.verifyGrant(grant, { userId })).userId, userId);
+
+    await assert.rejects(recoveryService.verifyGrant(grant, { userId: 'mallory' }), { code: 'RECOVERY_GRANT_MISMATCH', status: 403 });
+    await assert.rejects(recoveryService.verifyGrant(grant, { userId, tenantId: 'acme' }), { code: 'RECOVERY_GRANT_MISMATCH' });
+    await assert.rejects(recoveryService.verifyGrant(`${grant.split('.')[0]}.forged`, { userId }), { code: 'INVALID_RECOVERY_GRANT', status: 401 });
+    await assert.rejects(recoveryService.verifyGrant('nonsense', { userId }), { code: 'INVALID_RECOVERY_GRANT' });
+  });
+
+  it('ties a registration ceremony to the grant and is spent once', async () => {
+    const { id: grantId } = await recoveryService.verifyGrant(grant, { userId });
+    const { sessionId } = await webauthnService.generateRegistrationOptions(userId, 'user@example.com', null, 'web', 'preferred', { recoveryGrantId: grantId });
+    assert.equal((await storage.getChallenge(sessionId)).recoveryGrantId, grantId);
+
+    await recoveryService.consumeGrant(grantId);
+    await assert.rejects(recoveryService.consumeGrant(grantId), { code: 'INVALID_RECOVERY_GRANT' });
+    await assert.rejects(recoveryService.verifyGrant(grant, { userId }), { code: 'INVALID_RECOVERY_GRANT' });
+  });
+
+  it('is spent once under concurrent registrations', async () => {
+    const { id: grantId } = await recoveryService.verifyGrant(grant, { userId });
+    const results = await Promise.allSettled([0, 1, 2].map(() => recoveryService.consumeGrant(grantId)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.code === 'INVALID_RECOVERY_GRANT'));
+  });
+});
+
+describe('registration access over HTTP', () => {
+  let client;
+  let userId;
+
+  const begin = (body, options) => client.post('/api/passkeys/register/begin', {
+    userId,
+    username: `${userId}@example.com`,
+    ...body
+  }, options);
+
+  const sessionFor = async (id) => (await tokenService.issueSession({ userId: id, username: `${id}@example.com` })).accessToken;
+
+  before(async () => {
+    client = await createClient(app);
+  });
+
+  after(async () => {
+    await client.close();
+  });
+
+  beforeEach(() => {
+    userId = `user-${crypto.randomUUID()}`;
+  });
+
+  it('lets brand-new users start registering without signing in', async () => {
+    const res = await begin();
+    assert.equal(res.status, 200);
+    assert.ok(res.body.sessionId);
+  });
+
+  it('requires the user\'s own session or a recovery grant once they have a passkey', async () => {
+    await storage.savePasskey(crypto.randomUUID(), {
+      userId,
+      username: `${userId}@example.com`,
+      credentialID: crypto.randomBytes(16),
+      credentialPublicKey: Buffer.alloc(8),
+      counter: 0
+    });
+
+    const anonymous = await begin();
+    assert.equal(anonymous.status, 401);
+
+    const otherUser = await begin({}, bearer(await sessionFor(`user-${crypto.randomUUID()}`)));
+    assert.equal(otherUser.status, 403);
+
+    const signedIn = await begin({}, bearer(await sessionFor(userId)));
+    assert.equal(signedIn.status, 200);
+
+    const { codes } = await recoveryService.generateCodes(userId);
+    const { grant } = await recoveryService.redeem(userId, codes[0]);
+    const recovering = await begin({ recoveryGrant: grant });
+    assert.equal(recovering.status, 200);
+  });
+
+  it('refuses a username that belongs to another user', async () => {
+    await storage.saveUser(`user-${crypto.randomUUID()}`, { username: `${userId}@example.com` });
+
+    const res = await begin();
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'USERNAME_TAKEN');
+  });
+
+  it('treats a user whose passkeys were all removed as an existing account', async () => {
+    await storage.saveUser(userId, { username: `${userId}@example.com` });
+
+    const anonymous = await begin();
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('re-checks at completion that a new user\'s account still does not exist', async () => {
+    const res = await begin();
+    assert.equal(res.status, 200);
+    assert.deepEqual((await storage.getChallenge(res.body.sessionId)).enrollment, { mode: 'new' });
+
+    // The owner registers meanwhile
+    await storage.saveUser(userId, { username: `${userId}@example.com` });
+
+    const complete = await client.post('/api/passkeys/register/complete', {
+      userId,
+      sessionId: res.body.sessionId,
+      credential: { id: 'AAAA', rawId: 'AAAA', type: 'public-key', response: { clientDataJSON: 'AAAA', attestationObject: 'AAAA' } }
+    });
+    assert.equal(complete.status, 401);
+    assert.equal(complete.body.code, 'ENROLLMENT_NOT_ALLOWED');
+  });
+});
+
@@ -0,0 +1,93 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const storage = require('../src/utils/storage');
+const backendService = require('../src/services/backendService');
+const webauthnService = require('../src/services/webauthnService');
+const { buildWebAuthnAssociation } = require('../src/utils/associations');
+const {
+  registrableLabel,
+  validateRelatedOrigins,
+  resolveRelatedOrigins
+} = require('../src/utils/origins');
+const { createVirtualAuthenticator } = require('./helpers/virtual-authenticator');
+
+const SIX_LABELS = ['a', 'b', 'c', 'd', 'e', 'f'].map(label => `https://shop.${label}.com`);
+
+describe('related origins', () => {
+  it('counts labels by registrable domain', () => {
+    assert.equal(registrableLabel('www.example.com'), 'example');
+    assert.equal(registrableLabel('example.co.uk'), 'example');
+    assert.equal(registrableLabel('shop.example.com.au'), 'example');
+    assert.equal(registrableLabel('example.de'), 'example');
+    assert.equal(registrableLabel('localhost'), null);
+  });
+
+  it('flags malformed origins and more than five labels', () => {
+    const origins = [
+      'https://example.de',
+      'https://example.co.uk',
+      'http://example.fr',
+      'https://example.com/login',
+      'https://127.0.0.1',
+      ...SIX_LABELS
+    ];
+
+    assert.deepEqual(validateRelatedOrigins(origins).map(problem => problem.path), [
+      'relatedOrigins[2]',
+      'relatedOrigins[3]',
+      'relatedOrigins[4]',
+      'relatedOrigins'
+    ]);
+    assert.deepEqual(validateRelatedOrigins(['https://example.de', 'https://example.co.uk']), []);
+  });
+
+  it('publishes only the origins browsers will honour', () => {
+    assert.deepEqual(
+      resolveRelatedOrigins(['https://example.de', 'https://example.de', 'https://example.co.uk', 'nope']),
+      ['https://example.de', 'https://example.co.uk']
+    );
+    assert.deepEqual(resolveRelatedOrigins(SIX_LABELS), SIX_LABELS.slice(0, 5));
+    assert.deepEqual(buildWebAuthnAssociation({ relatedOrigins: ['https://example.de'] }), { origins: ['https://example.de'] });
+  });
+
+  describe('ceremonies', () => {
+    let original;
+
+    beforeEach(() => {
+      original = backendService.getWebAuthnConfig;
+      backendService.getWebAuthnConfig = async () => ({
+        ...(await original.call(backendService)),
+        relatedOrigins: ['https://nagender.de', ...SIX_LABELS]
+      });
+    });
+
+    afterEach(async () => {
+      backendService.getWebAuthnConfig = original;
+      await webauthnService.initializeConfig();
+    });
+
+    const login = async (origin) => {
+      await webauthnService.initializeConfig();
+      const authenticator = createVirtualAuthenticator({ rpID: webauthnService.rpID, origin });
+      const userId = `user-${crypto.randomUUID()}`;
+      await storage.savePasskey(crypto.randomUUID(), authenticator.passkey({ userId, username: 'user@example.com' }));
+
+      const { sessionId } = await webauthnService.generateAuthenticationOptions(userId, 'web');
+      const { challenge } = await storage.getChallenge(sessionId);
+      return webauthnService.verifyAuthentication(sessionId, authenticator.getAssertion({ challenge, userHandle: userId }));
+    };
+
+    it('accepts assertions from a related origin for the primary RP ID', async () => {
+      const result = await login('https://nagender.de');
+      assert.equal(result.verified, true);
+    });
+
+    it('rejects origins past the label limit', async () => {
+      await assert.rejects(login('https://shop.f.com'), /Unexpected authentication response origin/);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { decodeProtectedHeader } = require('jose');
+
+const storage = require('../src/utils/storage');
+const tokenService = require('../src/services/tokenService');
+const webauthnService = require('../src/services/webauthnService');
+const { canonicalize, hashTransaction } = require('../src/utils/transaction');
+const { createVirtualAuthenticator } = require('./helpers/virtual-authenticator');
+
+const TRANSACTION = { type: 'phone.change', phoneNumber: '+15551234567', line: { id: 7, primary: true } };
+
+describe('transaction hashing', () => {
+  it('ignores key order at every level', () => {
+    const reordered = { line: { primary: true, id: 7 }, phoneNumber: '+15551234567', type: 'phone.change' };
+
+    assert.equal(canonicalize(reordered), '{"line":{"id":7,"primary":true},"phoneNumber":"+15551234567","type":"phone.change"}');
+    assert.equal(hashTransaction(reordered), hashTransaction(TRANSACTION));
+    assert.notEqual(hashTransaction({ ...TRANSACTION, phoneNumber: '+15557654321' }), hashTransaction(TRANSACTION));
+  });
+});
+
+describe('step-up authentication', () => {
+  let userId;
+  let authenticator;
+
+  beforeEach(async () => {
+    await webauthnService.initializeConfig();
+    userId = `user-${crypto.randomUUID()}`;
+    authenticator = createVirtualAuthenticator({ rpID: webauthnService.rpID, origin: webauthnService.origin });
+    await storage.savePasskey(crypto.randomUUID(), authenticator.passkey({ userId, username: 'user@example.com' }));
+  });
+
+  const approve = async (transaction = TRANSACTION, { as = userId } = {}) => {
+    const { sessionId, options } = await webauthnService.generateStepUpOptions(userId, transaction);
+    return webauthnService.verifyStepUp(sessionId, authenticator.getAssertion({ challenge: options.challenge, userHandle: userId }), as);
+  };
+
+  it('derives the challenge from the transaction and requires user verification', async () => {
+    const first = await webauthnService.generateStepUpOptions(userId, TRANSACTION);
+    const second = await webauthnService.generateStepUpOptions(userId, TRANSACTION);
+    const challenge = Buffer.from(first.options.challenge, 'base64url');
+
+    assert.equal(first.options.userVerification, 'required');
+    assert.equal(first.options.allowCredentials.length, 1);
+    assert.equal(first.transactionHash, hashTransaction(TRANSACTION));
+    assert.equal(challenge.subarray(32).toString('base64url'), first.transactionHash);
+    assert.notEqual(first.options.challenge, second.options.challenge);
+
+    await assert.rejects(webauthnService.generateStepUpOptions('nobody', TRANSACTION), { code: 'NO_PASSKEYS' });
+  });
+
+  it('approves the transaction and spends the challenge', async () => {
+    const result = await approve();
+
+    assert.equal(result.verified, true);
+    assert.equal(result.userId, userId);
+    assert.deepEqual(result.transaction, TRANSACTION);
+    assert.equal(result.transactionHash, hashTransaction(TRANSACTION));
+  });
+
+  it('accepts one assertion only once under concurrent replays', async () => {
+    const stepUp = await webauthnService.generateStepUpOptions(userId, TRANSACTION);
+    const stepUpAssertion = authenticator.getAssertion({ challenge: stepUp.options.challenge, userHandle: userId });
+    const stepUps = await Promise.allSettled([0, 1, 2].map(() => webauthnService.verifyStepUp(stepUp.sessionId, stepUpAssertion, userId)));
+
+    assert.equal(stepUps.filter(result => result.status === 'fulfilled').length, 1);
+
+    const login = await webauthnService.generateAuthenticationOptions(userId, 'web');
+    const assertion = authenticator.getAssertion({ challenge: login.options.challenge, userHandle: userId });
+    const logins = await Promise.allSettled([0, 1, 2].map(() => webauthnService.verifyAuthentication(login.sessionId, assertion)));
+
+    assert.equal(logins.filter(result => result.status === 'fulfilled').length, 1);
+  });
+
+  it('refuses approvals by another signed-in user', async () => {
+    await assert.rejects(approve(TRANSACTION, { as: 'mallory' }), { code: 'STEPUP_USER_MISMATCH' });
+  });
+
+  it('refuses a login challenge as a step-up and the other way round', async () => {
+    const login = await webauthnService.generateAuthenticationOptions(userId, 'web');
+    const assertion = authenticator.getAssertion({ challenge: login.options.challenge, userHandle: userId });
+    await assert.rejects(webauthnService.verifyStepUp(login.sessionId, assertion, userId), /Invalid or expired step-up session/);
+
+    const stepUp = await webauthnService.generateStepUpOptions(userId, TRANSACTION);
+    const stepUpAssertion = authenticator.getAssertion({ challenge: stepUp.options.challenge, userHandle: userId });
+    await assert.rejects(webauthnService.verifyAuthentication(stepUp.sessionId, stepUpAssertion), /Invalid or expired authentication session/);
+  });
+
+  it('issues a token that verifies offline for that transaction only', async () => {
+    const result = await approve();
+    const { accessToken } = await tokenService.issueSession({ userId, username: 'user@example.com' });
+    const { stepUpToken, expiresIn, transactionHash } = await tokenService.issueStepUpToken({
+      userId,
+      sessionId: 'session-1',
+      passkeyId: result.passkeyId,
+      transaction: result.transaction
+    });
+
+    assert.equal(decodeProtectedHeader(stepUpToken).typ, 'stepup+jwt');
+    assert.equal(expiresIn, 300);
+
+    const claims = await tokenService.verifyStepUpToken(stepUpToken, {
+      transaction: { line: { primary: true, id: 7 }, phoneNumber: '+15551234567', type: 'phone.change' }
+    });
+    assert.equal(claims.sub, userId);
+    assert.equal(claims.sid, 'session-1');
+    assert.deepEqual(claims.txn, { type: 'phone.change', hash: transactionHash });
+    assert.ok(claims.jti);
+
+    await assert.rejects(
+      tokenService.verifyStepUpToken(stepUpToken, { transaction: { ...TRANSACTION, phoneNumber: '+15557654321' } }),
+      { name: 'UnauthorizedError', message: 'Step-up token was issued for another transaction' }
+    );
+
+    // Neither kind of token passes for the other
+    await assert.rejects(tokenService.verifyAccessToken(stepUpToken), { message: 'Invalid access token' });
+    await assert.rejects(tokenService.verifyStepUpToken(accessToken), { message: 'Invalid step-up token' });
+  });
+});
@@ -0,0 +1,390 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const JSONStorage = require('../src/utils/json-storage');
+const KVStorage = require('../src/utils/kv-storage');
+const MemoryStorage = require('../src/utils/memory-storage');
+const { createStorage, resolveBackend } = require('../src/utils/storage-factory');
+const FakeKV = require('./helpers/fake-kv');
+
+const samplePasskey = (overrides = {}) => ({
+  userId: 'user-1',
+  username: 'user@example.com',
+  displayName: 'User One',
+  credentialID: new Uint8Array([1, 2, 3, 4, 250]),
+  credentialPublicKey: new Uint8Array([9, 8, 7, 6]),
+  counter: 0,
+  credentialDeviceType: 'multiDevice',
+  credentialBackedUp: true,
+  transports: ['internal', 'hybrid'],
+  platform: 'web',
+  ...overrides
+});
+
+const runConformanceSuite = (name, createAdapter) => {
+  describe(`${name} storage adapter`, () => {
+    let storage;
+    let cleanup;
+
+    beforeEach(async () => {
+      ({ storage, cleanup } = await createAdapter());
+    });
+
+    afterEach(async () => {
+      if (cleanup) await cleanup();
+    });
+
+    describe('passkeys', () => {
+      it('returns null for an unknown passkey', async () => {
+        assert.equal(await storage.getPasskeyById('missing'), null);
+      });
+
+      it('saves and reads back a passkey with binary fields intact', async () => {
+        assert.equal(await storage.savePasskey('pk-1', samplePasskey()), true);
+
+        const passkey = await storage.getPasskeyById('pk-1');
+        assert.equal(passkey.id, 'pk-1');
+        assert.equal(passkey.userId, 'user-1');
+        assert.ok(passkey.createdAt);
+        assert.ok(passkey.lastUsed);
+        assert.deepEqual([...passkey.credentialID], [1, 2, 3, 4, 250]);
+        assert.deepEqual([...passkey.credentialPublicKey], [9, 8, 7, 6]);
+        assert.deepEqual(passkey.transports, ['internal', 'hybrid']);
+      });
+
+      it('keeps createdAt when a passkey is saved again', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+        const first = await storage.getPasskeyById('pk-1');
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await storage.savePasskey('pk-1', { ...first, counter: 5 });
+
+        const second = await storage.getPasskeyById('pk-1');
+        assert.equal(second.createdAt, first.createdAt);
+        assert.equal(second.counter, 5);
+        assert.deepEqual([...second.credentialID], [...first.credentialID]);
+      });
+
+      it('lists all passkeys or only those of one user', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+        await storage.savePasskey('pk-2', samplePasskey({ userId: 'user-2', credentialID: new Uint8Array([5]) }));
+
+        const all = await storage.getPasskeys();
+        assert.deepEqual(all.map(p => p.id).sort(), ['pk-1', 'pk-2']);
+
+        const forUser = await storage.getPasskeys('user-2');
+        assert.deepEqual(forUser.map(p => p.id), ['pk-2']);
+
+        assert.deepEqual(await storage.getPasskeys('nobody'), []);
+      });
+
+      it('updates lastUsed only for existing passkeys', async () => {
+        assert.equal(await storage.updatePasskeyLastUsed('missing'), false);
+
+        await storage.savePasskey('pk-1', samplePasskey());
+        assert.equal(await storage.updatePasskeyLastUsed('pk-1'), true);
+        assert.ok((await storage.getPasskeyById('pk-1')).lastUsed);
+      });
+
+      it('keeps a given lastUsed when re-saving a passkey', async () => {
+        await storage.savePasskey('pk-1', { ...samplePasskey(), lastUsed: '2024-01-01T00:00:00.000Z' });
+        assert.equal((await storage.getPasskeyById('pk-1')).lastUsed, '2024-01-01T00:00:00.000Z');
+      });
+
+      it('deletes passkeys and reports whether anything was removed', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+
+        assert.equal(await storage.deletePasskey('pk-1'), true);
+        assert.equal(await storage.getPasskeyById('pk-1'), null);
+        assert.equal(await storage.deletePasskey('pk-1'), false);
+      });
+
+      it('does not hand out live references to stored records', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+
+        const passkey = await storage.getPasskeyById('pk-1');
+        passkey.counter = 99;
+
+        assert.equal((await storage.getPasskeyById('pk-1')).counter, 0);
+      });
+    });
+
+    describe('indexed lookups', () => {
+      it('finds a passkey by base64url or binary credential ID', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+
+        const encoded = Buffer.from([1, 2, 3, 4, 250]).toString('base64url');
+        assert.equal((await storage.getPasskeyByCredentialId(encoded)).id, 'pk-1');
+        assert.equal((await storage.getPasskeyByCredentialId(new Uint8Array([1, 2, 3, 4, 250]))).id, 'pk-1');
+        assert.equal(await storage.getPasskeyByCredentialId('AAAA'), null);
+      });
+
+      it('lists passkeys by user', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+        await storage.savePasskey('pk-2', samplePasskey({ credentialID: new Uint8Array([2]) }));
+        await storage.savePasskey('pk-3', samplePasskey({ userId: 'user-2', credentialID: new Uint8Array([3]) }));
+
+        assert.deepEqual((await storage.getPasskeysByUser('user-1')).map(p => p.id).sort(), ['pk-1', 'pk-2']);
+        assert.deepEqual((await storage.getPasskeysByUser('user-2')).map(p => p.id), ['pk-3']);
+        assert.deepEqual(await storage.getPasskeysByUser('nobody'), []);
+      });
+
+      it('drops index entries when a passkey is deleted', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+        await storage.deletePasskey('pk-1');
+
+        assert.equal(await storage.getPasskeyByCredentialId(new Uint8Array([1, 2, 3, 4, 250])), null);
+        assert.deepEqual(await storage.getPasskeysByUser('user-1'), []);
+      });
+
+      it('moves index entries when a passkey changes owner or credential', async () => {
+        await storage.savePasskey('pk-1', samplePasskey());
+        await storage.savePasskey('pk-1', samplePasskey({ userId: 'user-2', credentialID: new Uint8Array([7]) }));
+
+        assert.equal(await storage.getPasskeyByCredentialId(new Uint8Array([1, 2, 3, 4, 250])), null);
+        assert.equal((await storage.getPasskeyByCredentialId(new Uint8Array([7]))).id, 'pk-1');
+        assert.deepEqual(await storage.getPasskeysByUser('user-1'), []);
+        assert.deepEqual((await storage.getPasskeysByUser('user-2')).map(p => p.id), ['pk-1']);
+      });
+
+      it('finds users by username and follows renames', async () => {
+        await storage.saveUser('user-1', { username: 'a@example.com' });
+        assert.equal((await storage.getUserByUsername('a@example.com')).id, 'user-1');
+
+        await storage.saveUser('user-1', { username: 'b@example.com' });
+        assert.equal(await storage.getUserByUsername('a@example.com'), null);
+        assert.equal((await storage.getUserByUsername('b@example.com')).id, 'user-1');
+        assert.equal(await storage.getUserByUsername('nobody@example.com'), null);
+      });
+
+      it('keeps a username with the user who took it first', async () => {
+        await storage.saveUser('user-1', { username: 'a@example.com' });
+
+        await assert.rejects(storage.saveUser('user-2', { username: 'a@example.com' }), { code: 'USERNAME_TAKEN', status: 409 });
+        assert.equal((await storage.getUserByUsername('a@example.com')).id, 'user-1');
+        assert.equal(await storage.getUser('user-2'), null);
+
+        // Free again once its holder moves on
+        await storage.saveUser('user-1', { username: 'b@example.com' });
+        await storage.saveUser('user-2', { username: 'a@example.com' });
+        assert.equal((await storage.getUserByUsername('a@example.com')).id, 'user-2');
+      });
+    });
+
+    describe('users', () => {
+      it('returns null for an unknown user', async () => {
+        assert.equal(await storage.getUser('missing'), null);
+      });
+
+      it('upserts users and keeps createdAt', async () => {
+        assert.equal(await storage.saveUser('user-1', { username: 'a@example.com' }), true);
+        const first = await storage.getUser('user-1');
+        assert.equal(first.id, 'user-1');
+        assert.ok(first.createdAt);
+        assert.ok(first.updatedAt);
+
+        await storage.saveUser('user-1', { username: 'b@example.com' });
+        const second = await storage.getUser('user-1');
+        assert.equal(second.username, 'b@example.com');
+        assert.equal(second.createdAt, first.createdAt);
+      });
+
+      it('lists all users', async () => {
+        await storage.saveUser('user-1', { username: 'a@example.com' });
+        await storage.saveUser('user-2', { username: 'b@example.com' });
+
+        const users = await storage.getAllUsers();
+        assert.deepEqual(users.map(u => u.id).sort(), ['user-1', 'user-2']);
+      });
+    });
+
+    describe('challenges', () => {
+      it('saves, reads and deletes a challenge', async () => {
+        assert.equal(await storage.saveChallenge('s-1', { challenge: 'abc', type: 'registration' }), true);
+
+        const session = await storage.getChallenge('s-1');
+        assert.equal(session.challenge, 'abc');
+        assert.equal(session.type, 'registration');
+        assert.ok(new Date(session.expiresAt) > new Date(session.createdAt));
+
+        assert.equal(await storage.deleteChallenge('s-1'), true);
+        assert.equal(await storage.getChallenge('s-1'), null);
+        assert.equal(await storage.deleteChallenge('s-1'), false);
+      });
+
+      it('returns null for an unknown challenge', async () => {
+        assert.equal(await storage.getChallenge('missing'), null);
+      });
+
+      it('honours a per-challenge ttlMs', async () => {
+        await storage.saveChallenge('s-long', { challenge: 'abc' }, { ttlMs: 60 * 60 * 1000 });
+        const session = await storage.getChallenge('s-long');
+
+        const lifetime = new Date(session.expiresAt) - new Date(session.createdAt);
+        assert.ok(lifetime > 59 * 60 * 1000 && lifetime < 61 * 60 * 1000);
+      });
+    });
+
+    describe('records', () => {
+      it('saves, reads, lists and deletes records per collection', async () => {
+        assert.equal(await storage.saveRecord('things', 'a', { value: 1 }), true);
+        await storage.saveRecord('things', 'b', { value: 2 });
+        await storage.saveRecord('other-things', 'a', { value: 3 });
+
+        const record = await storage.getRecord('things', 'a');
+        assert.equal(record.id, 'a');
+        assert.equal(record.value, 1);
+        assert.ok(record.createdAt);
+
+        const listed = await storage.listRecords('things');
+        assert.deepEqual(listed.map(r => r.value).sort(), [1, 2]);
+
+        assert.equal(await storage.deleteRecord('things', 'a'), true);
+        assert.equal(await storage.getRecord('things', 'a'), null);
+        assert.equal(await storage.deleteRecord('things', 'a'), false);
+        assert.equal((await storage.getRecord('other-things', 'a')).value, 3);
+      });
+
+      it('keeps createdAt on update', async () => {
+        await storage.saveRecord('things', 'a', { value: 1 });
+        const first = await storage.getRecord('things', 'a');
+
+        await storage.saveRecord('things', 'a', { value: 2 });
+        const second = await storage.getRecord('things', 'a');
+        assert.equal(second.value, 2);
+        assert.equal(second.createdAt, first.createdAt);
+      });
+
+      it('hides records once their ttl has passed', async () => {
+        await storage.saveRecord('things', 'short', { value: 1 }, { ttlMs: 20 });
+        await storage.saveRecord('things', 'long', { value: 2 }, { ttlMs: 60000 });
+        assert.ok(await storage.getRecord('things', 'short'));
+
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        assert.equal(await storage.getRecord('things', 'short'), null);
+        assert.deepEqual((await storage.listRecords('things')).map(r => r.id), ['long']);
+      });
+
+      it('creates a record only once until it expires', async () => {
+        const results = await Promise.all([1, 2, 3].map(value => storage.createRecord('claims', 'a', { value }, { ttlMs: 20 })));
+        assert.equal(results.filter(Boolean).length, 1);
+        assert.equal((await storage.getRecord('claims', 'a')).value, results.indexOf(true) + 1);
+
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(await storage.createRecord('claims', 'a', { value: 4 }), true);
+        assert.equal((await storage.getRecord('claims', 'a')).value, 4);
+      });
+
+      it('appends records that list and expire like saved ones', async () => {
+        assert.equal(await storage.appendRecord('events', 'a', { value: 1 }), true);
+        await storage.appendRecord('events', 'b', { value: 2 }, { ttlMs: 20 });
+
+        assert.equal((await storage.getRecord('events', 'a')).value, 1);
+        assert.ok((await storage.getRecord('events', 'a')).createdAt);
+
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.deepEqual((await storage.listRecords('events')).map(r => r.id), ['a']);
+      });
+
+      it('updates and deletes appended records', async () => {
+        await storage.appendRecord('events', 'a', { value: 1 });
+        await storage.appendRecord('events', 'b', { value: 2 });
+
+        await storage.saveRecord('events', 'a', { value: 3 });
+        assert.equal(await storage.deleteRecord('events', 'b'), true);
+        await storage.appendRecord('events', 'c', { value: 4 });
+
+        assert.deepEqual((await storage.listRecords('events')).map(r => [r.id, r.value]), [['a', 3], ['c', 4]]);
+        assert.equal(await storage.getRecord('events', 'b'), null);
+      });
+
+      it('drops a whole collection', async () => {
+        await storage.saveRecord('events', 'a', { value: 1 });
+        await storage.appendRecord('events', 'b', { value: 2 });
+        await storage.saveRecord('others', 'a', { value: 3 });
+
+        assert.equal(await storage.dropCollection('events'), true);
+        assert.deepEqual(await storage.listRecords('events'), []);
+        assert.equal(await storage.dropCollection('events'), false);
+        assert.equal((await storage.getRecord('others', 'a')).value, 3);
+      });
+
+      it('rejects unsafe collection names', async () => {
+        await assert.rejects(storage.getRecord('../passkeys', 'a'), /Invalid storage collection/);
+      });
+    });
+
+    describe('cleanup', () => {
+      it('reports a boolean from cleanupExpiredSessions', async () => {
+        await storage.saveChallenge('s-1', { challenge: 'abc' });
+
+        assert.equal(typeof await storage.cleanupExpiredSessions(), 'boolean');
+        assert.ok(await storage.getChallenge('s-1'));
+      });
+    });
+  });
+};
+
+runConformanceSuite('JSON file', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'passkey-storage-'));
+  return {
+    storage: new JSONStorage({ dataDir }),
+    cleanup: () => fs.rm(dataDir, { recursive: true, force: true })
+  };
+});
+
+runConformanceSuite('Vercel KV', async () => ({
+  storage: new KVStorage({ client: new FakeKV() })
+}));
+
+describe('Vercel KV index backfill', () => {
+  it('builds indexes for records stored before indexing existed', async () => {
+    const client = new FakeKV();
+    await client.set('passkeys:pk-1', { id: 'pk-1', userId: 'user-1', credentialID: 'AQID' });
+    await client.set('users:user-1', { id: 'user-1', username: 'a@example.com' });
+
+    const storage = new KVStorage({ client });
+
+    assert.equal((await storage.getPasskeyByCredentialId('AQID')).id, 'pk-1');
+    assert.deepEqual((await storage.getPasskeysByUser('user-1')).map(p => p.id), ['pk-1']);
+    assert.equal((await storage.getUserByUsername('a@example.com')).id, 'user-1');
+  });
+});
+
+runConformanceSuite('in-memory', async () => ({
+  storage: new MemoryStorage()
+}));
+
+describe('storage factory', () => {
+  it('creates the requested backend', () => {
+    assert.ok(createStorage({ backend: 'memory' }) instanceof MemoryStorage);
+    assert.ok(createStorage({ backend: 'kv', client: new FakeKV() }) instanceof KVStorage);
+  });
+
+  it('rejects unknown backends', () => {
+    assert.throws(() => createStorage({ backend: 'postgres' }), /Unknown storage backend/);
+  });
+
+  it('falls back to config, then KV credentials, then JSON files', () => {
+    const env = { ...process.env };
+    try {
+      delete process.env.STORAGE_BACKEND;
+      delete process.env.KV_REST_API_URL;
+
+      assert.equal(resolveBackend({}, { backend: 'Memory' }), 'memory');
+      assert.equal(resolveBackend({}, {}), 'json');
+
+      process.env.KV_REST_API_URL = 'https://example.kv.vercel-storage.com';
+      assert.equal(resolveBackend({}, {}), 'kv');
+
+      process.env.STORAGE_BACKEND = 'memory';
+      assert.equal(resolveBackend({}, { backend: 'json' }), 'memory');
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,185 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const storage = require('../src/utils/storage');
+const backendService = require('../src/services/backendService');
+const tenantService = require('../src/services/tenantService');
+const tokenService = require('../src/services/tokenService');
+const webauthnService = require('../src/services/webauthnService');
+const { authenticateSession } = require('../src/middleware/authenticate');
+const { createTenantStorage } = require('../src/utils/tenant-storage');
+const { createVirtualAuthenticator } = require('./helpers/virtual-authenticator');
+const { createClient } = require('./helpers/http-client');
+const app = require('../src/server');
+const recoveryService = require('../src/services/recoveryService');
+const { qualifyId } = require('../src/utils/tenant-storage');
+
+const TENANTS = {
+  acme: {
+    hosts: ['login.acme.test'],
+    provider: 'mock',
+    webauthn: { rpName: 'Acme', rpID: 'acme.test', origin: 'https://acme.test' },
+    cloneDetection: { action: 'warn' }
+  },
+  globex: {
+    webauthn: { rpName: 'Globex', rpID: 'globex.test', origin: 'https://globex.test' }
+  }
+};
+
+describe('tenant storage', () => {
+  const acme = createTenantStorage(storage, 'acme');
+  const globex = createTenantStorage(storage, 'globex');
+  const defaultTenant = createTenantStorage(storage, 'default');
+
+  it('keeps passkeys of the same user ID apart', async () => {
+    const userId = `user-${crypto.randomUUID()}`;
+    const acmeId = crypto.randomUUID();
+    const defaultId = crypto.randomUUID();
+    await acme.savePasskey(acmeId, { userId, credentialID: crypto.randomBytes(16), credentialPublicKey: Buffer.alloc(8) });
+    await defaultTenant.savePasskey(defaultId, { userId, credentialID: crypto.randomBytes(16), credentialPublicKey: Buffer.alloc(8) });
+
+    assert.deepEqual((await acme.getPasskeysByUser(userId)).map(passkey => passkey.id), [acmeId]);
+    assert.equal((await acme.getPasskeyById(acmeId)).userId, userId);
+    assert.equal(await globex.getPasskeyById(acmeId), null);
+    assert.equal(await defaultTenant.getPasskeyById(acmeId), null);
+    assert.deepEqual((await defaultTenant.getPasskeysByUser(userId)).map(passkey => passkey.id), [defaultId]);
+    assert.ok(!(await defaultTenant.getPasskeys()).some(passkey => passkey.id === acmeId));
+
+    // Another tenant can neither delete nor overwrite it
+    assert.equal(await globex.deletePasskey(acmeId), false);
+    assert.equal(await globex.savePasskey(acmeId, { userId }), false);
+    assert.equal((await acme.getPasskeyById(acmeId)).tenantId, 'acme');
+  });
+
+  it('looks credentials up only within the tenant', async () => {
+    const credentialID = crypto.randomBytes(16);
+    await acme.savePasskey(crypto.randomUUID(), { userId: 'u', credentialID, credentialPublicKey: Buffer.alloc(8) });
+
+    assert.ok(await acme.getPasskeyByCredentialId(credentialID.toString('base64url')));
+    assert.equal(await globex.getPasskeyByCredentialId(credentialID.toString('base64url')), null);
+    assert.equal(await storage.getPasskeyByCredentialId(credentialID.toString('base64url')).then(p => p.userId), 'acme:u');
+  });
+
+  it('namespaces users, usernames and challenges', async () => {
+    await acme.saveUser('same-user', { username: 'same@example.com', displayName: 'Acme' });
+    await globex.saveUser('same-user', { username: 'same@example.com', displayName: 'Globex' });
+
+    assert.equal((await acme.getUser('same-user')).displayName, 'Acme');
+    assert.equal((await globex.getUserByUsername('same@example.com')).displayName, 'Globex');
+    assert.deepEqual(await acme.getUserByUsername('same@example.com').then(u => [u.id, u.username]), ['same-user', 'same@example.com']);
+    assert.equal(await defaultTenant.getUserByUsername('same@example.com'), null);
+
+    await acme.saveChallenge('session-1', { challenge: 'abc', type: 'authentication' });
+    assert.equal((await acme.getChallenge('session-1')).challenge, 'abc');
+    assert.equal(await globex.getChallenge('session-1'), null);
+    assert.equal(await defaultTenant.getChallenge('session-1'), null);
+  });
+});
+
+describe('tenant resolution and ceremonies', () => {
+  let originals;
+
+  beforeEach(() => {
+    originals = {
+      getTenantConfigs: backendService.getTenantConfigs,
+      getCloneDetectionConfig: backendService.getCloneDetectionConfig
+    };
+    backendService.getTenantConfigs = async () => TENANTS;
+    backendService.getCloneDetectionConfig = async () => ({ action: 'reject' });
+  });
+
+  afterEach(() => {
+    Object.assign(backendService, originals);
+  });
+
+  it('resolves an explicit tenant, then the host, then the default', async () => {
+    assert.equal((await tenantService.resolve({ tenantId: 'globex', host: 'login.acme.test' })).id, 'globex');
+    assert.equal((await tenantService.resolve({ host: 'LOGIN.ACME.TEST' })).id, 'acme');
+    assert.equal((await tenantService.resolve({ host: 'globex.test' })).id, 'globex');
+    assert.equal((await tenantService.resolve({ host: 'other.test' })).id, 'default');
+    await assert.rejects(tenantService.resolve({ tenantId: 'initech' }), { name: 'TenantError', code: 'UNKNOWN_TENANT', status: 400 });
+  });
+
+  it('gives each tenant its own RP and policies', async () => {
+    const acme = webauthnService.forTenant('acme');
+    await acme.initializeConfig();
+
+    assert.equal(webauthnService.forTenant('acme'), acme);
+    assert.equal(webauthnService.forTenant('default'), webauthnService);
+    assert.equal(acme.rpID, 'acme.test');
+    assert.deepEqual(acme.getExpectedOrigins(), ['https://acme.test']);
+    assert.equal(acme.cloneAction, 'warn');
+
+    const { options } = await acme.generateAuthenticationOptions(null, 'web');
+    assert.equal(options.rpId, 'acme.test');
+    assert.equal((await backendService.getProviderForUser('anyone', 'acme')).name, 'mock');
+  });
+
+  it('refuses a credential registered for another tenant', async () => {
+    const acme = webauthnService.forTenant('acme');
+    const globex = webauthnService.forTenant('globex');
+    await acme.initializeConfig();
+
+    const authenticator = createVirtualAuthenticator({ rpID: 'acme.test', origin: 'https://acme.test' });
+    await acme.storage.savePasskey(crypto.randomUUID(), authenticator.passkey({ userId: 'user-1', username: 'a@acme.test' }));
+
+    const login = async (service) => {
+      const sessionId = crypto.randomUUID();
+      const challenge = crypto.randomBytes(32).toString('base64url');
+      await service.storage.saveChallenge(sessionId, { challenge, userId: null, type: 'authentication' });
+      return service.verifyAuthentication(sessionId, authenticator.getAssertion({ challenge, userHandle: 'user-1' }));
+    };
+
+    await assert.rejects(login(globex), /Passkey not found/);
+    await assert.rejects(login(webauthnService), /Passkey not found/);
+
+    const result = await login(acme);
+    assert.equal(result.verified, true);
+    assert.equal(result.userId, 'user-1');
+  });
+
+  it('only accepts sessions on the tenant that issued them', async () => {
+    const { accessToken } = await tokenService.issueSession({ userId: 'user-1', username: 'a@acme.test', tenantId: 'acme' });
+    const request = (tenantId) => ({
+      tenant: { id: tenantId },
+      get: (name) => (name === 'Authorization' ? `Bearer ${accessToken}` : undefined)
+    });
+
+    const auth = await authenticateSession(request('acme'));
+    assert.equal(auth.tenantId, 'acme');
+    await assert.rejects(authenticateSession(request('globex')), { name: 'UnauthorizedError', message: 'Session belongs to another tenant' });
+    await assert.rejects(authenticateSession(request('default')), { name: 'UnauthorizedError' });
+  });
+});
+
+describe('tenant-qualified IDs', () => {
+  it('refuses user IDs and usernames that could pass for another tenant\'s', async () => {
+    // Services trust their callers: the default tenant's "acme:bob" reaches
+    // tenant acme's "bob", so the routes must never let such an ID through
+    assert.equal(qualifyId('default', 'acme:bob'), qualifyId('acme', 'bob'));
+    const { codes } = await recoveryService.generateCodes('bob', 'acme');
+    assert.ok(await recoveryService.redeem('acme:bob', codes[0]));
+
+    const client = await createClient(app);
+    try {
+      const requests = [
+        ['/api/passkeys/register/begin', { userId: 'acme:bob', username: 'bob@example.com' }, 'userId'],
+        ['/api/passkeys/register/begin', { userId: 'bob', username: 'acme:bob@example.com' }, 'username'],
+        ['/api/passkeys/login/begin', { username: 'acme:bob' }, 'username'],
+        ['/api/recovery/redeem', { userId: 'acme:bob', code: codes[1] }, 'userId'],
+        ['/api/auth/signin', { userId: 'acme:bob' }, 'userId']
+      ];
+
+      for (const [path, body, field] of requests) {
+        const res = await client.post(path, body);
+        assert.equal(res.status, 400, path);
+        assert.deepEqual(res.body.details.map(detail => detail.field), [field]);
+      }
+    } finally {
+      await client.close();
+    }
+  });
+});
@@ -0,0 +1,97 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalJWKSet, jwtVerify } = require('jose');
+
+const storage = require('../src/utils/storage');
+const tokenService = require('../src/services/tokenService');
+
+const login = () => tokenService.issueSession({ userId: 'user-1', username: 'a@example.com', passkeyId: 'pk-1' });
+
+describe('tokenService', () => {
+  it('issues access tokens verifiable offline against the JWKS', async () => {
+    const session = await login();
+
+    const jwks = createLocalJWKSet(await tokenService.getJWKS());
+    const { payload, protectedHeader } = await jwtVerify(session.accessToken, jwks, {
+      issuer: tokenService.issuer,
+      audience: tokenService.audience
+    });
+
+    assert.equal(payload.sub, 'user-1');
+    assert.equal(payload.sid, session.sessionId);
+    assert.equal(protectedHeader.kid, tokenService.activeKid);
+  });
+
+  it('rotates refresh tokens and rejects the old one', async () => {
+    const session = await login();
+    const refreshed = await tokenService.refresh(session.refreshToken);
+
+    assert.notEqual(refreshed.refreshToken, session.refreshToken);
+    assert.equal(refreshed.sessionId, session.sessionId);
+    await assert.rejects(tokenService.refresh(session.refreshToken), { name: 'UnauthorizedError' });
+  });
+
+  it('revokes the whole session when a rotated refresh token is replayed', async () => {
+    const session = await login();
+    const refreshed = await tokenService.refresh(session.refreshToken);
+
+    await assert.rejects(tokenService.refresh(session.refreshToken));
+    await assert.rejects(tokenService.refresh(refreshed.refreshToken), { status: 401 });
+    await assert.rejects(tokenService.verifyAccessToken(refreshed.accessToken), /Session has ended/);
+  });
+
+  it('treats concurrent refreshes with the same token as reuse and ends the session', async () => {
+    const session = await login();
+    const results = await Promise.allSettled([0, 1, 2].map(() => tokenService.refresh(session.refreshToken)));
+
+    const refreshed = results.filter(result => result.status === 'fulfilled');
+    assert.ok(refreshed.length <= 1);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.status === 401));
+    for (const { value } of refreshed) {
+      await assert.rejects(tokenService.refresh(value.refreshToken), { status: 401 });
+    }
+    await assert.rejects(tokenService.verifyAccessToken(session.accessToken), /Session has ended/);
+  });
+
+  it('keeps the session\'s absolute expiry across rotations', async () => {
+    const session = await login();
+    const stored = await storage.getRecord('auth-sessions', session.sessionId);
+    const refreshed = await tokenService.refresh(session.refreshToken);
+
+    assert.equal((await storage.getRecord('auth-sessions', session.sessionId)).refreshExpiresAt, stored.refreshExpiresAt);
+    assert.ok(refreshed.refreshExpiresIn <= session.refreshExpiresIn);
+
+    // Past its expiry the session is not refreshed, even if the record is still there
+    await storage.saveRecord('auth-sessions', session.sessionId, {
+      ...(await storage.getRecord('auth-sessions', session.sessionId)),
+      refreshExpiresAt: new Date(Date.now() - 1000).toISOString()
+    });
+    await assert.rejects(tokenService.refresh(refreshed.refreshToken), { status: 401 });
+    assert.equal(await storage.getRecord('auth-sessions', session.sessionId), null);
+  });
+
+  it('stops accepting access tokens after logout', async () => {
+    const session = await login();
+    await tokenService.verifyAccessToken(session.accessToken);
+
+    await tokenService.revokeRefreshToken(session.refreshToken);
+    await assert.rejects(tokenService.verifyAccessToken(session.accessToken), /Session has ended/);
+  });
+
+  it('rejects tampered access tokens', async () => {
+    const session = await login();
+    const [header, payload, signature] = session.accessToken.split('.');
+    const forged = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, 'base64url')),
+      sub: 'admin'
+    })).toString('base64url');
+
+    await assert.rejects(tokenService.verifyAccessToken(`${header}.${forged}.${signature}`), /Invalid access token/);
+  });
+
+  it('rejects malformed refresh tokens', async () => {
+    await assert.rejects(tokenService.refresh('garbage'), { status: 401 });
+  });
+});
@@ -0,0 +1,135 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const storage = require('../src/utils/storage');
+const webauthnService = require('../src/services/webauthnService');
+const { createVirtualAuthenticator } = require('./helpers/virtual-authenticator');
+
+const challengeFor = async (sessionId) => (await storage.getChallenge(sessionId)).challenge;
+
+describe('usernameless login', () => {
+  let authenticator;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    await webauthnService.initializeConfig();
+    alice = `alice-${crypto.randomUUID()}`;
+    bob = `bob-${crypto.randomUUID()}`;
+
+    authenticator = createVirtualAuthenticator({ rpID: webauthnService.rpID, origin: webauthnService.origin });
+    await storage.savePasskey(crypto.randomUUID(), authenticator.passkey({ userId: alice, username: 'alice@example.com' }));
+    await storage.savePasskey(crypto.randomUUID(), createVirtualAuthenticator({
+      rpID: webauthnService.rpID,
+      origin: webauthnService.origin
+    }).passkey({ userId: bob, username: 'bob@example.com' }));
+  });
+
+  it('leaves allowCredentials empty without a user', async () => {
+    const { options } = await webauthnService.generateAuthenticationOptions(null, 'web');
+    assert.equal(options.allowCredentials, undefined);
+  });
+
+  it('still lists the credentials of a named user', async () => {
+    const { options } = await webauthnService.generateAuthenticationOptions(alice, 'web');
+    assert.equal(options.allowCredentials.length, 1);
+  });
+
+  it('resolves the user from a base64url userHandle', async () => {
+    const { sessionId } = await webauthnService.generateAuthenticationOptions(null, 'web');
+    const challenge = await challengeFor(sessionId);
+
+    const result = await webauthnService.verifyAuthentication(
+      sessionId,
+      authenticator.getAssertion({ challenge, userHandle: alice })
+    );
+    assert.equal(result.userId, alice);
+  });
+
+  it('rejects a userHandle naming someone else', async () => {
+    const { sessionId } = await webauthnService.generateAuthenticationOptions(null, 'web');
+    const challenge = await challengeFor(sessionId);
+
+    await assert.rejects(
+      webauthnService.verifyAuthentication(sessionId, authenticator.getAssertion({ challenge, userHandle: bob })),
+      { name: 'AuthenticationError', code: 'USER_HANDLE_MISMATCH' }
+    );
+  });
+
+  it('requires a userHandle when no user was named', async () => {
+    const { sessionId } = await webauthnService.generateAuthenticationOptions(null, 'web');
+    const challenge = await challengeFor(sessionId);
+
+    await assert.rejects(
+      webauthnService.verifyAuthentication(sessionId, authenticator.getAssertion({ challenge })),
+      { code: 'USER_HANDLE_REQUIRED' }
+    );
+  });
+
+  it('rejects a credential of another user than the one requested', async () => {
+    const { sessionId } = await webauthnService.generateAuthenticationOptions(bob, 'web');
+    const challenge = await challengeFor(sessionId);
+
+    await assert.rejects(
+      webauthnService.verifyAuthentication(sessionId, authenticator.getAssertion({ challenge })),
+      { code: 'CREDENTIAL_USER_MISMATCH' }
+    );
+  });
+
+  it('asks for a resident key when required', () => {
+    const selection = webauthnService.getAuthenticatorSelection('web', 'required');
+    assert.equal(selection.residentKey, 'required');
+    assert.equal(selection.requireResidentKey, true);
+  });
+
+  describe('conditional mediation', () => {
+    it('issues usernameless options with a long-lived challenge', async () => {
+      const result = await webauthnService.generateAuthenticationOptions(alice, 'web', { mediation: 'conditional' });
+
+      assert.equal(result.mediation, 'conditional');
+      assert.equal(result.options.allowCredentials, undefined);
+      assert.equal(result.options.timeout, webauthnService.conditionalTimeout);
+
+      const challengeData = await storage.getChallenge(result.sessionId);
+      assert.equal(challengeData.userId, null);
+      assert.equal(challengeData.mediation, 'conditional');
+      assert.ok(new Date(challengeData.expiresAt) - new Date(challengeData.createdAt) >= webauthnService.conditionalTimeout - 1000);
+    });
+
+    it('drops the previous challenge when reissued', async () => {
+      const first = await webauthnService.generateAuthenticationOptions(null, 'web', { mediation: 'conditional' });
+      const second = await webauthnService.generateAuthenticationOptions(null, 'web', {
+        mediation: 'conditional',
+        previousSessionId: first.sessionId
+      });
+
+      assert.equal(await storage.getChallenge(first.sessionId), null);
+      assert.ok(await storage.getChallenge(second.sessionId));
+    });
+
+    it('leaves modal challenges alone when named as previous', async () => {
+      const modal = await webauthnService.generateAuthenticationOptions(alice, 'web');
+      await webauthnService.generateAuthenticationOptions(null, 'web', {
+        mediation: 'conditional',
+        previousSessionId: modal.sessionId
+      });
+
+      assert.ok(await storage.getChallenge(modal.sessionId));
+    });
+
+    it('completes with the autofilled assertion', async () => {
+      const { sessionId } = await webauthnService.generateAuthenticationOptions(null, 'web', { mediation: 'conditional' });
+      const challenge = await challengeFor(sessionId);
+
+      const result = await webauthnService.verifyAuthentication(
+        sessionId,
+        authenticator.getAssertion({ challenge, userHandle: alice })
+      );
+      assert.equal(result.userId, alice);
+      assert.equal(await storage.getChallenge(sessionId), null);
+    });
+  });
+});
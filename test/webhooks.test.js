@@ -0,0 +1,264 @@
+process.env.STORAGE_BACKEND = 'memory';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const storage = require('../src/utils/storage');
+const backendService = require('../src/services/backendService');
+const webauthnService = require('../src/services/webauthnService');
+const webhookService = require('../src/services/webhookService');
+const { signPayload, verifySignature } = require('../src/utils/webhook-signature');
+const { isPublicAddress } = require('../src/utils/public-address');
+const { createVirtualAuthenticator } = require('./helpers/virtual-authenticator');
+
+const clear = async (collection) => {
+  for (const record of await storage.listRecords(collection)) {
+    await storage.deleteRecord(collection, record.id);
+  }
+};
+
+// Make pending retries due now instead of after their backoff
+const makeDue = async () => {
+  const nextAttemptAt = new Date(0).toISOString();
+  for (const delivery of await storage.listRecords('webhook-deliveries')) {
+    if (delivery.status !== 'pending') continue;
+    const { id, createdAt, updatedAt, expiresAt, ...record } = delivery;
+    await storage.saveRecord('webhook-deliveries', id, { ...record, nextAttemptAt });
+    await storage.saveRecord('webhook-queue', id, { nextAttemptAt });
+  }
+};
+
+describe('webhook signatures', () => {
+  it('verifies with any of the signing secrets', () => {
+    const body = JSON.stringify({ hello: 'world' });
+    const header = signPayload(['new-secret', 'old-secret'], body);
+
+    assert.equal(verifySignature('new-secret', header, body), true);
+    assert.equal(verifySignature('old-secret', header, body), true);
+    assert.equal(verifySignature('other-secret', header, body), false);
+    assert.equal(verifySignature('new-secret', header, `${body} `), false);
+  });
+
+  it('rejects stale timestamps', () => {
+    const body = '{}';
+    const header = signPayload(['secret'], body, Math.floor(Date.now() / 1000) - 600);
+
+    assert.equal(verifySignature('secret', header, body), false);
+    assert.equal(verifySignature('secret', header, body, { toleranceSeconds: 900 }), true);
+    assert.equal(verifySignature('secret', 'garbage', body), false);
+  });
+});
+
+describe('public addresses', () => {
+  it('tells public addresses from loopback, link-local and private ones', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+    for (const address of ['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1', 'not-an-ip']) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  let url;
+  let received;
+  let respondWith;
+  let originalGetWebhookConfig;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = respondWith.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    respondWith = [];
+    originalGetWebhookConfig = backendService.getWebhookConfig;
+    backendService.getWebhookConfig = async () => ({ maxAttempts: 3, baseDelaySeconds: 60, timeoutMs: 2000, allowPrivateNetworks: true });
+    await clear('webhook-endpoints');
+    await clear('webhook-deliveries');
+    await clear('webhook-queue');
+  });
+
+  afterEach(async () => {
+    await webhookService.processQueue();
+    backendService.getWebhookConfig = originalGetWebhookConfig;
+  });
+
+  it('delivers signed events to subscribed endpoints', async () => {
+    const endpoint = await webhookService.createEndpoint({ url, events: ['passkey.deleted'] });
+    assert.ok(endpoint.secret.startsWith('whsec_'));
+    assert.equal((await webhookService.getEndpoint(endpoint.id)).secret, undefined);
+
+    await webhookService.emit('passkey.registered', { passkeyId: 'pk-1' });
+    await webhookService.emit('passkey.deleted', { passkeyId: 'pk-1' });
+    await webhookService.processQueue();
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-webhook-event'], 'passkey.deleted');
+    assert.equal(verifySignature(endpoint.secret, headers['x-webhook-signature'], body), true);
+
+    const event = JSON.parse(body);
+    assert.equal(event.id, headers['x-webhook-id']);
+    assert.deepEqual(event.data, { passkeyId: 'pk-1' });
+
+    const [delivery] = await webhookService.listDeliveries(endpoint.id);
+    assert.equal(delivery.id, headers['x-webhook-delivery']);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts[0].responseStatus, 200);
+  });
+
+  it('retries with exponential backoff and gives up after maxAttempts', async () => {
+    const endpoint = await webhookService.createEndpoint({ url });
+    respondWith = [500, 503, 500];
+
+    await webhookService.emit('passkey.deleted', { passkeyId: 'pk-2' });
+    await webhookService.processQueue();
+
+    let [delivery] = await webhookService.listDeliveries(endpoint.id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.lastError, 'HTTP 500');
+    const firstDelay = new Date(delivery.nextAttemptAt) - Date.now();
+    assert.ok(firstDelay > 55000 && firstDelay <= 60000);
+
+    await makeDue();
+    await webhookService.processQueue();
+    [delivery] = await webhookService.listDeliveries(endpoint.id);
+    const secondDelay = new Date(delivery.nextAttemptAt) - Date.now();
+    assert.ok(secondDelay > 115000 && secondDelay <= 120000);
+
+    await makeDue();
+    const summary = await webhookService.processQueue();
+    assert.deepEqual(summary, { attempted: 1, succeeded: 0, retrying: 0, failed: 1 });
+
+    [delivery] = await webhookService.listDeliveries(endpoint.id, { status: 'failed' });
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.responseStatus), [500, 503, 500]);
+    assert.equal(received.length, 3);
+    assert.ok(received.every(request => request.headers['x-webhook-delivery'] === delivery.id));
+  });
+
+  it('sends each attempt once when several workers race for it', async () => {
+    const endpoint = await webhookService.createEndpoint({ url });
+    const delivery = await webhookService.enqueue(endpoint, { id: 'evt_race', type: 'passkey.deleted', data: {} });
+
+    // Two instances draining the queue at the same time
+    const results = await Promise.all([webhookService.deliver(delivery.id), webhookService.deliver(delivery.id)]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(received.length, 1);
+    assert.equal((await webhookService.listDeliveries(endpoint.id))[0].attempts.length, 1);
+    assert.deepEqual(await storage.listRecords('webhook-queue'), []);
+  });
+
+  it('keeps endpoints and their events to one tenant', async () => {
+    const endpoint = await webhookService.createEndpoint({ url });
+    const acme = await webhookService.createEndpoint({ url: `${url}?tenant=acme` }, 'acme');
+
+    assert.deepEqual((await webhookService.listEndpoints()).map(({ id }) => id), [endpoint.id]);
+    assert.deepEqual((await webhookService.listEndpoints('acme')).map(({ id }) => id), [acme.id]);
+    assert.equal(await webhookService.getEndpoint(acme.id), null);
+    assert.equal(await webhookService.updateEndpoint(acme.id, { enabled: false }), null);
+    assert.equal(await webhookService.rotateSecret(acme.id, 'globex'), null);
+    assert.equal(await webhookService.deleteEndpoint(acme.id), false);
+
+    const [delivery] = await webhookService.emit('passkey.deleted', { tenant: 'acme', passkeyId: 'pk-3' });
+    await webhookService.processQueue();
+
+    assert.equal(delivery.endpointId, acme.id);
+    assert.equal(delivery.tenantId, 'acme');
+    assert.deepEqual(received.map(request => request.headers['x-webhook-delivery']), [delivery.id]);
+    assert.equal(await webhookService.redeliver(delivery.id), null);
+    assert.ok(await webhookService.redeliver(delivery.id, 'acme'));
+  });
+
+  it('redelivers a failed delivery and skips disabled endpoints', async () => {
+    const endpoint = await webhookService.createEndpoint({ url });
+    await webhookService.updateEndpoint(endpoint.id, { enabled: false });
+    assert.deepEqual(await webhookService.emit('passkey.deleted', {}), []);
+
+    await webhookService.updateEndpoint(endpoint.id, { enabled: true });
+    respondWith = [410];
+    await webhookService.emit('passkey.deleted', {});
+    await webhookService.processQueue();
+
+    const [pending] = await webhookService.listDeliveries(endpoint.id);
+    assert.equal(pending.status, 'pending');
+
+    await webhookService.redeliver(pending.id);
+    await webhookService.processQueue();
+
+    const [delivery] = await webhookService.listDeliveries(endpoint.id);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts.length, 2);
+  });
+
+  it('refuses endpoints on non-public hosts unless private networks are allowed', async () => {
+    const endpoint = await webhookService.createEndpoint({ url });
+    backendService.getWebhookConfig = async () => ({ maxAttempts: 3, baseDelaySeconds: 60, timeoutMs: 2000 });
+
+    for (const target of [url, 'http://localhost/hooks', 'http://169.254.169.254/latest/meta-data', 'https://10.1.2.3/', 'http://[::ffff:127.0.0.1]/', 'http://[fe80::1]/']) {
+      await assert.rejects(webhookService.createEndpoint({ url: target }), { name: 'WebhookUrlError', code: 'WEBHOOK_URL_NOT_ALLOWED', status: 400 });
+    }
+    await assert.rejects(webhookService.updateEndpoint(endpoint.id, { url: 'http://192.168.1.1/' }), { code: 'WEBHOOK_URL_NOT_ALLOWED' });
+
+    // Endpoints saved while private networks were allowed are checked at delivery
+    await webhookService.emit('passkey.deleted', {});
+    await webhookService.processQueue();
+
+    const [delivery] = await webhookService.listDeliveries(endpoint.id);
+    assert.equal(delivery.status, 'failed');
+    assert.match(delivery.lastError, /non-public address 127\.0\.0\.1/);
+    assert.equal(received.length, 0);
+  });
+
+  it('signs with both secrets during the rotation grace period', async () => {
+    const { secret: oldSecret, id } = await webhookService.createEndpoint({ url });
+    const { secret: newSecret } = await webhookService.rotateSecret(id);
+
+    await webhookService.emit('passkey.deleted', {});
+    await webhookService.processQueue();
+
+    const [{ headers, body }] = received;
+    assert.equal(verifySignature(newSecret, headers['x-webhook-signature'], body), true);
+    assert.equal(verifySignature(oldSecret, headers['x-webhook-signature'], body), true);
+  });
+
+  it('is emitted from verifyAuthentication', async () => {
+    const endpoint = await webhookService.createEndpoint({ url, events: ['passkey.authenticated'] });
+
+    await webauthnService.initializeConfig();
+    const authenticator = createVirtualAuthenticator({ rpID: webauthnService.rpID, origin: webauthnService.origin });
+    const passkeyId = crypto.randomUUID();
+    await storage.savePasskey(passkeyId, authenticator.passkey({ userId: 'user-1', username: 'a@example.com', counter: 1 }));
+
+    const sessionId = crypto.randomUUID();
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    await storage.saveChallenge(sessionId, { challenge, userId: 'user-1', type: 'authentication' });
+    await webauthnService.verifyAuthentication(sessionId, authenticator.getAssertion({ challenge, counter: 2, userHandle: 'user-1' }));
+    await webhookService.processQueue();
+
+    const event = JSON.parse(received[0].body);
+    assert.equal(event.type, 'passkey.authenticated');
+    assert.deepEqual(event.data, { tenant: 'default', passkeyId, userId: 'user-1', username: 'a@example.com', cloneSuspected: false });
+    assert.equal(verifySignature(endpoint.secret, received[0].headers['x-webhook-signature'], received[0].body), true);
+  });
+});